@@ -1,6 +1,14 @@
 (function () {
     'use strict';
 
+    /**
+     * The global object. This is window in browsers, self in web workers and global in Node.
+     */
+    var root = typeof globalThis !== 'undefined' ? globalThis :
+        typeof self !== 'undefined' ? self :
+        typeof window !== 'undefined' ? window :
+        typeof global !== 'undefined' ? global : {};
+
     /**
      * Creates a new instance of an ObjectContext.
      * 
@@ -10,12 +18,59 @@
         var self = this;
 
         /**
-         * This stores the tracked objects.
+         * The tracked objects in the order they were added, built from _objectIndex when it
+         * is needed (see _getObjectMap()). Added objects are appended to it, and it is
+         * dropped whenever an object is removed.
          * 
          * @private
          * @type Array
          */
-        var _objectMap = [];
+        var _objectMap = null;
+
+        /**
+         * This stores the tracked objects, keyed by the object they are tracking. The Map keeps
+         * the order the objects were added in, and adds and removes them in constant time.
+         *
+         * @private
+         * @type Map
+         */
+        var _objectIndex = new Map();
+
+        /**
+         * An index of the mapped objects in _objectIndex keyed by their internal identifier.
+         *
+         * @private
+         * @type Map
+         */
+        var _identifierIndex = new Map();
+
+        /**
+         * An index of the mapped objects in _objectIndex keyed by their type. Each value
+         * is an array of mapped objects in the order they were added.
+         *
+         * @private
+         * @type Map
+         */
+        var _typeIndex = new Map();
+
+        /**
+         * The identity map. Holds the mapped objects in _objectIndex that have a key, keyed
+         * by their type and key (see _getIdentityKey).
+         *
+         * @private
+         * @type Map
+         */
+        var _keyIndex = new Map();
+
+        /**
+         * The parent to children adjacency list. Each key is an object (or array) that is
+         * the parent or root parent of other tracked objects, and each value is an array
+         * of the mapped objects for those children.
+         *
+         * @private
+         * @type Map
+         */
+        var _childIndex = new Map();
 
         /**
          * A collection of change listeners that are subscribed to listen for changes.
@@ -25,6 +80,57 @@
          */
         var _changeListeners = [];
 
+        /**
+         * The handlers subscribed to context events (see subscribe()). Each entry holds the
+         * eventName, handler, type and whether or not it is a once-only handler.
+         *
+         * @private
+         * @type Array
+         */
+        var _eventHandlers = [];
+
+        /**
+         * The status and property values of each mapped object as they were when events were
+         * last published. Events are found by comparing the objects against these. This is
+         * only kept while there are event handlers.
+         *
+         * @private
+         * @type Map
+         */
+        var _observedObjects = new Map();
+
+        /**
+         * The entries recorded in the change journal (see setJournalEnabled()).
+         *
+         * @private
+         * @type Array
+         */
+        var _journal = [];
+
+        /**
+         * Whether or not changes are recorded in the change journal.
+         *
+         * @private
+         * @type boolean
+         */
+        var _isJournalEnabled = false;
+
+        /**
+         * The actor recorded with each journal entry, or a function that returns it.
+         *
+         * @private
+         * @type *
+         */
+        var _journalActor = null;
+
+        /**
+         * The reason recorded with each journal entry.
+         *
+         * @private
+         * @type string
+         */
+        var _journalReason = null;
+
         /**
          * Holds the URI to use during load requests. 
          *
@@ -33,6 +139,27 @@
          */
         var _serviceUri = null;
 
+        /**
+         * The transport used to send requests to the service. When this is null, an
+         * ObjectContext.XhrTransport is created for each request.
+         *
+         * @private
+         * @type object
+         */
+        var _transport = null;
+
+        /**
+         * The default headers, auth and timeout used for every request to the service.
+         *
+         * @private
+         * @type object
+         */
+        var _requestDefaults = {
+            headers: {},
+            auth: null,
+            timeout: 30000
+        };
+
         /**
          * This is an array of property names to ignore if they exist on loaded objects.
          *
@@ -50,1501 +177,7326 @@
         var _objectTypePropertyName = null;
 
         /**
-         * The property name to look for on objects to retrive its key.
+         * The property name to look for on objects to retrive its key. If this is an array
+         * of property names, then the key is composite and made up of each of their values.
          *
          * @private
-         * @type Array
+         * @type string|Array
          */
         var _objectKeyPropertyName = null;
 
         /**
-         * This is the last used identifier value for objects loaded into the context.
-         * 
+         * The functions used to compute the key of objects, keyed by object type. A resolver
+         * takes precedence over the object key property name.
+         *
          * @private
-         * @type Integer
+         * @type object
          */
-        var _lastIdentifier = 0;
+        var _objectKeyResolvers = {};
 
         /**
-         * Creates a deepy copy of the passed in object.
-         * 
-         * Note: The copy is done through the JavaScript JSON object, and doesn't copy
-         * any functions that exists in the object. This includes auto getters/setters.
-         * 
+         * The concurrency property name (rowversion, ETag, updatedAt and so on) used for types
+         * that don't have their own.
+         *
          * @private
-         * @param {object} obj The object to copy.
-         * @returns {object} A deep copy of the object.
+         * @type string
          */
-        var _deepCopy = function (obj) {
-            return JSON.parse(JSON.stringify(obj));
-        };
+        var _concurrencyPropertyName = null;
 
         /**
-         * Gives us the ability to use placeholders in strings and replace their positions
-         * with specified corresponding values.
-         * 
+         * The concurrency property names for specific types, keyed by object type.
+         *
          * @private
-         * @returns {string} A formatted string.
+         * @type object
          */
-        var _stringFormat = function () {
-            var s = arguments[0];
-
-            for (var i = 0; i < arguments.length - 1; i++) {
-                var reg = new RegExp('\\{' + i + '\\}', 'gm');
-                s = s.replace(reg, arguments[i + 1]);
-            }
-
-            return s;
-        };
+        var _concurrencyPropertyNames = {};
 
         /**
-         * Determines if the provided object has any changes to it.
-         * 
+         * The relationships between object types. Each entry has the dependentType, the
+         * foreignKey property name (or names) on the dependent, and the principalType whose
+         * key it references.
+         *
          * @private
-         * @param {object} obj The object to test for changes.
-         * @returns {boolean}
+         * @type Array
          */
-        var _doesObjectHaveChanges = function (obj) {
-            return obj.changeset.length > 0 ||
-                   obj.status === ObjectContext.ObjectStatus.Added ||
-                   obj.status === ObjectContext.ObjectStatus.Modified ||
-                   obj.status === ObjectContext.ObjectStatus.Deleted;
-        };
+        var _relationships = [];
 
-        /* jshint ignore:start */
         /**
-         * Updates every loaded object with a new internal sequence number identifier.
+         * The kind of temporary key to give Added objects that don't have a key. This is one
+         * of the ObjectContext.TemporaryKeyType values, or a function that creates the key.
+         *
          * @private
+         * @type string|function
          */
-        var _updateIdentifiers = function () {
-            _lastIdentifier = 0;
-
-            for (var i = 0; i < _objectMap.length; i++) {
-                _objectMap.identifier = ++_lastIdentifier;
-            }
-        };
-        /* jshint ignore:end */
+        var _temporaryKeyType = ObjectContext.TemporaryKeyType.None;
 
         /**
-         * A helper function to create a mapped context object.
-         * 
-         * This will wrap the passed in object, and add any necessary properties to 
-         * aid in the change tracking process.
-         * 
+         * The last negative integer that was used as a temporary key.
+         *
          * @private
-         * @param {object} obj An object to wrap.
-         * @param {object} status The status of the object.
-         * @param {object} type The type of the object.
-         * @param {object} rootParent The root parent that this object is in the hierarchy of.
-         * @param {object} parent The direct parent of this object.
-         * @param {string} propertyName The property name on the parent that holds this object.
+         * @type number
          */
-        var _createMappedObject = function(obj, status, type, rootParent, parent, propertyName) {
-            // Find all properties on this object that are Date instances and keep
-            // track of them so we can retain their types in the original copy.
-            var dateProperties = _getDateProperties(obj);
-
-            var mappedObject = {
-                /**
-                 * The current state of the object.
-                 * @private
-                 */
-                current: obj,
-                /**
-                 * A copy of the object in its unchanged state.
-                 * @private
-                 */
-                original: _deepCopy(obj),
-                /**
-                 * Returns whether or not the current object has changes from its
-                 * original state.
-                 *
-                 * @private
-                 * @returns {boolean} True if the object has changes from its original state, false otherwise.
-                 */
-                hasChanges: function () {
-                    var hasChanges = _doesObjectHaveChanges(this);
-
-                    // Reset has child changes before rechecking
-                    this.hasChildChanges = false;
-
-                    // Check if this object has any children that have changes
-                    for (var i = 0; i < _objectMap.length; i++) {
-                        var currentObject = _objectMap[i];
-
-                        if (currentObject === this) { continue; }
-
-                        if (currentObject.rootParent === this.current || currentObject.parent === this.current) {
-                            if (_doesObjectHaveChanges(currentObject)) {
-                                this.hasChildChanges = true;
-                                break;
-                            }
-                        }
-                    }
-
-                    return hasChanges;
-                },
-                /**
-                 * An array holding the changes to the current object.
-                 * @private
-                 */
-                changeset: [],
-                /**
-                 * A reference to the root object that this object is a child of.
-                 * If this is the parent, then the value is null.
-                 * @private
-                 */
-                rootParent: rootParent,
-                /**
-                 * A reference to the direct parent object of this object.
-                 * @private
-                 */
-                parent: parent,
-                /**
-                 * Contains the property name on the parent that holds this object.
-                 * @type {string}
-                 */
-                propertyName: propertyName,
-                /**
-                 * Identifies if this object has any child objects that are changed.
-                 * @private
-                 */
-                hasChildChanges: false,
-                /**
-                 * Holds the current status of the object we are tracking
-                 * @private
-                 */
-                status: status,
-                /**
-                 * Holds the original status of the object we are tracking
-                 * @private
-                 */
-                originalStatus: status,
-                /**
-                 * The type of the object we are tracking
-                 * @private
-                 */
-                type: type,
-                /**
-                 * Look at the ObjectKeys property to get the keys of the object.
-                 * @private
-                 */
-                key: _objectKeyPropertyName && _objectKeyPropertyName.trim().length > 0 && obj.hasOwnProperty(_objectKeyPropertyName) ? obj[_objectKeyPropertyName] : null,
-                /**
-                 * This is the internal unique object identifier. All objects loaded into the 
-                 * context will have a unique sequence number assigned to them
-                 * @private
-                 */
-                identifier: ++_lastIdentifier
-            };
+        var _lastTemporaryKey = 0;
 
-            // After the mapped object has been created, we need to go through all
-            // properties that we found previously that were Date objects and create
-            // new Date instances using their ISO-8601 string formats from the deep
-            // copy. This will let us know later which types to use when cancelling
-            // or when accepting changes.
-            if (dateProperties.length) {
-                _instantiateDateProperties(dateProperties, mappedObject.original);
-            }
+        /**
+         * The registered entity types, keyed by type name. Each definition has the properties
+         * (with their data types and default values), key and children of the type.
+         *
+         * @private
+         * @type object
+         */
+        var _types = {};
 
-            return mappedObject;
-        };
+        /**
+         * The types of objects that were given a type by the type registry, either because they
+         * were created with create() or because they are in a registered child collection.
+         * Objects with a type property don't need an entry.
+         *
+         * @private
+         * @type WeakMap
+         */
+        var _instanceTypes = new WeakMap();
 
         /**
-         * Determines if the passed property exists on the object, is not a function,
-         * and doesn't start with a reserved character. If all of those are false, then
-         * the property can be tracked.
+         * This is the last used identifier value for objects loaded into the context.
          * 
          * @private
-         * @param {object} obj The object to check the property against.
-         * @param {string} property The property to check.
-         * @returns {boolean} True if the property can be tracked, false otherwise.
+         * @type Integer
          */
-        var _isTrackableProperty = function (obj, property) {
-            if (!obj.hasOwnProperty(property) ||
-                typeof obj[property] === 'function' ||
-                property.toString().substring(0, 1) === '_' ||
-                property.toString().substring(0, 1) === '$' ||
-                _ignoredProperties.indexOf(property) >= 0) {
-                return false;
-            }
+        var _lastIdentifier = 0;
 
-            return true;
-        };
+        /**
+         * Holds the proxy views that have been handed out, keyed by the object they wrap.
+         *
+         * @private
+         * @type WeakMap
+         */
+        var _proxies = new WeakMap();
 
         /**
-         * Determines if all of the properties on the given object are untrackable.
+         * The reverse of _proxies. Holds the wrapped object keyed by its proxy view.
          *
          * @private
+         * @type WeakMap
          */
-        var _isTrackableObject = function (obj) {
-            var propertyCount = Object.keys(obj).length;
-            if (propertyCount === 0) { return false; }
+        var _proxyTargets = new WeakMap();
 
-            var invalidPropertyCount = 0;
-            for (var property in obj) {
-                if (!_isTrackableProperty(obj, property)) {
-                    invalidPropertyCount++;
+        /**
+         * The maximum number of steps kept in the undo history. History is disabled when this is zero.
+         *
+         * @private
+         * @type Integer
+         */
+        var _undoDepth = 0;
+
+        /**
+         * Whether or not a history step is recorded after every evaluate cycle. If false,
+         * steps are only recorded when checkpoint() is called.
+         *
+         * @private
+         * @type boolean
+         */
+        var _isAutoCheckpointEnabled = true;
+
+        /**
+         * The history steps that can be undone by undo(), oldest first. Each step holds the
+         * states of the objects it changed from before and after the change.
+         *
+         * @private
+         * @type Array
+         */
+        var _undoStack = [];
+
+        /**
+         * The history steps that can be reapplied by redo(), most recently undone last.
+         *
+         * @private
+         * @type Array
+         */
+        var _redoStack = [];
+
+        /**
+         * The captured state of every tracked object at the time the last history step was
+         * recorded, or null if the history is disabled.
+         *
+         * @private
+         * @type Map
+         */
+        var _historyStates = null;
+
+        /**
+         * The tracked mapped objects in order at the time the last history step was recorded.
+         *
+         * @private
+         * @type Array
+         */
+        var _historyOrder = [];
+
+        /**
+         * While greater than zero, evaluate cycles don't record history steps. This lets
+         * operations that evaluate several times be recorded as a single step.
+         *
+         * @private
+         * @type Integer
+         */
+        var _historyBatchDepth = 0;
+
+        /**
+         * While greater than zero, events are not published. This lets operations that
+         * evaluate several times publish the events for their net changes only.
+         *
+         * @private
+         * @type Integer
+         */
+        var _eventBatchDepth = 0;
+
+        /**
+         * The snapshots taken when each open transaction was started, outermost first.
+         *
+         * @private
+         * @type Array
+         */
+        var _transactions = [];
+
+        /**
+         * The storage used by exportState() and importState() when a storage key is provided.
+         * Any object with getItem(key) and setItem(key, value) functions can be used.
+         *
+         * @private
+         * @type object
+         */
+        var _storageAdapter = null;
+
+        /**
+         * How values from the server are merged into tracked objects that have local changes.
+         *
+         * @private
+         * @type string
+         */
+        var _mergeStrategy = ObjectContext.MergeStrategy.PreserveChanges;
+
+        /**
+         * The properties where a server value conflicts with a local change. Each entry holds
+         * the mappedObject, the property and the serverValue.
+         *
+         * @private
+         * @type Array
+         */
+        var _conflicts = [];
+
+        /**
+         * The validators for each type, keyed by object type. Each entry holds the property
+         * and the rule to check it with (see addValidator()).
+         *
+         * @private
+         * @type object
+         */
+        var _validators = {};
+
+        /**
+         * The validation results of each validated object, keyed by mapped object. Each entry
+         * holds the status the object was validated with, and its errors (each with the
+         * property, rule and message). A status of null means the object has to be validated
+         * again.
+         *
+         * @private
+         * @type Map
+         */
+        var _errors = new Map();
+
+        /**
+         * The equality comparers used to decide if a property value has changed. There can be
+         * a global comparer, comparers for types, comparers for properties of a type, and
+         * comparers for property paths from the root parent (see setEqualityComparer()).
+         *
+         * @private
+         * @type object
+         */
+        var _equalityComparers = {
+            global: null,
+            types: {},
+            properties: {},
+            paths: {}
+        };
+
+        /**
+         * Creates a deepy copy of the passed in value, in the same way as a structured clone.
+         * 
+         * Dates, RegExps, Maps, Sets, ArrayBuffers, typed arrays and DataViews are copied as
+         * their own types, and undefined, NaN and Infinity are kept. Objects keep their
+         * prototype, so class instances are copied as instances of the same class. Objects
+         * that are referenced more than once (including cycles) are copied once.
+         * 
+         * Note: Map keys and Set elements are identities, so object keys and elements are
+         * kept by reference. Functions are kept by reference, and getters are copied as values.
+         * 
+         * @private
+         * @param {*} value The value to copy.
+         * @param {Map} copies The copies made so far, keyed by the value they were copied from.
+         * @returns {*} A deep copy of the value.
+         */
+        var _deepCopy = function (value, copies) {
+            if (!value || typeof value !== 'object') {
+                return value;
+            }
+
+            copies = copies || new Map();
+            if (copies.has(value)) {
+                return copies.get(value);
+            }
+
+            var copy;
+
+            if (value instanceof Date) {
+                copy = new Date(value.getTime());
+            } else if (value instanceof RegExp) {
+                copy = new RegExp(value.source, value.flags);
+                copy.lastIndex = value.lastIndex;
+            } else if (value instanceof ArrayBuffer) {
+                copy = value.slice(0);
+            } else if (value instanceof DataView) {
+                copy = new DataView(value.buffer.slice(0), value.byteOffset, value.byteLength);
+            } else if (ArrayBuffer.isView(value)) {
+                copy = new value.constructor(value);
+            } else if (value instanceof Map) {
+                copy = new Map();
+                copies.set(value, copy);
+                value.forEach(function (entryValue, key) {
+                    copy.set(key, _deepCopy(entryValue, copies));
+                });
+            } else if (value instanceof Set) {
+                copy = new Set();
+                copies.set(value, copy);
+                value.forEach(function (element) {
+                    copy.add(_deepCopy(element, copies));
+                });
+            } else {
+                copy = value instanceof Array ? new Array(value.length) : Object.create(Object.getPrototypeOf(value));
+                copies.set(value, copy);
+
+                var keys = Object.keys(value);
+                for (var i = 0; i < keys.length; i++) {
+                    copy[keys[i]] = _deepCopy(value[keys[i]], copies);
                 }
             }
 
-            return propertyCount !== invalidPropertyCount;
+            copies.set(value, copy);
+
+            return copy;
         };
 
         /**
-         * Fetches a mapped object by search for an object with a matching identifier as to what is provided.
+         * Determines if a value is a built-in object that is tracked as a single value rather
+         * than as a child object: a RegExp, Map, Set, ArrayBuffer, typed array or DataView.
+         *
+         * @private
+         * @param {*} value The value to test.
+         * @returns {boolean}
          */
-        var _getMappedObjectByIdentifier = function (identifier) {
-            for (var i = 0; i < _objectMap.length; i++) {
-                if (_objectMap[i].identifier === identifier) {
-                    return _objectMap[i];
+        var _isStructuredValue = function (value) {
+            return value instanceof RegExp || value instanceof Map || value instanceof Set ||
+                value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+        };
+
+        /**
+         * Determines if every element of a Set has a matching element in another Set of the
+         * same size. Elements are matched by value, so a copied Set matches the Set it was
+         * copied from. Each element of the other Set is matched once.
+         *
+         * @private
+         * @param {Set} a A Set.
+         * @param {Set} b Another Set.
+         * @param {Map} compared The pairs compared so far, so that cycles end.
+         * @returns {boolean}
+         */
+        var _isSameSet = function (a, b, compared) {
+            var unmatched = [];
+            b.forEach(function (element) {
+                if (!a.has(element)) {
+                    unmatched.push(element);
                 }
-            }
+            });
 
-            return null;
+            var isSame = true;
+            a.forEach(function (element) {
+                if (!isSame || b.has(element)) { return; }
+
+                for (var i = 0; i < unmatched.length; i++) {
+                    // A failed match must not leave its pairs behind as compared
+                    if (_isSameValue(element, unmatched[i], new Map(compared))) {
+                        unmatched.splice(i, 1);
+                        return;
+                    }
+                }
+
+                isSame = false;
+            });
+
+            return isSame;
         };
 
         /**
-         * Copies that values from the source object to the mapped objects current and original values only
-         * if those properties exist on the mapped objects, the property is a property we track, and that the 
-         * values don't already match.
+         * Determines if two values hold the same data. Dates are compared by time, RegExps
+         * by source and flags, and Maps, Sets, arrays, typed arrays and objects by their
+         * contents. NaN is equal to NaN.
+         *
+         * @private
+         * @param {*} a A value.
+         * @param {*} b Another value.
+         * @param {Map} compared The pairs compared so far, so that cycles end.
+         * @returns {boolean}
          */
-        var _synchronizeObject = function (mappedObject, source) {
-            for (var property in source) {
-                if (source.hasOwnProperty(property) &&
-                    _isTrackableProperty(source, property) &&
-                    mappedObject.current.hasOwnProperty(property) &&
-                    mappedObject.original.hasOwnProperty(property) &&
-                    typeof mappedObject.current[property] !== 'object' &&
-                    !(mappedObject.current[property] instanceof Array) &&
-                    mappedObject.current[property] !== source[property]) {
-                    mappedObject.current[property] = source[property];
-                    mappedObject.original[property] = source[property];
+        var _isSameValue = function (a, b, compared) {
+            if (a === b) {
+                return true;
+            } else if (typeof a === 'number' && typeof b === 'number') {
+                return a !== a && b !== b;
+            } else if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+                return false;
+            }
+
+            compared = compared || new Map();
+            if (compared.get(a) === b) {
+                return true;
+            }
+            compared.set(a, b);
+
+            var i;
+
+            if (a instanceof Date) {
+                return _isSameValue(a.getTime(), b.getTime());
+            } else if (a instanceof RegExp) {
+                return a.source === b.source && a.flags === b.flags;
+            } else if (a instanceof ArrayBuffer) {
+                a = new Uint8Array(a);
+                b = new Uint8Array(b);
+            } else if (a instanceof DataView) {
+                a = new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+                b = new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+            }
+
+            if (a instanceof Map) {
+                if (a.size !== b.size) { return false; }
+
+                var isSame = true;
+                a.forEach(function (value, key) {
+                    isSame = isSame && b.has(key) && _isSameValue(value, b.get(key), compared);
+                });
+
+                return isSame;
+            } else if (a instanceof Set) {
+                return a.size === b.size && _isSameSet(a, b, compared);
+            } else if (a instanceof Array || ArrayBuffer.isView(a)) {
+                if (a.length !== b.length) { return false; }
+
+                for (i = 0; i < a.length; i++) {
+                    if (!_isSameValue(a[i], b[i], compared)) { return false; }
                 }
+
+                return true;
+            }
+
+            var keys = Object.keys(a);
+            if (keys.length !== Object.keys(b).length) { return false; }
+
+            for (i = 0; i < keys.length; i++) {
+                if (!b.hasOwnProperty(keys[i]) || !_isSameValue(a[keys[i]], b[keys[i]], compared)) { return false; }
             }
+
+            return true;
         };
 
         /**
-         * Takes the pased array and adds each of its elements to the the context.
+         * Gives us the ability to use placeholders in strings and replace their positions
+         * with specified corresponding values.
          * 
-         * If an element is an array, it will recurse.
+         * @private
+         * @returns {string} A formatted string.
+         */
+        var _stringFormat = function () {
+            var s = arguments[0];
+
+            for (var i = 0; i < arguments.length - 1; i++) {
+                var reg = new RegExp('\\{' + i + '\\}', 'gm');
+                s = s.replace(reg, arguments[i + 1]);
+            }
+
+            return s;
+        };
+
+        /**
+         * Determines if the provided object has any changes to it.
          * 
          * @private
-         * @param {array} ary The array to add to the context.
-         * @param {object} rootParent The root parent of this array.
-         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
-         * @param {string} propertyName The property name on the parent that holds this array.
+         * @param {object} obj The object to test for changes.
+         * @returns {boolean}
          */
-        var _addArray = function(ary, rootParent, isStatusAdded, propertyName) {
-            if (!(ary instanceof Array)) {
-                throw new Error('An array must be specified.');
+        var _doesObjectHaveChanges = function (obj) {
+            return obj.changeset.length > 0 ||
+                   obj.status === ObjectContext.ObjectStatus.Added ||
+                   obj.status === ObjectContext.ObjectStatus.Modified ||
+                   obj.status === ObjectContext.ObjectStatus.Deleted ||
+                   obj.status === ObjectContext.ObjectStatus.Conflicted;
+        };
+
+        /* jshint ignore:start */
+        /**
+         * Updates every loaded object with a new internal sequence number identifier.
+         * @private
+         */
+        var _updateIdentifiers = function () {
+            _lastIdentifier = 0;
+
+            var mappedObjects = _getObjectMap();
+            for (var i = 0; i < mappedObjects.length; i++) {
+                mappedObjects.identifier = ++_lastIdentifier;
+            }
+        };
+        /* jshint ignore:end */
+
+        /**
+         * Returns the type of an object, using the object type property if it has been set
+         * and exists on the object, or the native type otherwise.
+         *
+         * @private
+         * @param {object} obj The object to get the type of.
+         * @returns {string} The type of the object.
+         */
+        var _getObjectType = function (obj) {
+            if (_objectTypePropertyName && _objectTypePropertyName.trim().length > 0 && obj.hasOwnProperty(_objectTypePropertyName)) {
+                return obj[_objectTypePropertyName];
             }
 
-            for (var i = 0; i < ary.length; i++) {
-                if (typeof ary[i] === 'function') {
-                    continue;
-                }
+            return _instanceTypes.has(obj) ? _instanceTypes.get(obj) : _getNativeType(obj);
+        };
 
-                if (ary[i] instanceof Array) {
-                    _addArray(ary[i], rootParent, isStatusAdded, propertyName);
-                } else if (ary[i] && typeof ary[i] === 'object') {
-                    if (self.doesObjectExist(ary[i])) {
-                        continue;
+        /**
+         * Returns the key property name (or names) for a type. A registered type's key takes
+         * precedence over the object key property name.
+         *
+         * @private
+         * @param {string} type The type of the object.
+         * @returns {string|Array|null} The key property name, or an array of names for composite keys.
+         */
+        var _getKeyPropertyName = function (type) {
+            return _types.hasOwnProperty(type) && _types[type].key ? _types[type].key : _objectKeyPropertyName;
+        };
+
+        /**
+         * Returns the key of an object using the key resolver for its type, or the object key
+         * property. Composite keys are returned as an array of values.
+         *
+         * @private
+         * @param {object} obj The object to get the key of.
+         * @param {string} type The type of the object.
+         * @returns {*} The key of the object, or null if it doesn't have one.
+         */
+        var _getObjectKey = function (obj, type) {
+            if (_objectKeyResolvers.hasOwnProperty(type)) {
+                var key = _objectKeyResolvers[type](obj);
+                return key === undefined ? null : key;
+            }
+
+            var keyPropertyName = _getKeyPropertyName(type);
+
+            if (keyPropertyName instanceof Array) {
+                for (var i = 0; i < keyPropertyName.length; i++) {
+                    if (!obj.hasOwnProperty(keyPropertyName[i])) {
+                        return null;
                     }
+                }
+
+                return keyPropertyName.map(function (propertyName) {
+                    return obj[propertyName];
+                });
+            }
+
+            return keyPropertyName && keyPropertyName.trim().length > 0 && obj.hasOwnProperty(keyPropertyName) ? obj[keyPropertyName] : null;
+        };
+
+        /**
+         * Returns the value of the concurrency property configured for the provided type.
+         *
+         * @private
+         * @param {object} obj The object to read the value from.
+         * @param {string} type The type of the object.
+         * @returns {*} The concurrency token, or null if there isn't one.
+         */
+        var _getConcurrencyToken = function (obj, type) {
+            var propertyName = _concurrencyPropertyNames.hasOwnProperty(type) ? _concurrencyPropertyNames[type] : _concurrencyPropertyName;
+            var token = propertyName && obj.hasOwnProperty(propertyName) ? obj[propertyName] : null;
+
+            return token instanceof Date ? new Date(token.getTime()) : token;
+        };
+
+        /**
+         * Captures the concurrency token from the original values of a mapped object. While the
+         * object has unresolved conflicts the token is left alone, so that saving it again
+         * still fails until the conflicts are resolved.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to update.
+         */
+        var _refreshConcurrencyToken = function (mappedObject) {
+            if (mappedObject.status !== ObjectContext.ObjectStatus.Conflicted && !_getConflict(mappedObject)) {
+                mappedObject.concurrencyToken = _getConcurrencyToken(mappedObject.original, mappedObject.type);
+            }
+        };
+
+        /**
+         * Recomputes the key of a mapped object and moves it in the identity map if the key
+         * has changed.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to update.
+         */
+        var _refreshObjectKey = function (mappedObject) {
+            var previousIdentityKey = _getIdentityKey(mappedObject.type, mappedObject.key);
 
-                    _addObject(ary[i], rootParent, ary, isStatusAdded, propertyName);
+            mappedObject.key = _getObjectKey(mappedObject.current, mappedObject.type);
+
+            var identityKey = _getIdentityKey(mappedObject.type, mappedObject.key);
+            if (identityKey !== previousIdentityKey) {
+                _removeFromIndex(_keyIndex, previousIdentityKey, mappedObject);
+
+                if (identityKey !== null) {
+                    _addToIndex(_keyIndex, identityKey, mappedObject);
                 }
             }
         };
 
         /**
-         * Find any children on the provided object that can be added to context.
-         * 
+         * Creates a new temporary key of the configured kind.
+         *
          * @private
-         * @param {object} obj
-         * @param {object} rootParent
-         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
+         * @param {object} obj The object the key is for.
+         * @param {string} type The type of the object.
+         * @returns {*} The temporary key.
          */
-        var _addChildren = function (obj, rootParent, isStatusAdded) {
-            // Check to see if there are any child objects that need to be added to
-            // the context. This includes arrays of objects as well.
-            for (var property in obj) {
+        var _createTemporaryKey = function (obj, type) {
+            if (typeof _temporaryKeyType === 'function') {
+                return _temporaryKeyType(type, obj);
+            } else if (_temporaryKeyType === ObjectContext.TemporaryKeyType.NegativeInteger) {
+                return --_lastTemporaryKey;
+            } else if (root.crypto && typeof root.crypto.randomUUID === 'function') {
+                return root.crypto.randomUUID();
+            }
+
+            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+                var r = Math.random() * 16 | 0;
+                return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+            });
+        };
+
+        /**
+         * Gives a new object a temporary key if temporary keys are enabled and it doesn't have
+         * a key yet. Only objects that use a single key property can be given one.
+         *
+         * @private
+         * @param {object} obj The object being added.
+         * @param {string} type The type of the object.
+         * @returns {*} The temporary key, or null if the object wasn't given one.
+         */
+        var _assignTemporaryKey = function (obj, type) {
+            var keyPropertyName = _getKeyPropertyName(type);
+
+            if (_temporaryKeyType === ObjectContext.TemporaryKeyType.None ||
+                typeof keyPropertyName !== 'string' || keyPropertyName.trim().length === 0 ||
+                _objectKeyResolvers.hasOwnProperty(type) ||
+                (obj[keyPropertyName] !== undefined && obj[keyPropertyName] !== null)) {
+                return null;
+            }
+
+            var temporaryKey = _createTemporaryKey(obj, type);
+            obj[keyPropertyName] = temporaryKey;
+
+            return temporaryKey;
+        };
+
+        /**
+         * Replaces a temporary key value in a property of an object. Array properties have
+         * their matching elements replaced in place.
+         *
+         * @private
+         * @param {object} obj The object to update.
+         * @param {string} property The property to update.
+         * @param {*} temporaryKey The temporary key to look for.
+         * @param {*} key The key to replace it with.
+         * @returns {boolean} Whether or not the temporary key was found.
+         */
+        var _replaceKeyValue = function (obj, property, temporaryKey, key) {
+            var isReplaced = false;
+
+            if (!obj || !obj.hasOwnProperty(property)) {
+                return isReplaced;
+            }
+
+            if (obj[property] instanceof Array) {
+                for (var i = 0; i < obj[property].length; i++) {
+                    if (obj[property][i] === temporaryKey) {
+                        obj[property][i] = key;
+                        isReplaced = true;
+                    }
+                }
+            } else if (obj[property] === temporaryKey) {
+                obj[property] = key;
+                isReplaced = true;
+            }
+
+            return isReplaced;
+        };
+
+        /**
+         * Writes the real key that the server returned for an object with a temporary key
+         * straight to its key property. Both the current and original values are updated,
+         * even when the key property is ignored for change tracking.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object that was saved.
+         * @param {object} source The save result entry of the object.
+         */
+        var _applyServerKey = function (mappedObject, source) {
+            var keyPropertyName = _getKeyPropertyName(mappedObject.type);
+
+            if (typeof keyPropertyName !== 'string' || !source.hasOwnProperty(keyPropertyName) ||
+                source[keyPropertyName] === null || source[keyPropertyName] === undefined ||
+                mappedObject.current[keyPropertyName] !== mappedObject.temporaryKey) {
+                return;
+            }
+
+            mappedObject.current[keyPropertyName] = source[keyPropertyName];
+            mappedObject.original[keyPropertyName] = source[keyPropertyName];
+            _markChanged(mappedObject);
+        };
+
+        /**
+         * Writes the real key of an object that had a temporary key to every foreign key that
+         * references it. Temporary keys are unique within the context, so every trackable
+         * property (or array element) of another tracked object that holds the temporary key
+         * is a reference to it, whether or not a relationship was added for it (see
+         * addRelationship()). Both the current and original values are updated, so
+         * references that were saved with the object don't show up as changes.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object that was given its real key.
+         */
+        var _replaceTemporaryKey = function (mappedObject) {
+            var temporaryKey = mappedObject.temporaryKey;
+            var key = mappedObject.key;
+            var mappedObjects = _getObjectMap();
+
+            mappedObject.temporaryKey = null;
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var dependent = mappedObjects[i];
+                var keyPropertyName = _getKeyPropertyName(dependent.type);
+                var isReplaced = false;
+
+                for (var property in dependent.current) {
+                    // The own key of another new object is never a reference
+                    if (!_isTrackableProperty(dependent.current, property) || property === keyPropertyName) { continue; }
+
+                    if (_replaceKeyValue(dependent.current, property, temporaryKey, key)) {
+                        _replaceKeyValue(dependent.original, property, temporaryKey, key);
+                        _replaceKeyValue(dependent.originalArrays, property, temporaryKey, key);
+                        isReplaced = true;
+                    }
+                }
+
+                if (isReplaced) {
+                    _refreshObjectKey(dependent);
+                }
+            }
+        };
+
+        /**
+         * Returns the tracked object with the same type and key as the provided object. Objects
+         * that are being added with a status of 'Added' are new, so they are never resolved.
+         *
+         * @private
+         * @param {object} obj An incoming object.
+         * @param {boolean} isStatusAdded Whether or not the object is being added with a status of 'Added'.
+         * @returns {object} The tracked instance, or the provided object if there isn't one.
+         */
+        var _resolveObject = function (obj, isStatusAdded) {
+            if (isStatusAdded || !obj || typeof obj !== 'object' || obj instanceof Array || _objectIndex.has(obj)) {
+                return obj;
+            }
+
+            var type = _getObjectType(obj);
+            var identityKey = _getIdentityKey(type, _getObjectKey(obj, type));
+            var entries = identityKey !== null ? _getIndexEntries(_keyIndex, identityKey) : [];
+
+            return entries.length ? entries[0].current : obj;
+        };
+
+        /**
+         * A helper function to create a mapped context object.
+         * 
+         * This will wrap the passed in object, and add any necessary properties to 
+         * aid in the change tracking process.
+         * 
+         * @private
+         * @param {object} obj An object to wrap.
+         * @param {object} status The status of the object.
+         * @param {object} type The type of the object.
+         * @param {object} rootParent The root parent that this object is in the hierarchy of.
+         * @param {object} parent The direct parent of this object.
+         * @param {string} propertyName The property name on the parent that holds this object.
+         */
+        var _createMappedObject = function(obj, status, type, rootParent, parent, propertyName) {
+            var mappedObject = {
+                /**
+                 * The current state of the object.
+                 * @private
+                 */
+                current: obj,
+                /**
+                 * A copy of the object in its unchanged state.
+                 * @private
+                 */
+                original: _deepCopy(obj),
+                /**
+                 * The elements of each array property in their unchanged state. Unlike
+                 * the original copy, these hold references to the elements themselves
+                 * so that we can tell which elements were inserted, removed or moved.
+                 * @private
+                 */
+                originalArrays: _getArraySnapshots(obj),
+                /**
+                 * Returns whether or not the current object has changes from its
+                 * original state.
+                 *
+                 * @private
+                 * @returns {boolean} True if the object has changes from its original state, false otherwise.
+                 */
+                hasChanges: function () {
+                    var hasChanges = _doesObjectHaveChanges(this);
+
+                    // Reset has child changes before rechecking
+                    this.hasChildChanges = false;
+
+                    // Check if this object has any children that have changes
+                    var children = _getChildren(this.current);
+                    for (var i = 0; i < children.length; i++) {
+                        if (_doesObjectHaveChanges(children[i])) {
+                            this.hasChildChanges = true;
+                            break;
+                        }
+                    }
+
+                    return hasChanges;
+                },
+                /**
+                 * An array holding the changes to the current object.
+                 * @private
+                 */
+                changeset: [],
+                /**
+                 * A reference to the root object that this object is a child of.
+                 * If this is the parent, then the value is null.
+                 * @private
+                 */
+                rootParent: rootParent,
+                /**
+                 * A reference to the direct parent object of this object.
+                 * @private
+                 */
+                parent: parent,
+                /**
+                 * Contains the property name on the parent that holds this object.
+                 * @type {string}
+                 */
+                propertyName: propertyName,
+                /**
+                 * Every object that has been found referencing this object, as links of
+                 * {parent, propertyName}. The parent and propertyName fields above are the
+                 * primary link.
+                 * @private
+                 */
+                parents: [],
+                /**
+                 * Identifies if this object has any child objects that are changed.
+                 * @private
+                 */
+                hasChildChanges: false,
+                /**
+                 * Holds the current status of the object we are tracking
+                 * @private
+                 */
+                status: status,
+                /**
+                 * Holds the original status of the object we are tracking
+                 * @private
+                 */
+                originalStatus: status,
+                /**
+                 * The type of the object we are tracking
+                 * @private
+                 */
+                type: type,
+                /**
+                 * Look at the ObjectKeys property to get the keys of the object.
+                 * @private
+                 */
+                key: _getObjectKey(obj, type),
+                /**
+                 * This is the internal unique object identifier. All objects loaded into the 
+                 * context will have a unique sequence number assigned to them
+                 * @private
+                 */
+                identifier: ++_lastIdentifier,
+                /**
+                 * The value of the concurrency property when the object was added or last saved.
+                 * @private
+                 */
+                concurrencyToken: null,
+                /**
+                 * The status the object had before the server reported a concurrency conflict for it.
+                 * @private
+                 */
+                statusBeforeConflict: null,
+                /**
+                 * The temporary key that was generated for the object when it was added.
+                 * @private
+                 */
+                temporaryKey: null
+            };
+
+            mappedObject.concurrencyToken = _getConcurrencyToken(mappedObject.original, type);
+
+            return mappedObject;
+        };
+
+        /**
+         * Determines if the passed property exists on the object, is not a function,
+         * and doesn't start with a reserved character. If all of those are false, then
+         * the property can be tracked.
+         * 
+         * @private
+         * @param {object} obj The object to check the property against.
+         * @param {string} property The property to check.
+         * @returns {boolean} True if the property can be tracked, false otherwise.
+         */
+        var _isTrackableProperty = function (obj, property) {
+            if (!obj.hasOwnProperty(property) ||
+                typeof obj[property] === 'function' ||
+                property.toString().substring(0, 1) === '_' ||
+                property.toString().substring(0, 1) === '$' ||
+                _ignoredProperties.indexOf(property) >= 0) {
+                return false;
+            }
+
+            return true;
+        };
+
+        /**
+         * Determines if all of the properties on the given object are untrackable.
+         *
+         * @private
+         */
+        var _isTrackableObject = function (obj) {
+            var propertyCount = Object.keys(obj).length;
+            if (propertyCount === 0) { return false; }
+
+            var invalidPropertyCount = 0;
+            for (var property in obj) {
+                if (!_isTrackableProperty(obj, property)) {
+                    invalidPropertyCount++;
+                }
+            }
+
+            return propertyCount !== invalidPropertyCount;
+        };
+
+        /**
+         * Adds a mapped object to a Set held in one of the index maps under the provided key.
+         * Sets keep the order the mapped objects were added in, and remove them in constant time.
+         *
+         * @private
+         * @param {Map} index The index to add to.
+         * @param {*} key The key to add the mapped object under.
+         * @param {object} mappedObject The mapped object to add.
+         */
+        var _addToIndex = function (index, key, mappedObject) {
+            var entries = index.get(key);
+
+            if (!entries) {
+                entries = new Set();
+                index.set(key, entries);
+            }
+
+            entries.add(mappedObject);
+        };
+
+        /**
+         * Returns the mapped objects held in one of the index maps under the provided key.
+         *
+         * @private
+         * @param {Map} index The index to read from.
+         * @param {*} key The key the mapped objects are held under.
+         * @returns {array} The mapped objects, in the order they were added.
+         */
+        var _getIndexEntries = function (index, key) {
+            var entries = [];
+
+            if (index.has(key)) {
+                index.get(key).forEach(function (mappedObject) {
+                    entries.push(mappedObject);
+                });
+            }
+
+            return entries;
+        };
+
+        /**
+         * Removes a mapped object from a Set held in one of the index maps under the provided key.
+         * If the Set is left empty, then the key is removed from the index.
+         *
+         * @private
+         * @param {Map} index The index to remove from.
+         * @param {*} key The key the mapped object is held under.
+         * @param {object} mappedObject The mapped object to remove.
+         */
+        var _removeFromIndex = function (index, key, mappedObject) {
+            var entries = index.get(key);
+            if (!entries) { return; }
+
+            entries.delete(mappedObject);
+
+            if (entries.size === 0) {
+                index.delete(key);
+            }
+        };
+
+        /**
+         * Builds the identity map key for an object type and key. Keys are compared by their
+         * string values, so a key of 1 matches a key of '1'.
+         *
+         * @private
+         * @param {string} type The type of the object.
+         * @param {*} key The key of the object.
+         * @returns {string|null} The identity map key, or null if the object has no key.
+         */
+        var _getIdentityKey = function (type, key) {
+            if (key === null || key === undefined) {
+                return null;
+            }
+
+            return JSON.stringify([type, key instanceof Array ? key.map(String) : String(key)]);
+        };
+
+        /**
+         * Adds a mapped object to the object map and all of the indexes.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to add.
+         */
+        var _insertMappedObject = function (mappedObject) {
+            _objectIndex.set(mappedObject.current, mappedObject);
+
+            if (_objectMap) {
+                _objectMap.push(mappedObject);
+            }
+
+            _identifierIndex.set(mappedObject.identifier, mappedObject);
+            _addToIndex(_typeIndex, mappedObject.type, mappedObject);
+
+            var identityKey = _getIdentityKey(mappedObject.type, mappedObject.key);
+            if (identityKey !== null) {
+                _addToIndex(_keyIndex, identityKey, mappedObject);
+            }
+
+            _indexParents(mappedObject);
+        };
+
+        /**
+         * Adds the provided mapped object to the child index under its root parent and parent.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to index.
+         */
+        var _indexParents = function (mappedObject) {
+            if (mappedObject.rootParent) {
+                _addToIndex(_childIndex, mappedObject.rootParent, mappedObject);
+            }
+
+            if (mappedObject.parent && mappedObject.parent !== mappedObject.rootParent) {
+                _addToIndex(_childIndex, mappedObject.parent, mappedObject);
+            }
+        };
+
+        /**
+         * Removes the provided mapped object from the child index under its root parent and parent.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to remove from the index.
+         */
+        var _unindexParents = function (mappedObject) {
+            if (mappedObject.rootParent) {
+                _removeFromIndex(_childIndex, mappedObject.rootParent, mappedObject);
+            }
+
+            if (mappedObject.parent && mappedObject.parent !== mappedObject.rootParent) {
+                _removeFromIndex(_childIndex, mappedObject.parent, mappedObject);
+            }
+        };
+
+        /**
+         * Removes the provided mapped object from the object map and all of the indexes.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to remove.
+         */
+        var _removeMappedObject = function (mappedObject) {
+            if (_objectIndex.get(mappedObject.current) !== mappedObject) { return; }
+
+            // Loops over the current object map keep their copy, so they aren't affected
+            _objectMap = null;
+
+            if (_conflicts.length) {
+                _removeConflicts(mappedObject);
+            }
+
+            _errors.delete(mappedObject);
+
+            _objectIndex.delete(mappedObject.current);
+            _identifierIndex.delete(mappedObject.identifier);
+            _removeFromIndex(_typeIndex, mappedObject.type, mappedObject);
+            _removeFromIndex(_keyIndex, _getIdentityKey(mappedObject.type, mappedObject.key), mappedObject);
+            _unindexParents(mappedObject);
+        };
+
+        /**
+         * Removes every mapped object from the object map and all of the indexes.
+         *
+         * @private
+         */
+        var _clearObjectMap = function () {
+            _objectMap = null;
+            _conflicts.length = 0;
+            _errors.clear();
+            _objectIndex.clear();
+            _identifierIndex.clear();
+            _typeIndex.clear();
+            _keyIndex.clear();
+            _childIndex.clear();
+        };
+
+        /**
+         * Returns the mapped objects that have the provided object as their parent or root parent.
+         *
+         * @private
+         * @param {object} obj The parent object.
+         * @returns {array} An array of mapped objects.
+         */
+        var _getChildren = function (obj) {
+            return _getIndexEntries(_childIndex, obj);
+        };
+
+        /**
+         * Returns the mapped object for a root object followed by the mapped objects for
+         * every object in its hierarchy.
+         *
+         * @private
+         * @param {object} rootParent The root object of the hierarchy.
+         * @returns {array} An array of mapped objects.
+         */
+        var _getHierarchy = function (rootParent) {
+            var hierarchy = _objectIndex.has(rootParent) ? [_objectIndex.get(rootParent)] : [];
+            return hierarchy.concat(_getChildren(rootParent));
+        };
+
+        /**
+         * Fetches a mapped object by search for an object with a matching identifier as to what is provided.
+         * Identifiers that are object keys (such as the keys of a save result map) are strings, so they are
+         * converted back to numbers.
+         */
+        var _getMappedObjectByIdentifier = function (identifier) {
+            return _identifierIndex.get(Number(identifier)) || null;
+        };
+
+        /**
+         * Determines if two property values are the same. Dates are compared by their time.
+         *
+         * @private
+         * @returns {boolean}
+         */
+        var _isSameMergeValue = function (a, b) {
+            if (a instanceof Date || b instanceof Date) {
+                return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+            }
+
+            return a === b;
+        };
+
+        /**
+         * Determines if a save result entry reports a concurrency conflict for an object. The
+         * entry's ConcurrencyToken is the token the server checked the save against, so it
+         * must match the token that was captured for the object. A ConcurrencyConflict flag
+         * reports a conflict as well.
+         *
+         * @private
+         * @param {object} mappedObject The saved mapped object.
+         * @param {object} entry The save result entry of the object.
+         * @returns {boolean}
+         */
+        var _isConcurrencyConflict = function (mappedObject, entry) {
+            if (entry.ConcurrencyConflict === true) {
+                return true;
+            } else if (!entry.hasOwnProperty('ConcurrencyToken') || mappedObject.status === ObjectContext.ObjectStatus.Added) {
+                // New objects don't have a server token to compare against yet
+                return false;
+            }
+
+            var token = entry.ConcurrencyToken;
+            if (mappedObject.concurrencyToken instanceof Date && typeof token === 'string') {
+                token = new Date(token);
+            }
+
+            return !_isSameMergeValue(mappedObject.concurrencyToken, token);
+        };
+
+        /**
+         * Returns the conflict entry for a property, or null if there isn't one.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object holding the property.
+         * @param {string} property The property name. The first conflict of the object is returned if not provided.
+         * @returns {object|null}
+         */
+        var _getConflict = function (mappedObject, property) {
+            for (var i = 0; i < _conflicts.length; i++) {
+                if (_conflicts[i].mappedObject === mappedObject && (property === undefined || _conflicts[i].property === property)) {
+                    return _conflicts[i];
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Removes the conflict entries for a mapped object, or for a single property of it.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to remove the conflicts for.
+         * @param {string} property The property to remove the conflict for. All properties if not provided.
+         */
+        var _removeConflicts = function (mappedObject, property) {
+            for (var i = _conflicts.length - 1; i >= 0; i--) {
+                if (_conflicts[i].mappedObject === mappedObject && (property === undefined || _conflicts[i].property === property)) {
+                    _conflicts.splice(i, 1);
+                }
+            }
+        };
+
+        /**
+         * Copies values from the source object into a mapped object, using the merge strategy for
+         * properties that were also changed locally. Only properties that exist on the mapped object,
+         * are properties we track, and hold primitive values or dates are merged. Child objects are
+         * merged recursively.
+         *
+         * The original value is the common base of the local and server values. If only the server
+         * changed a property, then it is copied to both the current and original values. If both
+         * changed it, then the strategy decides which value wins, or whether a conflict is flagged.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to update.
+         * @param {object} source The object holding the server values.
+         * @param {string} strategy The merge strategy to use.
+         */
+        var _synchronizeObject = function (mappedObject, source, strategy) {
+            _markChanged(mappedObject);
+
+            for (var property in source) {
+                if (!source.hasOwnProperty(property) ||
+                    !_isTrackableProperty(source, property) ||
+                    !mappedObject.current.hasOwnProperty(property) ||
+                    !mappedObject.original.hasOwnProperty(property) ||
+                    mappedObject.current[property] instanceof Array) {
+                    continue;
+                }
+
+                var localValue = mappedObject.current[property];
+                var serverValue = source[property];
+
+                if (localValue && typeof localValue === 'object' && !(localValue instanceof Date)) {
+                    // Merge the values of tracked child objects as well
+                    if (_objectIndex.has(localValue) && serverValue && typeof serverValue === 'object') {
+                        _synchronizeObject(_objectIndex.get(localValue), serverValue, strategy);
+                    }
+                    continue;
+                }
+
+                if (localValue instanceof Date && typeof serverValue === 'string') {
+                    serverValue = new Date(serverValue);
+                }
+
+                var baseValue = mappedObject.original[property];
+                var conflict = _getConflict(mappedObject, property);
+
+                if (_isSameMergeValue(serverValue, baseValue) && !conflict) {
+                    // The server value hasn't changed
+                    continue;
+                }
+
+                if (_isSameMergeValue(localValue, baseValue) || _isSameMergeValue(localValue, serverValue) ||
+                    strategy === ObjectContext.MergeStrategy.OverwriteChanges) {
+                    mappedObject.current[property] = serverValue instanceof Date ? new Date(serverValue.getTime()) : serverValue;
+                    mappedObject.original[property] = serverValue instanceof Date ? new Date(serverValue.getTime()) : serverValue;
+                    _removeConflicts(mappedObject, property);
+                } else if (strategy === ObjectContext.MergeStrategy.FlagConflicts) {
+                    if (conflict) {
+                        conflict.serverValue = serverValue;
+                    } else {
+                        _conflicts.push({mappedObject: mappedObject, property: property, serverValue: serverValue});
+                    }
+                } else {
+                    // Keep the local change, but compare it against the new server value from now on
+                    mappedObject.original[property] = _deepCopy(serverValue);
+                    _removeConflicts(mappedObject, property);
+                }
+            }
+
+            _refreshConcurrencyToken(mappedObject);
+        };
+
+        /**
+         * Settles every conflict on a mapped object, including a Conflicted status. The status
+         * goes back to what it was before the conflict, and the server concurrency token is
+         * taken so the object can be saved again.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to settle the conflicts of.
+         * @param {boolean} useServerValues True to replace local values with the server values, false to keep them.
+         */
+        var _settleConflicts = function (mappedObject, useServerValues) {
+            _markChanged(mappedObject);
+
+            for (var i = _conflicts.length - 1; i >= 0; i--) {
+                var conflict = _conflicts[i];
+                if (conflict.mappedObject !== mappedObject) { continue; }
+
+                var value = conflict.serverValue;
+                if (useServerValues) {
+                    mappedObject.current[conflict.property] = value instanceof Date ? new Date(value.getTime()) : value;
+                }
+
+                mappedObject.original[conflict.property] = value instanceof Date ? new Date(value.getTime()) : value;
+                _conflicts.splice(i, 1);
+            }
+
+            if (mappedObject.status === ObjectContext.ObjectStatus.Conflicted) {
+                mappedObject.status = mappedObject.statusBeforeConflict;
+                mappedObject.statusBeforeConflict = null;
+            }
+
+            _refreshConcurrencyToken(mappedObject);
+        };
+
+        /**
+         * Merges an incoming object into the tracked object with the same type and key. If
+         * there isn't one, then the incoming object is added to the context.
+         *
+         * @private
+         * @param {object} obj The incoming object.
+         * @param {string} strategy The merge strategy to use.
+         * @returns {object} The tracked instance.
+         */
+        var _mergeObject = function (obj, strategy) {
+            var trackedObject = _resolveObject(obj);
+
+            if (trackedObject !== obj) {
+                _synchronizeObject(_objectIndex.get(trackedObject), obj, strategy);
+            } else {
+                _resolveChildren(obj, strategy);
+                _addObject(obj, null, null, false, null);
+            }
+
+            return trackedObject;
+        };
+
+        /**
+         * Resolves the child objects of an incoming object through the identity map before
+         * it is added. A child with the same type and key as a tracked object is replaced by
+         * the tracked instance, which gets the incoming values merged into it. A child that
+         * appears more than once in the incoming data is replaced by its first occurrence.
+         *
+         * @private
+         * @param {object} obj The incoming object.
+         * @param {string} strategy The merge strategy to use.
+         */
+        var _resolveChildren = function (obj, strategy) {
+            var incoming = new Map();
+            var visited = new Set();
+
+            var register = function (value) {
+                var type = _getObjectType(value);
+                var identityKey = _getIdentityKey(type, _getObjectKey(value, type));
+
+                if (identityKey === null) {
+                    return value;
+                } else if (!incoming.has(identityKey)) {
+                    incoming.set(identityKey, value);
+                }
+
+                return incoming.get(identityKey);
+            };
+
+            var resolve = function (value) {
+                if (!value || typeof value !== 'object' || value instanceof Date || _isStructuredValue(value) || _objectIndex.has(value)) {
+                    return value;
+                } else if (value instanceof Array) {
+                    visit(value);
+                    return value;
+                }
+
+                var trackedObject = _resolveObject(value);
+                if (trackedObject !== value) {
+                    _synchronizeObject(_objectIndex.get(trackedObject), value, strategy);
+                    return trackedObject;
+                }
+
+                var resolved = register(value);
+                if (resolved === value) {
+                    visit(value);
+                }
+
+                return resolved;
+            };
+
+            var visit = function (value) {
+                if (visited.has(value)) { return; }
+                visited.add(value);
+
+                for (var property in value) {
+                    if (value instanceof Array ? value.hasOwnProperty(property) : _isTrackableProperty(value, property)) {
+                        var resolved = resolve(value[property]);
+
+                        if (resolved !== value[property]) {
+                            value[property] = resolved;
+                        }
+                    }
+                }
+            };
+
+            register(obj);
+            visit(obj);
+        };
+
+        /**
+         * Takes the pased array and adds each of its elements to the the context.
+         * 
+         * If an element is an array, it will recurse.
+         * 
+         * @private
+         * @param {array} ary The array to add to the context.
+         * @param {object} rootParent The root parent of this array.
+         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
+         * @param {string} propertyName The property name on the parent that holds this array.
+         * @param {object} holder The object that holds this array.
+         */
+        var _addArray = function(ary, rootParent, isStatusAdded, propertyName, holder) {
+            if (!(ary instanceof Array)) {
+                throw new Error('An array must be specified.');
+            }
+
+            for (var i = 0; i < ary.length; i++) {
+                if (typeof ary[i] === 'function') {
+                    continue;
+                }
+
+                if (ary[i] instanceof Array) {
+                    _addArray(ary[i], rootParent, isStatusAdded, propertyName, holder);
+                } else if (ary[i] && typeof ary[i] === 'object' && !(ary[i] instanceof Date) && !_isStructuredValue(ary[i])) {
+                    if (!self.doesObjectExist(ary[i])) {
+                        _addObject(ary[i], rootParent, ary, isStatusAdded, propertyName);
+                    }
+
+                    _addParentLink(ary[i], holder, propertyName);
+                }
+            }
+        };
+
+        /**
+         * Find any children on the provided object that can be added to context.
+         * 
+         * @private
+         * @param {object} obj
+         * @param {object} rootParent
+         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
+         */
+        var _addChildren = function (obj, rootParent, isStatusAdded) {
+            var definition = _types[_getObjectType(obj)];
+
+            // Check to see if there are any child objects that need to be added to
+            // the context. This includes arrays of objects as well.
+            for (var property in obj) {
+                if (obj.hasOwnProperty(property)) {
+                    if (!_isTrackableProperty(obj, property)) {
+                        continue;
+                    }
+
+                    if (definition && definition.children.hasOwnProperty(property)) {
+                        _setChildTypes(obj[property], definition.children[property]);
+                    }
+
+                    if (obj[property] instanceof Array) {
+                        _addArray(obj[property], rootParent || obj, isStatusAdded, property, obj);
+                    } else if (obj[property] && typeof obj[property] === 'object' && !(obj[property] instanceof Date) && !_isStructuredValue(obj[property])) {
+                        if (!self.doesObjectExist(obj[property])) {
+                            _addObject(obj[property], rootParent || obj, obj, isStatusAdded, property);
+                        }
+
+                        _addParentLink(obj[property], obj, property);
+
+                        // Replacing a child object doesn't change the status of its parent, so the parent is marked to be compared for events
+                        var observed = _observedObjects.get(_objectIndex.get(obj));
+                        if (observed && observed.values[property] !== obj[property]) {
+                            observed.isStale = true;
+                        }
+                    }
+                }
+            }
+        };
+
+        /**
+         * Gives the objects in a registered child collection (or a single child object) the
+         * type of the collection, unless they have a type property of their own.
+         *
+         * @private
+         * @param {object|array} value The child object or array of child objects.
+         * @param {string} type The type of the children.
+         */
+        var _setChildTypes = function (value, type) {
+            var children = value instanceof Array ? value : [value];
+
+            for (var i = 0; i < children.length; i++) {
+                var child = children[i];
+
+                if (child && typeof child === 'object' && !(child instanceof Array) && !(child instanceof Date) &&
+                    !(_objectTypePropertyName && child.hasOwnProperty(_objectTypePropertyName)) && !_instanceTypes.has(child)) {
+                    _instanceTypes.set(child, type);
+                }
+            }
+        };
+
+        /**
+         * Returns a new value of a registered data type, converting dates from strings and
+         * numbers.
+         *
+         * @private
+         * @param {string} type The name of the registered type, used in error messages.
+         * @param {string} property The property the value is for.
+         * @param {string} dataType The data type of the property.
+         * @param {*} value The value to check.
+         * @returns {*} The value to use.
+         */
+        var _convertPropertyValue = function (type, property, dataType, value) {
+            if (value === null || value === undefined || dataType === 'any') {
+                return value;
+            }
+
+            if (dataType === 'date' && (typeof value === 'string' || typeof value === 'number')) {
+                value = new Date(value);
+            }
+
+            var isValid = dataType === 'date' ? value instanceof Date && !isNaN(value.getTime()) :
+                dataType === 'array' ? value instanceof Array :
+                dataType === 'object' ? typeof value === 'object' && !(value instanceof Array) :
+                typeof value === dataType;
+
+            if (!isValid) {
+                throw new Error(_stringFormat('Invalid value provided for {0}.{1}. The value must be of type "{2}".', type, property, dataType));
+            }
+
+            return value;
+        };
+
+        /**
+         * Returns a copy of a default value, so instances don't share objects, arrays or
+         * dates. A function is called to create the value.
+         *
+         * @private
+         * @param {*} defaultValue The registered default value.
+         * @returns {*} The value for a new instance.
+         */
+        var _getDefaultValue = function (defaultValue) {
+            if (typeof defaultValue === 'function') {
+                return defaultValue();
+            } else if (defaultValue instanceof Date) {
+                return new Date(defaultValue.getTime());
+            } else if (defaultValue && typeof defaultValue === 'object') {
+                return _deepCopy(defaultValue);
+            }
+
+            return defaultValue;
+        };
+
+        /**
+         * Determines if a property is declared by a registered type, as a property, key
+         * field or child collection. The type property is always allowed.
+         *
+         * @private
+         * @param {object} definition The registered type definition.
+         * @param {string} property The property name.
+         * @returns {boolean}
+         */
+        var _isRegisteredProperty = function (definition, property) {
+            var keys = definition.key instanceof Array ? definition.key : [definition.key];
+
+            return definition.properties.hasOwnProperty(property) || definition.children.hasOwnProperty(property) ||
+                keys.indexOf(property) >= 0 || property === _objectTypePropertyName;
+        };
+
+        /**
+         * Creates a copy of an array that holds the same element references. Date
+         * elements are copied so that later changes to them can be detected.
+         *
+         * @private
+         * @param {array} ary The array to copy.
+         * @returns {array} A shallow copy of the array.
+         */
+        var _copyArrayElements = function (ary) {
+            return ary.map(function (element) {
+                return element instanceof Date ? new Date(element.getTime()) : element;
+            });
+        };
+
+        /**
+         * Returns a snapshot of the elements in every trackable array property on the provided object.
+         *
+         * @private
+         * @param {object} obj The object to take the snapshots from.
+         * @returns {object} A map of property names to shallow copies of their arrays.
+         */
+        var _getArraySnapshots = function (obj) {
+            var snapshots = {};
+
+            for (var property in obj) {
+                if (_isTrackableProperty(obj, property) && obj[property] instanceof Array) {
+                    snapshots[property] = _copyArrayElements(obj[property]);
+                }
+            }
+
+            return snapshots;
+        };
+
+        /**
+         * Replaces the contents of an array with the elements in the provided snapshot,
+         * without replacing the array reference itself.
+         *
+         * @private
+         * @param {array} ary The array to restore.
+         * @param {array} snapshot The elements to restore.
+         * @returns {array} The restored array.
+         */
+        var _restoreArray = function (ary, snapshot) {
+            Array.prototype.splice.apply(ary, [0, ary.length].concat(_copyArrayElements(snapshot)));
+            return ary;
+        };
+
+        /**
+         * Returns the list of unmatched positions for the provided array element. Objects
+         * are matched by reference, Dates by their time and everything else by value.
+         *
+         * @private
+         * @param {object} pools The maps holding the positions of each value.
+         * @param {*} value The array element.
+         * @returns {array} The array of positions for the element.
+         */
+        var _getElementPool = function (pools, value) {
+            var map = value instanceof Date ? pools.dates : pools.values;
+            var key = value instanceof Date ? value.getTime() : value;
+
+            if (!map.has(key)) {
+                map.set(key, []);
+            }
+
+            return map.get(key);
+        };
+
+        /**
+         * Finds the longest strictly increasing subsequence of the provided numbers.
+         *
+         * @private
+         * @param {number[]} values The numbers to search.
+         * @returns {number[]} The positions in values that make up the subsequence.
+         */
+        var _getLongestIncreasingSubsequence = function (values) {
+            var tails = [];
+            var previous = [];
+
+            for (var i = 0; i < values.length; i++) {
+                var low = 0;
+                var high = tails.length;
+
+                while (low < high) {
+                    var middle = (low + high) >> 1;
+                    if (values[tails[middle]] < values[i]) {
+                        low = middle + 1;
+                    } else {
+                        high = middle;
+                    }
+                }
+
+                previous[i] = low > 0 ? tails[low - 1] : -1;
+                tails[low] = i;
+            }
+
+            var positions = [];
+            for (var position = tails.length ? tails[tails.length - 1] : -1; position >= 0; position = previous[position]) {
+                positions.unshift(position);
+            }
+
+            return positions;
+        };
+
+        /**
+         * Determines if the provided array element is a tracked object that is marked as deleted.
+         *
+         * @private
+         * @param {*} value The array element.
+         * @returns {boolean}
+         */
+        var _isDeletedElement = function (value) {
+            var mappedObject = value && typeof value === 'object' ? _objectIndex.get(value) : null;
+            return !!mappedObject && mappedObject.status === ObjectContext.ObjectStatus.Deleted;
+        };
+
+        /**
+         * Compares an array property on a mapped object with its original elements, and
+         * returns which elements were inserted, removed or moved.
+         *
+         * Object elements are matched by reference. Tracked objects that are marked as
+         * deleted are reported as removed even though they are still in the array. For
+         * arrays holding only primitive values, the added and removed values are included
+         * as well.
+         *
+         * @private
+         * @param {object} obj The mapped object holding the array.
+         * @param {string} property The name of the array property.
+         * @returns {object|null} The array changes, or null if the array hasn't changed.
+         */
+        var _getArrayChanges = function (obj, property) {
+            var current = obj.current[property] instanceof Array ? obj.current[property] : [];
+            var original = obj.originalArrays[property] || [];
+            var pools = {values: new Map(), dates: new Map()};
+            var isRetained = [];
+            var matches = [];
+            var changes = {Inserted: [], Removed: [], Moved: []};
+            var i;
+
+            for (i = 0; i < original.length; i++) {
+                _getElementPool(pools, original[i]).push(i);
+            }
+
+            for (i = 0; i < current.length; i++) {
+                if (_isDeletedElement(current[i])) {
+                    continue;
+                }
+
+                var pool = _getElementPool(pools, current[i]);
+
+                if (pool.length) {
+                    var originalIndex = pool.shift();
+                    isRetained[originalIndex] = true;
+                    matches.push({index: i, originalIndex: originalIndex});
+                } else {
+                    changes.Inserted.push({Index: i, Value: current[i]});
+                }
+            }
+
+            for (i = 0; i < original.length; i++) {
+                if (!isRetained[i]) {
+                    changes.Removed.push({Index: i, Value: original[i]});
+                }
+            }
+
+            // The retained elements that keep their relative order are the ones in the longest
+            // increasing run of original indexes. Every other retained element was moved.
+            var isStable = [];
+            _getLongestIncreasingSubsequence(matches.map(function (match) { return match.originalIndex; })).forEach(function (position) {
+                isStable[position] = true;
+            });
+
+            for (i = 0; i < matches.length; i++) {
+                if (!isStable[i]) {
+                    changes.Moved.push({OldIndex: matches[i].originalIndex, NewIndex: matches[i].index, Value: current[matches[i].index]});
+                }
+            }
+
+            if (!changes.Inserted.length && !changes.Removed.length && !changes.Moved.length) {
+                return null;
+            }
+
+            var isPrimitive = function (value) {
+                return value === null || typeof value !== 'object' || value instanceof Date;
+            };
+
+            if (current.every(isPrimitive) && original.every(isPrimitive)) {
+                changes.AddedValues = changes.Inserted.map(function (entry) { return entry.Value; });
+                changes.RemovedValues = changes.Removed.map(function (entry) { return entry.Value; });
+            }
+
+            return changes;
+        };
+
+        /**
+         * Returns the changeset entry for a property on the provided mapped object.
+         *
+         * @private
+         * @param {object} obj The mapped object to search.
+         * @param {string} property The property name to search for.
+         * @returns {object|null} The changeset entry, or null if the property hasn't changed.
+         */
+        var _getChangesetEntry = function (obj, property) {
+            for (var i = 0; i < obj.changeset.length; i++) {
+                if (obj.changeset[i].PropertyName === property.toString()) {
+                    return obj.changeset[i];
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Adds an object to the changeset if it doesn't already exist. If it does
+         * exist then it the current value on that changeset record is updated with
+         * the new current value.
+         * 
+         * @param {object} obj The mapped object to update.
+         * @param {string} property The property that was changed.
+         * @param {object} arrayChanges The element changes if the property is an array.
+         */
+        var _setPropertyChanged = function (obj, property, arrayChanges) {
+            // Check if this property has already been added to the changeset
+            var existingChangeEntry = _getChangesetEntry(obj, property);
+
+            var isDate = obj.current[property] instanceof Date;
+            var newValue = isDate ? obj.current[property].toISOString() : obj.current[property];
+
+            // Copy built-in values such as Maps, so later changes to them don't change the entry
+            if (_isStructuredValue(newValue)) {
+                newValue = _deepCopy(newValue);
+            }
+
+            if (existingChangeEntry !== null) {
+                // Check if the original value is different to the new value in the object
+                if (arrayChanges || !_isEqualValue(obj, property)) {
+                    // Update the existing changeset entry current value
+                    existingChangeEntry.NewValue = newValue;
+
+                    if (arrayChanges) {
+                        existingChangeEntry.ArrayChanges = arrayChanges;
+                    }
+                } else {
+                    // Since the object was reset to its original value, we remove it from the changeset
+                    obj.changeset.splice(obj.changeset.indexOf(existingChangeEntry), 1);
+                }
+            } else {
+                // Add a new changeset entry
+                var changesetEntry = {
+                    PropertyName: property.toString(),
+                    OldValue: obj.original[property],
+                    NewValue: newValue
+                };
+
+                if (arrayChanges) {
+                    changesetEntry.ArrayChanges = arrayChanges;
+                }
+
+                obj.changeset.push(changesetEntry);
+
+                // Update the object status to modified only if it is currently unmodified
+                if (obj.status === ObjectContext.ObjectStatus.Unmodified) {
+                    obj.status = ObjectContext.ObjectStatus.Modified;
+                }
+            }
+        };
+
+        /**
+         * Returns the equality comparer for a property of a mapped object. The most specific
+         * comparer wins: the type and property, then the property path, then the type, then
+         * the global comparer.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object holding the property.
+         * @param {string} property The property name.
+         * @returns {function|null} The comparer, or null to use the default comparison.
+         */
+        var _getEqualityComparer = function (mappedObject, property) {
+            var propertyKey = JSON.stringify([mappedObject.type, property]);
+
+            if (_equalityComparers.properties.hasOwnProperty(propertyKey)) {
+                return _equalityComparers.properties[propertyKey];
+            }
+
+            if (Object.keys(_equalityComparers.paths).length) {
+                var rootPath = mappedObject.rootParent ? _getPropertyPath(mappedObject, _objectIndex.get(mappedObject.rootParent)) : '';
+                var path = (rootPath ? rootPath.replace(/\[\d+\]/g, '') + '.' : '') + property;
+
+                if (_equalityComparers.paths.hasOwnProperty(path)) {
+                    return _equalityComparers.paths[path];
+                }
+            }
+
+            if (_equalityComparers.types.hasOwnProperty(mappedObject.type)) {
+                return _equalityComparers.types[mappedObject.type];
+            }
+
+            return _equalityComparers.global;
+        };
+
+        /**
+         * Determines if the current value of a property is equal to its original value. Dates,
+         * Maps, Sets and other built-in values are compared by their contents (see _isSameValue()),
+         * and everything else strictly, unless an equality comparer has been set for the
+         * property (see setEqualityComparer()).
+         *
+         * @private
+         * @param {object} mappedObject The mapped object holding the property.
+         * @param {string} property The property name.
+         * @returns {boolean} True if the value hasn't changed, false otherwise.
+         */
+        var _isEqualValue = function (mappedObject, property) {
+            var currentValue = mappedObject.current[property];
+            var originalValue = mappedObject.original[property];
+            var comparer = _getEqualityComparer(mappedObject, property);
+
+            if (comparer) {
+                return !!comparer(currentValue, originalValue, {object: mappedObject.current, propertyName: property, type: mappedObject.type});
+            }
+
+            return _isSameValue(currentValue, originalValue);
+        };
+
+        /**
+         * Checks to see if this mapped object has any properties in the current 
+         * object that have changed from the original.
+         * 
+         * Any functions/private properties are skipped. Any object/arrays are skipped
+         * because those will be evaluated at a later time.
+         * 
+         * @private
+         * @param {object} obj The mapped object to evaluate for changes.
+         */
+        var _checkForChanges = function (obj) {
+            for (var property in obj.current) {
+                if (obj.current.hasOwnProperty(property)) {
+
+                    // Skip private/angular/array/object properties
+                    if (!_isTrackableProperty(obj.current, property)) {
+                        continue;
+                    }
+
+                    // If this property is an array then compare its elements with the original
+                    // elements. Otherwise just compare the properties values
+                    if (obj.current[property] instanceof Array) {
+                        var arrayChanges = _getArrayChanges(obj, property);
+
+                        if (arrayChanges) {
+                            _setPropertyChanged(obj, property, arrayChanges);
+                        } else if (_getChangesetEntry(obj, property)) {
+                            // The array was put back into its original state, so it no longer has changes
+                            obj.changeset.splice(obj.changeset.indexOf(_getChangesetEntry(obj, property)), 1);
+                        }
+                    } else {
+                        var isValue = obj.current[property] === null || typeof obj.current[property] !== 'object' ||
+                            obj.current[property] instanceof Date || _isStructuredValue(obj.current[property]);
+
+                        if (isValue && !_isEqualValue(obj, property)) {
+                            _setPropertyChanged(obj, property);
+                        } else if (_getChangesetEntry(obj, property)) {
+                            // The property was put back to its original value
+                            obj.changeset.splice(obj.changeset.indexOf(_getChangesetEntry(obj, property)), 1);
+                        }
+                    }
+                }
+            }
+
+            // Properties that were removed from the current object are changes as well
+            for (var originalProperty in obj.original) {
+                if (_isTrackableProperty(obj.original, originalProperty) && !obj.current.hasOwnProperty(originalProperty)) {
+                    _setPropertyChanged(obj, originalProperty);
+                }
+            }
+
+            // Every property was put back to its original value, so the object is no longer modified
+            if (obj.changeset.length === 0 && obj.status === ObjectContext.ObjectStatus.Modified) {
+                obj.status = ObjectContext.ObjectStatus.Unmodified;
+            }
+
+            // The key fields of new objects can still be edited, so keep their keys current
+            if (obj.status === ObjectContext.ObjectStatus.Added) {
+                _refreshObjectKey(obj);
+            }
+        };
+
+        /**
+         * Returns the tracked mapped objects in the order they were added. The array must not
+         * be changed. Objects added while it is being looped over are appended to it, while
+         * removed objects stay in it (check _objectIndex when that matters).
+         * 
+         * @private
+         * @returns {array} The mapped objects.
+         */
+        var _getObjectMap = function () {
+            if (!_objectMap) {
+                var mappedObjects = [];
+
+                _objectIndex.forEach(function (mappedObject) {
+                    mappedObjects.push(mappedObject);
+                });
+
+                _objectMap = mappedObjects;
+            }
+
+            return _objectMap;
+        };
+
+        /**
+         * Returns the mapped object instance using the provided object reference.
+         * 
+         * @private
+         * @param {object} obj The object to search for.
+         * @returns {object} A mapped object.
+         */
+        var _getMappedObject = function (obj) {
+            var mappedObject = _objectIndex.get(_unwrapProxy(obj));
+
+            if (!mappedObject) {
+                throw new Error('Object not found.');
+            }
+
+            return mappedObject;
+        };
+
+        /**
+         * Returns all objects (in their current state) that have the provided status.
+         * 
+         * @private
+         * @param {ObjectStatus} status The status of the requested objects.
+         * @param {boolean} parentsOnly Retrieve only parent objects.
+         * @returns {array} An array of objects with a status of 'status'.
+         */
+        var _getObjectsByStatus = function (status, parentsOnly) {
+            var objects = [];
+            var mappedObjects = _getObjectMap();
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var mappedObject = mappedObjects[i];
+
+                if (mappedObject.status === status && (!parentsOnly || (parentsOnly === true && !mappedObject.rootParent))) {
+                    objects.push(mappedObject.current);
+                }
+            }
+
+            return objects;
+        };
+
+        /**
+         * Returns the native type of the provided object as a string.
+         *
+         * @private
+         * @param {object} obj The object to test.
+         * @returns {string} The type of the object.
+         */
+        var _getNativeType = function (obj) {
+            var funcNameRegex = /function (.{1,})\(/;
+            var results = (funcNameRegex).exec((obj).constructor.toString());
+
+            return (results && results.length > 1) ? results[1] : '';
+        };
+
+        /**
+         * Adds an object to the context. Any changes to the properties on this object
+         * will trigger the context to have changes and notify any subscribers.
+         *
+         * This method wraps the passed in object in an object that we can work with. The
+         * passed in object will be copied so we can store its original state.
+         *
+         * If a meta property does not exist on the object then one will be added to it.
+         *
+         * Any changes that are made to this object can be seen by querying the changeset
+         * property.
+         * 
+         * @private
+         * @param {object} obj An object to add to the context that will be tracked for changes.
+         * @param {object} rootParent The root parent of obj.
+         * @param {object} parent The direct parent of obj.
+         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
+         * @param {string} propertyName The property name on the parent that holds this object.
+         * @returns {object} A reference of this for method chaining.
+         */
+        var _addObject = function(obj, rootParent, parent, isStatusAdded, propertyName) {
+            if (!obj || typeof obj !== 'object' || obj instanceof Array) {
+                throw new Error('Invalid object specified. The value provided must be of type "object".');
+            }
+
+            var status = isStatusAdded ? ObjectContext.ObjectStatus.Added : ObjectContext.ObjectStatus.Unmodified;
+            var type = _getObjectType(obj);
+
+            if (self.doesObjectExist(obj) || !_isTrackableObject(obj)) {
+                return self;
+            }
+
+            var temporaryKey = isStatusAdded ? _assignTemporaryKey(obj, type) : null;
+            var mappedObject = _createMappedObject(obj, status, type, rootParent, parent, propertyName);
+
+            mappedObject.temporaryKey = temporaryKey;
+            _insertMappedObject(mappedObject);
+            _addChildren(obj, rootParent, isStatusAdded);
+
+            return self;
+        };
+
+        /**
+         * Returns the object wrapped by a proxy view that was created by this context.
+         * If the provided value is not one of our proxies, then it is returned as is.
+         *
+         * @private
+         * @param {object} obj An object or a proxy view of an object.
+         * @returns {object} The raw object.
+         */
+        var _unwrapProxy = function (obj) {
+            return obj && typeof obj === 'object' && _proxyTargets.has(obj) ? _proxyTargets.get(obj) : obj;
+        };
+
+        /**
+         * Validates the objects that may have changed, publishes any events, then calls every subscribed change
+         * listener with the current change state of the context. Once validators have been
+         * added, the validation errors are passed as well.
+         *
+         * @private
+         */
+        var _notifyChangeListeners = function () {
+            var hasValidators = Object.keys(_validators).length > 0;
+
+            if (hasValidators) {
+                _validateObjects();
+            }
+
+            _publishEvents();
+
+            for (var i = 0; i < _changeListeners.length; i++) {
+                var listener = _changeListeners[i];
+
+                if (listener && typeof listener === 'function') {
+                    if (hasValidators) {
+                        listener(self.hasChanges(), self.getErrors());
+                    } else {
+                        listener(self.hasChanges());
+                    }
+                }
+            }
+        };
+
+        /**
+         * Determines if the tracked objects are being observed for events, which they are
+         * while there are event handlers or the journal is enabled.
+         *
+         * @private
+         * @returns {boolean}
+         */
+        var _isObserving = function () {
+            return _eventHandlers.length > 0 || _isJournalEnabled;
+        };
+
+        /**
+         * Adds a journal entry for each object an event is about. The entry holds the time,
+         * actor and reason, the object and its identity, and the details of the event.
+         *
+         * @private
+         * @param {object} event The event to record.
+         * @param {array} mappedObjects The mapped objects the event is about.
+         */
+        var _recordJournalEntries = function (event, mappedObjects) {
+            var timestamp = new Date();
+            var actor = typeof _journalActor === 'function' ? _journalActor() : _journalActor;
+
+            mappedObjects.forEach(function (mappedObject) {
+                var entry = {
+                    Timestamp: timestamp,
+                    Actor: actor,
+                    Reason: _journalReason,
+                    Event: event.Event,
+                    Object: mappedObject.current,
+                    Type: mappedObject.type,
+                    ContextIdentifier: mappedObject.identifier,
+                    Key: mappedObject.key
+                };
+
+                for (var field in event) {
+                    if (event.hasOwnProperty(field) && !entry.hasOwnProperty(field) && field !== 'Objects') {
+                        entry[field] = _copyObservedValue(event[field]);
+                    }
+                }
+
+                _journal.push(entry);
+            });
+        };
+
+        /**
+         * Converts a journal value into the form it takes in an exported journal. Tracked
+         * objects are written as a reference to their ContextIdentifier.
+         *
+         * @private
+         * @param {*} value The value to convert.
+         * @returns {*} A JSON copy of the value.
+         */
+        var _toJournalValue = function (value) {
+            if (value instanceof Array) {
+                return value.map(_toJournalValue);
+            } else if (value && typeof value === 'object' && _objectIndex.has(value)) {
+                return {ContextIdentifier: _objectIndex.get(value).identifier};
+            }
+
+            return _toJsonValue(value);
+        };
+
+        /**
+         * Copies a property value so that later changes to it can be found. Arrays are copied
+         * element by element, built-in values are cloned and objects are kept by reference.
+         *
+         * @private
+         * @param {*} value The property value.
+         * @returns {*} The copy.
+         */
+        var _copyObservedValue = function (value) {
+            if (value instanceof Array) {
+                return value.map(_copyObservedValue);
+            } else if (value instanceof Date || _isStructuredValue(value)) {
+                return _deepCopy(value);
+            }
+
+            return value;
+        };
+
+        /**
+         * Determines if two observed values are the same. Arrays are compared element by
+         * element, objects by reference and everything else by value (see _isSameValue()).
+         *
+         * @private
+         * @param {*} a A value.
+         * @param {*} b Another value.
+         * @returns {boolean}
+         */
+        var _isSameObservedValue = function (a, b) {
+            if (a instanceof Array || b instanceof Array) {
+                if (!(a instanceof Array) || !(b instanceof Array) || a.length !== b.length) {
+                    return false;
+                }
+
+                for (var i = 0; i < a.length; i++) {
+                    if (!_isSameObservedValue(a[i], b[i])) {
+                        return false;
+                    }
+                }
+
+                return true;
+            } else if (a && typeof a === 'object' && !(a instanceof Date) && !_isStructuredValue(a)) {
+                return a === b;
+            }
+
+            return _isSameValue(a, b);
+        };
+
+        /**
+         * Captures the status and property values of a mapped object for publishing events.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to observe.
+         * @returns {object} The observed status and values.
+         */
+        var _observeObject = function (mappedObject) {
+            var values = {};
+
+            for (var property in mappedObject.current) {
+                if (_isTrackableProperty(mappedObject.current, property)) {
+                    values[property] = _copyObservedValue(mappedObject.current[property]);
+                }
+            }
+
+            return {status: mappedObject.status, values: values};
+        };
+
+        /**
+         * Starts observing every tracked object, so that only changes made from now on
+         * publish events.
+         *
+         * @private
+         */
+        var _resetObservedObjects = function () {
+            _observedObjects = new Map();
+
+            _objectIndex.forEach(function (mappedObject) {
+                _observedObjects.set(mappedObject, _observeObject(mappedObject));
+            });
+        };
+
+        /**
+         * Compares the tracked objects that may have changed with the way they were when events
+         * were last published, and publishes an event for each property, status, added object
+         * and detached object transition that was found.
+         *
+         * Unmodified objects hold their original values, so unless their status has changed,
+         * a child object was replaced, or they were marked with _markChanged(), they are not
+         * observed again.
+         *
+         * @private
+         */
+        var _publishEvents = function () {
+            if (!_isObserving() || _eventBatchDepth > 0) { return; }
+
+            var events = [];
+            var observedObjects = new Map();
+
+            var addEvent = function (mappedObject, event) {
+                events.push({event: event, mappedObject: mappedObject});
+            };
+
+            _objectIndex.forEach(function (mappedObject) {
+                var observed = _observedObjects.get(mappedObject);
+
+                if (observed && !observed.isStale && observed.status === mappedObject.status &&
+                    mappedObject.status === ObjectContext.ObjectStatus.Unmodified) {
+                    observedObjects.set(mappedObject, observed);
+                    return;
+                }
+
+                var state = _observeObject(mappedObject);
+
+                observedObjects.set(mappedObject, state);
+
+                if (!observed) {
+                    addEvent(mappedObject, {Event: ObjectContext.EventType.ObjectAdded, Object: mappedObject.current, Type: mappedObject.type, Status: mappedObject.status});
+                    return;
+                }
+
+                var rootPath = mappedObject.rootParent ? _getPropertyPath(mappedObject, _objectIndex.get(mappedObject.rootParent)) : '';
+                var properties = Object.keys(observed.values).concat(Object.keys(state.values).filter(function (property) {
+                    return !observed.values.hasOwnProperty(property);
+                }));
+
+                properties.forEach(function (property) {
+                    if (observed.values.hasOwnProperty(property) === state.values.hasOwnProperty(property) &&
+                        _isSameObservedValue(observed.values[property], state.values[property])) {
+                        return;
+                    }
+
+                    addEvent(mappedObject, {
+                        Event: ObjectContext.EventType.PropertyChanged,
+                        Object: mappedObject.current,
+                        Type: mappedObject.type,
+                        PropertyName: property,
+                        PropertyPath: (rootPath ? rootPath + '.' : '') + property,
+                        OldValue: observed.values[property],
+                        NewValue: _copyObservedValue(state.values[property])
+                    });
+                });
+
+                if (observed.status !== state.status) {
+                    addEvent(mappedObject, {Event: ObjectContext.EventType.StatusChanged, Object: mappedObject.current, Type: mappedObject.type, OldStatus: observed.status, NewStatus: state.status});
+
+                    if (state.status === ObjectContext.ObjectStatus.Deleted) {
+                        addEvent(mappedObject, {Event: ObjectContext.EventType.ObjectDeleted, Object: mappedObject.current, Type: mappedObject.type});
+                    }
+                }
+            });
+
+            _observedObjects.forEach(function (observed, mappedObject) {
+                if (!observedObjects.has(mappedObject)) {
+                    addEvent(mappedObject, {Event: ObjectContext.EventType.ObjectDetached, Object: mappedObject.current, Type: mappedObject.type, Status: observed.status});
+                }
+            });
+
+            _observedObjects = observedObjects;
+            events.forEach(function (entry) {
+                _emitEvent(entry.event, [entry.mappedObject]);
+            });
+        };
+
+        /**
+         * Publishes an objectAdded event for each tracked object that isn't observed yet, so
+         * that objects passed to add() are published right away, before any edits to them.
+         *
+         * @private
+         */
+        var _publishAddedObjects = function () {
+            if (!_isObserving() || _eventBatchDepth > 0) { return; }
+
+            _getObjectMap().filter(function (mappedObject) {
+                return !_observedObjects.has(mappedObject);
+            }).forEach(function (mappedObject) {
+                _observedObjects.set(mappedObject, _observeObject(mappedObject));
+                _emitEvent({Event: ObjectContext.EventType.ObjectAdded, Object: mappedObject.current, Type: mappedObject.type, Status: mappedObject.status}, [mappedObject]);
+            });
+        };
+
+        /**
+         * Records the event in the journal, then calls every event handler subscribed to the
+         * event, by name or with the '*' wildcard, and for the type of the event's object if
+         * the handler has a type. Once-only handlers are unsubscribed before they are called.
+         *
+         * @private
+         * @param {object} event The event to emit.
+         * @param {array} mappedObjects The mapped objects the event is about.
+         */
+        var _emitEvent = function (event, mappedObjects) {
+            if (_isJournalEnabled) {
+                _recordJournalEntries(event, mappedObjects);
+            }
+
+            _eventHandlers.slice().forEach(function (entry) {
+                if (entry.eventName !== '*' && entry.eventName !== event.Event) { return; }
+
+                var handlerEvent = event;
+
+                if (entry.type && event.Objects) {
+                    // Accepted and rejected events only pass the objects of the handler's type
+                    var objects = event.Objects.filter(function (obj) { return _getObjectType(obj) === entry.type; });
+                    if (!objects.length) { return; }
+
+                    handlerEvent = _shallowCopy(event);
+                    handlerEvent.Objects = objects;
+                } else if (entry.type && event.Type !== entry.type) {
+                    return;
+                }
+
+                if (entry.once) {
+                    _removeEventHandler(entry);
+                }
+
+                entry.handler(handlerEvent);
+            });
+        };
+
+        /**
+         * Removes an entry from the event handlers. When the last handler is removed, the
+         * objects are no longer observed.
+         *
+         * @private
+         * @param {object} entry The event handler entry.
+         */
+        var _removeEventHandler = function (entry) {
+            var index = _eventHandlers.indexOf(entry);
+
+            if (index >= 0) {
+                _eventHandlers.splice(index, 1);
+            }
+
+            if (!_isObserving()) {
+                _observedObjects = new Map();
+            }
+        };
+
+        /**
+         * Adds an event handler. When the first handler is added, the objects start to be
+         * observed from their current state.
+         *
+         * @private
+         * @param {string} eventName One of the ObjectContext.EventType values, or '*' for every event.
+         * @param {function} handler The function to call with each event.
+         * @param {string} type Only call the handler for events on objects of this type.
+         * @param {boolean} once Whether or not to unsubscribe the handler after its first event.
+         */
+        var _addEventHandler = function (eventName, handler, type, once) {
+            var isEventType = Object.keys(ObjectContext.EventType).some(function (key) {
+                return ObjectContext.EventType[key] === eventName;
+            });
+
+            if (eventName !== '*' && !isEventType) {
+                throw new Error(_stringFormat('Invalid event name provided: {0}', eventName));
+            } else if (typeof handler !== 'function') {
+                throw new Error('The provided handler must be a function callback.');
+            } else if (type !== undefined && type !== null && typeof type !== 'string') {
+                throw new Error('The provided type must be a string.');
+            }
+
+            if (!_isObserving()) {
+                _resetObservedObjects();
+            }
+
+            _eventHandlers.push({eventName: eventName, handler: handler, type: type || null, once: once});
+        };
+
+        /**
+         * Checks a value against a validation rule.
+         *
+         * @private
+         * @param {object} rule The validation rule (see addValidator()).
+         * @param {*} value The value of the property.
+         * @param {object} obj The object holding the property.
+         * @param {string} property The property name, used in the default messages.
+         * @returns {object|null} The failed rule name and message, or null if the value is valid.
+         */
+        var _checkRule = function (rule, value, obj, property) {
+            var isEmpty = value === null || value === undefined;
+            var size = typeof value === 'string' || value instanceof Array ? value.length : (value instanceof Date ? value.getTime() : value);
+            var failure = function (name, message) {
+                return {rule: name, message: rule.message || message};
+            };
+
+            if (rule.required && (isEmpty || (typeof value === 'string' && value.trim().length === 0) || (value instanceof Array && value.length === 0))) {
+                return failure('required', _stringFormat('{0} is required.', property));
+            }
+
+            if (!isEmpty && rule.min !== undefined && size < (rule.min instanceof Date ? rule.min.getTime() : rule.min)) {
+                return failure('range', _stringFormat('{0} must be at least {1}.', property, rule.min));
+            }
+
+            if (!isEmpty && rule.max !== undefined && size > (rule.max instanceof Date ? rule.max.getTime() : rule.max)) {
+                return failure('range', _stringFormat('{0} must be at most {1}.', property, rule.max));
+            }
+
+            if (!isEmpty && rule.pattern && !rule.pattern.test(String(value))) {
+                return failure('pattern', _stringFormat('{0} is not in the correct format.', property));
+            }
+
+            if (rule.validate) {
+                var result = rule.validate(value, obj);
+
+                if (result === false || typeof result === 'string') {
+                    return {rule: 'custom', message: typeof result === 'string' ? result : (rule.message || _stringFormat('{0} is invalid.', property))};
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Runs the validators of the tracked objects that may have changed since they were
+         * last validated, and keeps the results of the others. Added and Modified objects are
+         * always validated, and so are objects that are new, have changed status, or were
+         * marked with _markChanged(). Deleted objects are skipped.
+         *
+         * @private
+         */
+        var _validateObjects = function () {
+            var mappedObjects = _getObjectMap();
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var mappedObject = mappedObjects[i];
+                var validators = _validators[mappedObject.type];
+                var result = _errors.get(mappedObject);
+                var status = mappedObject.status;
+
+                if (!validators || status === ObjectContext.ObjectStatus.Deleted ||
+                    (result && result.status === status && status !== ObjectContext.ObjectStatus.Added && status !== ObjectContext.ObjectStatus.Modified)) {
+                    continue;
+                }
+
+                var errors = [];
+
+                for (var j = 0; j < validators.length; j++) {
+                    var property = validators[j].property;
+                    var failure = _checkRule(validators[j].rule, mappedObject.current[property], mappedObject.current, property);
+
+                    if (failure) {
+                        errors.push({property: property, rule: failure.rule, message: failure.message});
+                    }
+                }
+
+                // Updating an existing entry keeps its place, so errors stay in the order the objects were tracked
+                _errors.set(mappedObject, {status: status, errors: errors});
+            }
+        };
+
+        /**
+         * Marks the validation results and the observed state of a mapped object as out of
+         * date, for changes to its values that don't change its status, such as server values
+         * merged into an Unmodified object. The object is then validated and compared for
+         * events again.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object that has changed.
+         */
+        var _markChanged = function (mappedObject) {
+            var result = _errors.get(mappedObject);
+            var observed = _observedObjects.get(mappedObject);
+
+            if (result) {
+                result.status = null;
+            }
+
+            if (observed) {
+                observed.isStale = true;
+            }
+        };
+
+        /**
+         * Returns the validation errors of the Added and Modified objects, which keep their
+         * changes from being accepted or saved.
+         *
+         * @private
+         * @returns {array} The public validation error entries (see getErrors()).
+         */
+        var _getBlockingErrors = function () {
+            _validateObjects();
+
+            return self.getErrors().filter(function (error) {
+                var status = _objectIndex.get(error.Object).status;
+                return status === ObjectContext.ObjectStatus.Added || status === ObjectContext.ObjectStatus.Modified;
+            });
+        };
+
+        /**
+         * Creates the Error thrown (or rejected with) when changes can't be accepted because
+         * objects are invalid. The validation errors are attached as validationErrors.
+         *
+         * @private
+         * @param {array} errors The blocking validation errors.
+         * @returns {Error}
+         */
+        var _createValidationError = function (errors) {
+            var error = new Error('Validation Error: ' + errors.map(function (entry) { return entry.PropertyPath + ': ' + entry.Message; }).join(' '));
+            error.validationErrors = errors;
+
+            return error;
+        };
+
+        /**
+         * Called whenever a value is written through a proxy view. Only the mapped
+         * object that owns the written value is checked for changes, so there is no
+         * need to evaluate the whole context.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object that owns the written value.
+         */
+        var _onProxyWrite = function (mappedObject) {
+            // The object may have been removed from the context since the proxy was created
+            if (!self.doesObjectExist(mappedObject.current) || mappedObject.status === ObjectContext.ObjectStatus.Deleted) {
+                return;
+            }
+
+            _addChildren(mappedObject.current, mappedObject.rootParent, true);
+            _checkForChanges(mappedObject);
+            _onChangeCycleComplete([mappedObject]);
+            _notifyChangeListeners();
+        };
+
+        /**
+         * Creates (or returns the existing) proxy view for an object or an array.
+         *
+         * Reading a tracked child object or an array through the proxy returns a proxy
+         * for that value as well, so writes anywhere in the hierarchy are picked up.
+         *
+         * @private
+         * @param {object} target The object or array to wrap.
+         * @param {object} owner The mapped object that owns the target. For arrays, this is the object holding the array.
+         * @returns {Proxy} A proxy view of the target.
+         */
+        var _createProxy = function (target, owner) {
+            if (_proxies.has(target)) {
+                return _proxies.get(target);
+            }
+
+            var proxy = new Proxy(target, {
+                get: function (obj, property) {
+                    var value = obj[property];
+
+                    if (value instanceof Array) {
+                        return _createProxy(value, owner);
+                    } else if (value && typeof value === 'object' && self.doesObjectExist(value)) {
+                        return _createProxy(value, _getMappedObject(value));
+                    }
+
+                    return value;
+                },
+                set: function (obj, property, value) {
+                    obj[property] = _unwrapProxy(value);
+                    _onProxyWrite(owner);
+                    return true;
+                },
+                deleteProperty: function (obj, property) {
+                    delete obj[property];
+                    _onProxyWrite(owner);
+                    return true;
+                }
+            });
+
+            _proxies.set(target, proxy);
+            _proxyTargets.set(proxy, target);
+
+            return proxy;
+        };
+
+        /**
+         * Splits an RFC 6901 JSON Pointer into its unescaped segments.
+         *
+         * @private
+         * @param {string} pointer The JSON Pointer to parse.
+         * @returns {string[]} The segments of the pointer.
+         */
+        var _parseJsonPointer = function (pointer) {
+            if (typeof pointer !== 'string' || (pointer.length > 0 && pointer.charAt(0) !== '/')) {
+                throw new Error('Invalid JSON Pointer provided: ' + pointer);
+            }
+
+            if (pointer.length === 0) {
+                return [];
+            }
+
+            return pointer.substring(1).split('/').map(function (segment) {
+                return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            });
+        };
+
+        /**
+         * Converts a JSON Pointer segment into an index of the provided array.
+         *
+         * @private
+         * @param {array} ary The array the segment refers to.
+         * @param {string} segment The pointer segment.
+         * @param {boolean} isInsert Whether the index is used to insert an element, which allows the '-' segment and the index after the last element.
+         * @returns {number} The array index.
+         */
+        var _getArrayIndex = function (ary, segment, isInsert) {
+            if (isInsert && segment === '-') {
+                return ary.length;
+            }
+
+            if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+                throw new Error('Invalid JSON Pointer array index: ' + segment);
+            }
+
+            var index = parseInt(segment, 10);
+
+            if (index > ary.length || (!isInsert && index === ary.length)) {
+                throw new Error('JSON Pointer array index is out of bounds: ' + segment);
+            }
+
+            return index;
+        };
+
+        /**
+         * Returns the value that the provided JSON Pointer segments refer to.
+         *
+         * @private
+         * @param {object} document The object the pointer is relative to.
+         * @param {string[]} segments The pointer segments.
+         * @returns {*} The value at the pointer.
+         */
+        var _resolveJsonPointer = function (document, segments) {
+            var value = document;
+
+            for (var i = 0; i < segments.length; i++) {
+                if (value instanceof Array) {
+                    value = value[_getArrayIndex(value, segments[i], false)];
+                } else if (value && typeof value === 'object' && value.hasOwnProperty(segments[i])) {
+                    value = value[segments[i]];
+                } else {
+                    throw new Error('JSON Pointer could not be resolved: ' + _toJsonPointer(segments));
+                }
+            }
+
+            return value;
+        };
+
+        /**
+         * Determines if two JSON values are structurally equal.
+         *
+         * @private
+         * @returns {boolean}
+         */
+        var _isJsonEqual = function (a, b) {
+            var i;
+
+            if (a instanceof Array || b instanceof Array) {
+                if (!(a instanceof Array) || !(b instanceof Array) || a.length !== b.length) { return false; }
+
+                for (i = 0; i < a.length; i++) {
+                    if (!_isJsonEqual(a[i], b[i])) { return false; }
+                }
+
+                return true;
+            } else if (a && b && typeof a === 'object' && typeof b === 'object') {
+                var keys = Object.keys(a);
+                if (keys.length !== Object.keys(b).length) { return false; }
+
+                for (i = 0; i < keys.length; i++) {
+                    if (!b.hasOwnProperty(keys[i]) || !_isJsonEqual(a[keys[i]], b[keys[i]])) { return false; }
+                }
+
+                return true;
+            }
+
+            return a === b;
+        };
+
+        /**
+         * Converts an incoming patch value into the value to store on an object. If the
+         * existing value is a Date, then date strings are converted into Date instances.
+         *
+         * @private
+         * @param {*} existingValue The value currently on the object.
+         * @param {*} value The value from the patch.
+         * @returns {*} The value to store.
+         */
+        var _getPatchValue = function (existingValue, value) {
+            if (existingValue instanceof Date && typeof value === 'string' && Date.parse(value)) {
+                return new Date(value);
+            }
+
+            return value;
+        };
+
+        /**
+         * Replaces all trackable properties on the root of a patch document with the
+         * properties of the provided value. The object reference itself is kept.
+         *
+         * @private
+         * @param {object} document The object to replace the contents of.
+         * @param {object} value The new contents.
+         * @param {array} touched Collects the containers and keys that were changed.
+         */
+        var _replacePatchRoot = function (document, value, touched) {
+            if (!value || typeof value !== 'object' || value instanceof Array) {
+                throw new Error('The root of a patched object can only be replaced with an object.');
+            }
+
+            var property;
+
+            for (property in document) {
+                if (_isTrackableProperty(document, property) && !value.hasOwnProperty(property)) {
+                    delete document[property];
+                    touched.push({container: document, key: property});
+                }
+            }
+
+            for (property in value) {
+                if (value.hasOwnProperty(property)) {
+                    document[property] = _getPatchValue(document[property], value[property]);
+                    touched.push({container: document, key: property});
+                }
+            }
+        };
+
+        /**
+         * Performs the JSON Patch 'add' operation.
+         *
+         * @private
+         * @param {object} document The object the pointer is relative to.
+         * @param {string[]} segments The pointer segments of the location to add to.
+         * @param {*} value The value to add.
+         * @param {array} touched Collects the containers and keys that were changed.
+         */
+        var _addPatchValue = function (document, segments, value, touched) {
+            if (segments.length === 0) {
+                _replacePatchRoot(document, value, touched);
+                return;
+            }
+
+            var container = _resolveJsonPointer(document, segments.slice(0, -1));
+            var key = segments[segments.length - 1];
+
+            if (container instanceof Array) {
+                container.splice(_getArrayIndex(container, key, true), 0, value);
+            } else if (container && typeof container === 'object') {
+                container[key] = _getPatchValue(container[key], value);
+            } else {
+                throw new Error('JSON Pointer could not be resolved: ' + _toJsonPointer(segments));
+            }
+
+            touched.push({container: container, key: key});
+        };
+
+        /**
+         * Performs the JSON Patch 'remove' operation.
+         *
+         * @private
+         * @param {object} document The object the pointer is relative to.
+         * @param {string[]} segments The pointer segments of the location to remove.
+         * @param {array} touched Collects the containers and keys that were changed.
+         * @returns {*} The removed value.
+         */
+        var _removePatchValue = function (document, segments, touched) {
+            if (segments.length === 0) {
+                throw new Error('The root of a patched object cannot be removed.');
+            }
+
+            var container = _resolveJsonPointer(document, segments.slice(0, -1));
+            var key = segments[segments.length - 1];
+            var value = _resolveJsonPointer(container, [key]);
+
+            if (container instanceof Array) {
+                container.splice(_getArrayIndex(container, key, false), 1);
+            } else {
+                delete container[key];
+            }
+
+            touched.push({container: container, key: key});
+
+            return value;
+        };
+
+        /**
+         * Applies a single JSON Patch (RFC 6902) operation to an object.
+         *
+         * @private
+         * @param {object} document The object the operation paths are relative to.
+         * @param {object} operation The operation to apply.
+         * @param {array} touched Collects the containers and keys that were changed.
+         */
+        var _applyPatchOperation = function (document, operation, touched) {
+            if (!operation || typeof operation !== 'object' || typeof operation.op !== 'string') {
+                throw new Error('Invalid JSON Patch operation: ' + JSON.stringify(operation));
+            }
+
+            if ((operation.op === 'add' || operation.op === 'replace' || operation.op === 'test') && !operation.hasOwnProperty('value')) {
+                throw new Error('The JSON Patch "' + operation.op + '" operation requires a value.');
+            }
+
+            var segments = _parseJsonPointer(operation.path);
+            var from;
+
+            switch (operation.op) {
+                case 'add':
+                    _addPatchValue(document, segments, _deepCopy(operation.value), touched);
+                    break;
+                case 'remove':
+                    _removePatchValue(document, segments, touched);
+                    break;
+                case 'replace':
+                    if (segments.length > 0) {
+                        _resolveJsonPointer(document, segments);
+                        var container = _resolveJsonPointer(document, segments.slice(0, -1));
+                        var key = segments[segments.length - 1];
+                        container[container instanceof Array ? _getArrayIndex(container, key, false) : key] = _getPatchValue(container[key], _deepCopy(operation.value));
+                        touched.push({container: container, key: key});
+                    } else {
+                        _replacePatchRoot(document, _deepCopy(operation.value), touched);
+                    }
+                    break;
+                case 'move':
+                    from = _parseJsonPointer(operation.from);
+                    if (operation.path.indexOf(operation.from + '/') === 0) {
+                        throw new Error('A JSON Patch "move" operation cannot move a value into one of its children.');
+                    }
+                    // The value itself is moved so tracked objects keep their identity
+                    _addPatchValue(document, segments, _removePatchValue(document, from, touched), touched);
+                    break;
+                case 'copy':
+                    from = _parseJsonPointer(operation.from);
+                    _addPatchValue(document, segments, _deepCopy(_toJsonValue(_resolveJsonPointer(document, from))), touched);
+                    break;
+                case 'test':
+                    if (!_isJsonEqual(_toJsonValue(_resolveJsonPointer(document, segments)), operation.value)) {
+                        throw new Error('JSON Patch test failed for path: ' + operation.path);
+                    }
+                    break;
+                default:
+                    throw new Error('Unsupported JSON Patch operation: ' + operation.op);
+            }
+        };
+
+        /**
+         * Returns a copy of a JSON Merge Patch value with all null members removed, which
+         * is the value a merge patch creates when the target doesn't have the member.
+         *
+         * @private
+         * @param {*} value The merge patch value.
+         * @returns {*} The value without null members.
+         */
+        var _removeMergePatchNulls = function (value) {
+            if (!value || typeof value !== 'object' || value instanceof Array) {
+                return value;
+            }
+
+            var result = {};
+            for (var property in value) {
+                if (value.hasOwnProperty(property) && value[property] !== null) {
+                    result[property] = _removeMergePatchNulls(value[property]);
+                }
+            }
+
+            return result;
+        };
+
+        /**
+         * Converts a JSON Merge Patch (RFC 7396) into the equivalent JSON Patch operations
+         * for the provided target object.
+         *
+         * @private
+         * @param {object} target The object the merge patch is applied to.
+         * @param {object} patch The merge patch.
+         * @param {string[]} segments The pointer segments of the target.
+         * @returns {array} An array of JSON Patch operations.
+         */
+        var _getMergePatchOperations = function (target, patch, segments) {
+            var operations = [];
+
+            for (var property in patch) {
+                if (!patch.hasOwnProperty(property)) { continue; }
+
+                var value = patch[property];
+                var propertySegments = segments.concat(property);
+                var targetValue = target[property];
+
+                if (value === null) {
+                    if (target.hasOwnProperty(property)) {
+                        operations.push({op: 'remove', path: _toJsonPointer(propertySegments)});
+                    }
+                } else if (typeof value === 'object' && !(value instanceof Array) &&
+                           targetValue && typeof targetValue === 'object' && !(targetValue instanceof Array) && !(targetValue instanceof Date)) {
+                    operations = operations.concat(_getMergePatchOperations(targetValue, value, propertySegments));
+                } else {
+                    operations.push({op: 'add', path: _toJsonPointer(propertySegments), value: _removeMergePatchNulls(value)});
+                }
+            }
+
+            return operations;
+        };
+
+        /**
+         * Updates the original state of a property that was changed by a patch so that
+         * the new value is no longer seen as a change.
+         *
+         * @private
+         * @param {object} container The object or array that was changed.
+         * @param {string} key The property name or array index that was changed.
+         * @param {array} hierarchy The mapped objects in the hierarchy that was patched.
+         */
+        var _acceptPatchedValue = function (container, key, hierarchy) {
+            var owner = null;
+            var property = key;
+
+            if (container instanceof Array) {
+                // The array itself is not tracked, so find the object that holds it
+                for (var i = 0; i < hierarchy.length && !owner; i++) {
+                    for (var candidateProperty in hierarchy[i].current) {
+                        if (hierarchy[i].current.hasOwnProperty(candidateProperty) && hierarchy[i].current[candidateProperty] === container) {
+                            owner = hierarchy[i];
+                            property = candidateProperty;
+                            break;
+                        }
+                    }
+                }
+            } else {
+                owner = _objectIndex.get(container) || null;
+            }
+
+            if (!owner) { return; }
+
+            var value = owner.current[property];
+
+            if (!owner.current.hasOwnProperty(property)) {
+                delete owner.original[property];
+                delete owner.originalArrays[property];
+            } else {
+                if (value instanceof Date) {
+                    owner.original[property] = new Date(value.getTime());
+                } else {
+                    owner.original[property] = value && typeof value === 'object' ? _deepCopy(value) : value;
+                }
+
+                if (value instanceof Array) {
+                    owner.originalArrays[property] = _copyArrayElements(value);
+                } else {
+                    delete owner.originalArrays[property];
+                }
+            }
+
+            var entry = _getChangesetEntry(owner, property);
+            if (entry) {
+                owner.changeset.splice(owner.changeset.indexOf(entry), 1);
+            }
+
+            if (owner.changeset.length === 0 && owner.status === ObjectContext.ObjectStatus.Modified) {
+                owner.status = ObjectContext.ObjectStatus.Unmodified;
+            }
+        };
+
+        /**
+         * Applies JSON Patch operations to a tracked object and updates the context to
+         * match. Objects that the patch added are tracked, and objects that it removed are
+         * dropped from the context.
+         *
+         * If isServerChange is true, then the patched values are accepted as the original
+         * values of the objects, and new objects are tracked as 'Unmodified'. Otherwise the
+         * patched values are tracked as local changes, and removed objects are marked as
+         * 'Deleted' so that rejectChanges() can put the original instances back.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object the patch paths are relative to.
+         * @param {array} operations The JSON Patch operations.
+         * @param {boolean} isServerChange Whether or not to accept the patched values as original values.
+         */
+        var _applyPatch = function (mappedObject, operations, isServerChange) {
+            var i;
+
+            // Apply the patch to a copy first, so that an invalid patch leaves the object untouched
+            var copy = _deepCopy(mappedObject.current);
+            for (i = 0; i < operations.length; i++) {
+                _applyPatchOperation(copy, operations[i], []);
+            }
+
+            var touched = [];
+            for (i = 0; i < operations.length; i++) {
+                _applyPatchOperation(mappedObject.current, operations[i], touched);
+            }
+
+            _markChanged(mappedObject);
+
+            var rootParent = mappedObject.rootParent || mappedObject.current;
+            var hierarchy = _getHierarchy(rootParent);
+
+            for (i = 0; i < hierarchy.length; i++) {
+                _addChildren(hierarchy[i].current, hierarchy[i].rootParent, !isServerChange);
+            }
+
+            hierarchy = _getHierarchy(rootParent);
+            for (i = hierarchy.length - 1; i >= 0; i--) {
+                if (_isAttached(hierarchy[i]) || _updatePrimaryParent(hierarchy[i], [])) {
+                    continue;
+                } else if (isServerChange || hierarchy[i].status === ObjectContext.ObjectStatus.Added) {
+                    _removeMappedObject(hierarchy[i]);
+                } else {
+                    hierarchy[i].status = ObjectContext.ObjectStatus.Deleted;
+                }
+            }
+
+            if (isServerChange) {
+                hierarchy = _getHierarchy(rootParent);
+                for (i = 0; i < touched.length; i++) {
+                    _acceptPatchedValue(touched[i].container, touched[i].key, hierarchy);
+                }
+            }
+
+            self.evaluate();
+        };
+
+        /**
+         * Serializes every tracked object into a JSON-safe state object.
+         *
+         * Values are encoded so that the object graph can be rebuilt exactly. Tracked objects
+         * are written once and referenced by their identifier, arrays are written once to an
+         * array table and referenced by their index, and Date, RegExp, Map, Set, ArrayBuffer,
+         * typed array, DataView, NaN and Infinity values are tagged so they come back
+         * with their type.
+         *
+         * @private
+         * @returns {object} The serialized state.
+         */
+        var _serializeState = function () {
+            var arrays = [];
+            var arrayIds = new Map();
+
+            var encode = function (value) {
+                if (value === undefined || typeof value === 'function') {
+                    return {$undefined: true};
+                } else if (typeof value === 'number' && !isFinite(value)) {
+                    return {$number: String(value)};
+                } else if (value instanceof Date) {
+                    return {$date: isNaN(value.getTime()) ? null : value.toISOString()};
+                } else if (value instanceof RegExp) {
+                    return {$regexp: value.source, flags: value.flags};
+                } else if (value instanceof Map) {
+                    var entries = [];
+                    value.forEach(function (entryValue, entryKey) {
+                        entries.push([encode(entryKey), encode(entryValue)]);
+                    });
+
+                    return {$map: entries};
+                } else if (value instanceof Set) {
+                    var elements = [];
+                    value.forEach(function (element) {
+                        elements.push(encode(element));
+                    });
+
+                    return {$set: elements};
+                } else if (value instanceof ArrayBuffer) {
+                    return {$arrayBuffer: Array.prototype.slice.call(new Uint8Array(value))};
+                } else if (value instanceof DataView) {
+                    return {$dataView: Array.prototype.slice.call(new Uint8Array(value.buffer, value.byteOffset, value.byteLength))};
+                } else if (ArrayBuffer.isView(value)) {
+                    return {$typedArray: Object.prototype.toString.call(value).slice(8, -1), values: Array.prototype.map.call(value, encode)};
+                } else if (value instanceof Array) {
+                    if (!arrayIds.has(value)) {
+                        arrayIds.set(value, arrays.length);
+                        arrays.push(null);
+                        arrays[arrayIds.get(value)] = value.map(encode);
+                    }
+
+                    return {$array: arrayIds.get(value)};
+                } else if (value && typeof value === 'object') {
+                    var mappedObject = _objectIndex.get(value);
+                    if (mappedObject) {
+                        return {$ref: mappedObject.identifier};
+                    }
+
+                    return {$value: encodeProperties(value)};
+                }
+
+                return value;
+            };
+
+            var encodeProperties = function (obj) {
+                var encoded = {};
+
+                for (var property in obj) {
+                    if (obj.hasOwnProperty(property) && typeof obj[property] !== 'function') {
+                        encoded[property] = encode(obj[property]);
+                    }
+                }
+
+                return encoded;
+            };
+
+            var objects = _getObjectMap().map(function (mappedObject) {
+                return {
+                    identifier: mappedObject.identifier,
+                    type: mappedObject.type,
+                    key: encode(mappedObject.key),
+                    status: mappedObject.status,
+                    originalStatus: mappedObject.originalStatus,
+                    statusBeforeConflict: mappedObject.statusBeforeConflict,
+                    concurrencyToken: encode(mappedObject.concurrencyToken),
+                    temporaryKey: encode(mappedObject.temporaryKey),
+                    conflicts: _conflicts.filter(function (conflict) {
+                        return conflict.mappedObject === mappedObject;
+                    }).map(function (conflict) {
+                        return {property: conflict.property, serverValue: encode(conflict.serverValue)};
+                    }),
+                    rootParent: encode(mappedObject.rootParent),
+                    parent: encode(mappedObject.parent),
+                    propertyName: encode(mappedObject.propertyName),
+                    parents: mappedObject.parents.map(function (link) {
+                        return {parent: encode(link.parent), propertyName: link.propertyName};
+                    }),
+                    current: encodeProperties(mappedObject.current),
+                    original: encodeProperties(mappedObject.original),
+                    originalArrays: encodeProperties(mappedObject.originalArrays),
+                    changeset: encode(mappedObject.changeset)
+                };
+            });
+
+            return {
+                version: 1,
+                lastIdentifier: _lastIdentifier,
+                lastTemporaryKey: _lastTemporaryKey,
+                arrays: arrays,
+                objects: objects
+            };
+        };
+
+        /**
+         * Replaces every tracked object in the context with the objects in a serialized state.
+         *
+         * @private
+         * @param {object} state A state created by _serializeState().
+         * @param {object|function} constructors The constructors of the tracked objects' types (see importState()).
+         */
+        var _deserializeState = function (state, constructors) {
+            if (!state || state.version !== 1 || !(state.arrays instanceof Array) || !(state.objects instanceof Array)) {
+                throw new Error('Invalid state provided.');
+            }
+
+            var arrays = state.arrays.map(function () { return []; });
+            var objects = new Map();
+
+            // Tracked objects are created with the prototype of their type's constructor, if one was provided
+            var createInstance = function (type) {
+                var constructor = typeof constructors === 'function' ? constructors(type) :
+                    (constructors && constructors.hasOwnProperty(type) ? constructors[type] : null);
+
+                if (constructor !== null && constructor !== undefined && typeof constructor !== 'function') {
+                    throw new Error(_stringFormat('Invalid constructor provided for the type: {0}', type));
+                }
+
+                return constructor ? Object.create(constructor.prototype) : {};
+            };
+
+            var decode = function (value) {
+                if (!value || typeof value !== 'object') {
+                    return value;
+                } else if (value.$undefined) {
+                    return undefined;
+                } else if (value.hasOwnProperty('$number')) {
+                    return Number(value.$number);
+                } else if (value.hasOwnProperty('$date')) {
+                    return value.$date === null ? new Date(NaN) : new Date(value.$date);
+                } else if (value.hasOwnProperty('$regexp')) {
+                    return new RegExp(value.$regexp, value.flags);
+                } else if (value.hasOwnProperty('$map')) {
+                    return new Map(value.$map.map(function (entry) { return [decode(entry[0]), decode(entry[1])]; }));
+                } else if (value.hasOwnProperty('$set')) {
+                    return new Set(value.$set.map(decode));
+                } else if (value.hasOwnProperty('$arrayBuffer')) {
+                    return new Uint8Array(value.$arrayBuffer).buffer;
+                } else if (value.hasOwnProperty('$dataView')) {
+                    return new DataView(new Uint8Array(value.$dataView).buffer);
+                } else if (value.hasOwnProperty('$typedArray')) {
+                    if (!/^(Int|Uint|Float)(8|16|32|64)(Clamped)?Array$/.test(value.$typedArray) || typeof root[value.$typedArray] !== 'function') {
+                        throw new Error('Invalid state provided. Unknown typed array: ' + value.$typedArray);
+                    }
+
+                    return new root[value.$typedArray](value.values.map(decode));
+                } else if (value.hasOwnProperty('$array')) {
+                    return arrays[value.$array];
+                } else if (value.hasOwnProperty('$ref')) {
+                    return objects.get(value.$ref);
+                }
+
+                return decodeProperties(value.$value, {});
+            };
+
+            var decodeProperties = function (encoded, obj) {
+                for (var property in encoded) {
+                    if (encoded.hasOwnProperty(property)) {
+                        obj[property] = decode(encoded[property]);
+                    }
+                }
+
+                return obj;
+            };
+
+            // Create the tracked objects first so that every reference can be resolved
+            state.objects.forEach(function (node) {
+                objects.set(node.identifier, createInstance(node.type));
+            });
+
+            state.arrays.forEach(function (items, index) {
+                for (var i = 0; i < items.length; i++) {
+                    arrays[index][i] = decode(items[i]);
+                }
+            });
+
+            var mappedObjects = state.objects.map(function (node) {
+                var current = decodeProperties(node.current, objects.get(node.identifier));
+                var mappedObject = _createMappedObject(current, node.status, node.type, decode(node.rootParent), decode(node.parent), decode(node.propertyName));
+
+                if (_getObjectType(current) !== node.type) {
+                    _instanceTypes.set(current, node.type);
+                }
+
+                mappedObject.original = decodeProperties(node.original, createInstance(node.type));
+                mappedObject.originalArrays = decodeProperties(node.originalArrays, {});
+                mappedObject.originalStatus = node.originalStatus;
+                mappedObject.changeset = decode(node.changeset);
+                mappedObject.key = decode(node.key);
+                mappedObject.identifier = node.identifier;
+                mappedObject.statusBeforeConflict = node.statusBeforeConflict || null;
+                mappedObject.concurrencyToken = node.hasOwnProperty('concurrencyToken') ? decode(node.concurrencyToken) : null;
+                mappedObject.temporaryKey = node.hasOwnProperty('temporaryKey') ? decode(node.temporaryKey) : null;
+                mappedObject.parents = (node.parents || []).map(function (link) {
+                    return {parent: decode(link.parent), propertyName: link.propertyName};
+                });
+
+                return mappedObject;
+            });
+
+            _clearObjectMap();
+            _transactions.length = 0;
+            mappedObjects.forEach(_insertMappedObject);
+
+            state.objects.forEach(function (node, index) {
+                (node.conflicts || []).forEach(function (conflict) {
+                    _conflicts.push({mappedObject: mappedObjects[index], property: conflict.property, serverValue: decode(conflict.serverValue)});
+                });
+            });
+            _lastIdentifier = state.lastIdentifier;
+            _lastTemporaryKey = state.lastTemporaryKey || 0;
+            _resetHistory();
+        };
+
+        /**
+         * Creates a shallow copy of an object.
+         *
+         * @private
+         * @param {object} obj The object to copy.
+         * @returns {object} A copy holding the same property values.
+         */
+        var _shallowCopy = function (obj) {
+            var copy = {};
+
+            for (var property in obj) {
                 if (obj.hasOwnProperty(property)) {
-                    if (!_isTrackableProperty(obj, property)) {
-                        continue;
+                    copy[property] = obj[property];
+                }
+            }
+
+            return copy;
+        };
+
+        /**
+         * Captures the state of a single tracked object, so that it can be restored later.
+         * The values and array elements are kept in the same form as the original values
+         * and original arrays of a mapped object. Array elements and Dates are copied, while
+         * child objects are held by reference since their own state is captured separately.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to capture.
+         * @returns {object} The captured state.
+         */
+        var _captureState = function (mappedObject) {
+            var values = {};
+            var arrays = {};
+            var count = 0;
+
+            for (var property in mappedObject.current) {
+                if (!_isTrackableProperty(mappedObject.current, property)) { continue; }
+
+                var value = mappedObject.current[property];
+                count++;
+
+                if (value instanceof Array) {
+                    values[property] = value;
+                    arrays[property] = _copyArrayElements(value);
+                } else {
+                    values[property] = value instanceof Date || _isStructuredValue(value) ? _deepCopy(value) : value;
+                }
+            }
+
+            return {
+                mappedObject: mappedObject,
+                values: values,
+                arrays: arrays,
+                count: count,
+                status: mappedObject.status,
+                originalStatus: mappedObject.originalStatus,
+                statusBeforeConflict: mappedObject.statusBeforeConflict,
+                concurrencyToken: mappedObject.concurrencyToken,
+                temporaryKey: mappedObject.temporaryKey,
+                key: mappedObject.key,
+                rootParent: mappedObject.rootParent,
+                parent: mappedObject.parent,
+                propertyName: mappedObject.propertyName,
+                parents: mappedObject.parents.slice(),
+                conflicts: _conflicts.length ? _conflicts.filter(function (conflict) { return conflict.mappedObject === mappedObject; }).map(_shallowCopy) : [],
+                changeset: mappedObject.changeset.map(_shallowCopy),
+                original: _shallowCopy(mappedObject.original),
+                originalArrays: _shallowCopy(mappedObject.originalArrays)
+            };
+        };
+
+        /**
+         * Captures the state of every tracked object, so that the context can be restored
+         * by rollback().
+         *
+         * @private
+         * @returns {array} The snapshot of the context.
+         */
+        var _takeSnapshot = function () {
+            return _getObjectMap().map(_captureState);
+        };
+
+        /**
+         * Determines if the values and the status of a tracked object still match a
+         * captured state. A difference is a change that gets its own history step.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to compare.
+         * @param {object} state A captured state of the object.
+         * @returns {boolean}
+         */
+        var _hasSameValues = function (mappedObject, state) {
+            if (mappedObject.status !== state.status) { return false; }
+
+            var current = mappedObject.current;
+            var count = 0;
+
+            for (var property in current) {
+                if (!_isTrackableProperty(current, property)) { continue; }
+
+                var value = current[property];
+                count++;
+
+                if (!state.values.hasOwnProperty(property)) {
+                    return false;
+                } else if (value instanceof Array) {
+                    var elements = state.arrays[property];
+
+                    if (state.values[property] !== value || !elements || elements.length !== value.length) { return false; }
+
+                    for (var i = 0; i < value.length; i++) {
+                        if (!_isSameElement(value[i], elements[i])) { return false; }
+                    }
+                } else if (!(_isStructuredValue(value) ? _isSameValue(value, state.values[property]) : _isSameElement(value, state.values[property]))) {
+                    return false;
+                }
+            }
+
+            return count === state.count;
+        };
+
+        /**
+         * Determines if the bookkeeping of a tracked object (its original values, changeset,
+         * parents and keys) still matches a captured state. Changeset entries are compared by
+         * their property names and old values only, since their new values follow from the
+         * current values.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to compare.
+         * @param {object} state A captured state of the object.
+         * @returns {boolean}
+         */
+        var _hasSameDetails = function (mappedObject, state) {
+            var i;
+
+            var isSameReferences = function (x, y) {
+                var keys = Object.keys(x);
+                if (keys.length !== Object.keys(y).length) { return false; }
+
+                for (var j = 0; j < keys.length; j++) {
+                    if (!y.hasOwnProperty(keys[j]) || x[keys[j]] !== y[keys[j]]) { return false; }
+                }
+
+                return true;
+            };
+
+            if (mappedObject.originalStatus !== state.originalStatus ||
+                mappedObject.statusBeforeConflict !== state.statusBeforeConflict ||
+                mappedObject.concurrencyToken !== state.concurrencyToken ||
+                mappedObject.temporaryKey !== state.temporaryKey ||
+                _getIdentityKey(mappedObject.type, mappedObject.key) !== _getIdentityKey(mappedObject.type, state.key) ||
+                mappedObject.rootParent !== state.rootParent ||
+                mappedObject.parent !== state.parent ||
+                mappedObject.propertyName !== state.propertyName ||
+                mappedObject.parents.length !== state.parents.length ||
+                mappedObject.changeset.length !== state.changeset.length) {
+                return false;
+            }
+
+            for (i = 0; i < state.parents.length; i++) {
+                if (mappedObject.parents[i] !== state.parents[i]) { return false; }
+            }
+
+            for (i = 0; i < state.changeset.length; i++) {
+                if (mappedObject.changeset[i].PropertyName !== state.changeset[i].PropertyName ||
+                    !_isSameElement(mappedObject.changeset[i].OldValue, state.changeset[i].OldValue)) {
+                    return false;
+                }
+            }
+
+            return isSameReferences(mappedObject.original, state.original) && isSameReferences(mappedObject.originalArrays, state.originalArrays);
+        };
+
+        /**
+         * Puts a tracked object back into a captured state. If the object is no longer
+         * tracked, then it is tracked again. The key and parent indexes are updated once the
+         * values, key and parents have been restored.
+         *
+         * @private
+         * @param {object} state The captured state to restore.
+         */
+        var _restoreState = function (state) {
+            var mappedObject = state.mappedObject;
+            var current = mappedObject.current;
+            var isTracked = _objectIndex.get(current) === mappedObject;
+            var property;
+
+            if (isTracked) {
+                _removeFromIndex(_keyIndex, _getIdentityKey(mappedObject.type, mappedObject.key), mappedObject);
+                _unindexParents(mappedObject);
+                _removeConflicts(mappedObject);
+                _markChanged(mappedObject);
+            }
+
+            for (property in current) {
+                if (_isTrackableProperty(current, property) && !state.values.hasOwnProperty(property)) {
+                    _restoreValue(current, property, state.values, state.arrays);
+                }
+            }
+
+            for (property in state.values) {
+                if (state.values.hasOwnProperty(property)) {
+                    _restoreValue(current, property, state.values, state.arrays, state.values[property]);
+                }
+            }
+
+            mappedObject.status = state.status;
+            mappedObject.originalStatus = state.originalStatus;
+            mappedObject.statusBeforeConflict = state.statusBeforeConflict;
+            mappedObject.concurrencyToken = state.concurrencyToken;
+            mappedObject.temporaryKey = state.temporaryKey;
+            mappedObject.key = state.key;
+            mappedObject.rootParent = state.rootParent;
+            mappedObject.parent = state.parent;
+            mappedObject.propertyName = state.propertyName;
+            mappedObject.parents = state.parents.slice();
+            mappedObject.changeset = state.changeset.map(_shallowCopy);
+            mappedObject.original = _shallowCopy(state.original);
+            mappedObject.originalArrays = _shallowCopy(state.originalArrays);
+            _conflicts.push.apply(_conflicts, state.conflicts.map(_shallowCopy));
+
+            if (isTracked) {
+                var identityKey = _getIdentityKey(mappedObject.type, mappedObject.key);
+                if (identityKey !== null) {
+                    _addToIndex(_keyIndex, identityKey, mappedObject);
+                }
+
+                _indexParents(mappedObject);
+            } else {
+                _insertMappedObject(mappedObject);
+            }
+        };
+
+        /**
+         * Rebuilds the object map and the indexes so that the tracked objects are in the
+         * provided order. Conflicts and validation errors are kept.
+         *
+         * @private
+         * @param {array} mappedObjects The tracked mapped objects in the order to keep them in.
+         */
+        var _reindexMappedObjects = function (mappedObjects) {
+            _objectMap = null;
+            _objectIndex.clear();
+            _identifierIndex.clear();
+            _typeIndex.clear();
+            _keyIndex.clear();
+            _childIndex.clear();
+
+            mappedObjects.forEach(function (mappedObject) {
+                _insertMappedObject(mappedObject);
+            });
+        };
+
+        /**
+         * Puts every tracked object back into the state it was in when the snapshot was taken.
+         * Objects that were added or removed since then are removed or tracked again.
+         *
+         * @private
+         * @param {array} snapshot The snapshot to restore.
+         */
+        var _restoreSnapshot = function (snapshot) {
+            var states = new Map();
+            var mappedObjects = _getObjectMap();
+
+            snapshot.forEach(function (state) {
+                states.set(state.mappedObject, state);
+            });
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                if (!states.has(mappedObjects[i])) {
+                    _removeMappedObject(mappedObjects[i]);
+                }
+            }
+
+            snapshot.forEach(_restoreState);
+            _reindexMappedObjects(snapshot.map(function (state) { return state.mappedObject; }));
+        };
+
+        /**
+         * Records a history step if the state of the context has changed since the last step.
+         * Only the objects that changed are captured, and the step holds their states from
+         * before and after the change.
+         *
+         * @private
+         * @param {array} mappedObjects The only objects that can have changed, or undefined to compare every object.
+         */
+        var _recordHistory = function (mappedObjects) {
+            if (_undoDepth <= 0) { return; }
+
+            // Objects were tracked or removed, so every object has to be compared
+            var isEveryObject = !mappedObjects || _objectIndex.size !== _historyStates.size;
+            if (isEveryObject) {
+                mappedObjects = _getObjectMap();
+            }
+
+            var changes = [];
+            var isMembershipChanged = false;
+            var comparedStates = 0;
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var mappedObject = mappedObjects[i];
+                var state = _historyStates.get(mappedObject) || null;
+
+                if (!state) {
+                    isMembershipChanged = true;
+                } else if (_hasSameValues(mappedObject, state)) {
+                    // Bookkeeping changes are kept up to date without becoming a step of their own
+                    if (!_hasSameDetails(mappedObject, state)) {
+                        _historyStates.set(mappedObject, _captureState(mappedObject));
+                    }
+
+                    comparedStates++;
+                    continue;
+                } else {
+                    comparedStates++;
+                }
+
+                changes.push({mappedObject: mappedObject, before: state, after: _captureState(mappedObject)});
+            }
+
+            if (isEveryObject && comparedStates !== _historyStates.size) {
+                _historyStates.forEach(function (state, removedObject) {
+                    if (_objectIndex.get(removedObject.current) !== removedObject) {
+                        changes.push({mappedObject: removedObject, before: state, after: null});
+                        isMembershipChanged = true;
+                    }
+                });
+            }
+
+            if (!changes.length) { return; }
+
+            var step = {changes: changes};
+
+            changes.forEach(function (change) {
+                if (change.after) {
+                    _historyStates.set(change.mappedObject, change.after);
+                } else {
+                    _historyStates.delete(change.mappedObject);
+                }
+            });
+
+            // The order of the tracked objects only needs to be kept when it changes
+            if (isMembershipChanged) {
+                step.beforeOrder = _historyOrder;
+                step.afterOrder = _historyOrder = _getObjectMap().slice();
+            }
+
+            _undoStack.push(step);
+
+            if (_undoStack.length > _undoDepth) {
+                _undoStack.shift();
+            }
+
+            _redoStack.length = 0;
+        };
+
+        /**
+         * Restores the objects of a history step to their states from before or after the step.
+         *
+         * @private
+         * @param {object} step The history step to apply.
+         * @param {boolean} isUndo True to restore the states from before the step, false for the states after it.
+         */
+        var _applyHistoryStep = function (step, isUndo) {
+            step.changes.forEach(function (change) {
+                var state = isUndo ? change.before : change.after;
+
+                if (state) {
+                    _restoreState(state);
+                    _historyStates.set(change.mappedObject, state);
+                } else {
+                    _removeMappedObject(change.mappedObject);
+                    _historyStates.delete(change.mappedObject);
+                }
+            });
+
+            var order = isUndo ? step.beforeOrder : step.afterOrder;
+            if (order) {
+                _reindexMappedObjects(order);
+                _historyOrder = order;
+            }
+        };
+
+        /**
+         * Clears the undo and redo history, and starts recording from the current state.
+         *
+         * @private
+         */
+        var _resetHistory = function () {
+            _undoStack.length = 0;
+            _redoStack.length = 0;
+            _historyStates = null;
+            _historyOrder = [];
+
+            if (_undoDepth > 0) {
+                _historyStates = new Map();
+                _historyOrder = _getObjectMap().slice();
+                _historyOrder.forEach(function (mappedObject) {
+                    _historyStates.set(mappedObject, _captureState(mappedObject));
+                });
+            }
+        };
+
+        /**
+         * Called at the end of every change detection cycle to record a history step if
+         * automatic checkpoints are enabled.
+         *
+         * @private
+         * @param {array} mappedObjects The only objects the cycle checked, or undefined if it checked every object.
+         */
+        var _onChangeCycleComplete = function (mappedObjects) {
+            if (_isAutoCheckpointEnabled && _historyBatchDepth === 0) {
+                _recordHistory(mappedObjects);
+            }
+        };
+
+        /**
+         * Sets the service URI to use when making AJAX load requests.
+         *
+         * @public
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.setServiceUri = function (serviceUri) {
+            _serviceUri = serviceUri;
+            return this;
+        };
+
+        /**
+         * Sets the transport used to send requests to the service. A transport is an object with
+         * a send(request) function that returns a Promise. The request has the method, url,
+         * headers, data (an object to send as JSON), timeout and an abort signal. The Promise
+         * resolves with an object holding the response status and data, or rejects if the request
+         * could not be made.
+         *
+         * @public
+         * @param {object} transport The transport to use. Pass null to use the default transport, which uses XMLHttpRequest or fetch.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.setTransport = function (transport) {
+            if (transport !== null && (!transport || typeof transport.send !== 'function')) {
+                throw new Error('Invalid transport provided. The transport must have a send function.');
+            }
+
+            _transport = transport;
+            return this;
+        };
+
+        /**
+         * Updates the date time
+         * @param {Date} date A Date object to update.
+         * @param {string} isoString An ISO-8601 formatted date string.
+         */
+        var _setDate = function(date, isoString) {
+            if (!_isValidDateString(isoString)) {
+                throw new Error('The provided date string \"' + isoString + '\" is in an unsupported format.');
+            }
+
+            var newDate = new Date(isoString);
+            date.setTime(newDate.getTime());
+            return date;
+        };
+
+        /**
+         * Determines if the provided date string is in a valid date format.
+         * @param  {string} dateString The date string to test.
+         * @return {Boolean} True if the date passes the format validation.
+         */
+        var _isValidDateString = function(dateString) {
+            if (typeof dateString !== 'string') {
+                throw new Error('An invalid dateString was provided: ' + dateString);
+            }
+            return Date.parse(dateString);
+        };
+
+        /**
+         * Iterates over the object map and finds all objects that are not referenced
+         * on any other objects anymore and removes their entries from the object map.
+         */
+        var _removeOrphanedChildren = function() {
+            var removed = false;
+            var mappedObjects = _getObjectMap();
+
+            for (var i = mappedObjects.length - 1; i >= 0; i--) {
+                if (mappedObjects[i].parent && mappedObjects[i].propertyName) {
+                    var mappedObject = mappedObjects[i];
+
+                    // A child is kept as long as any of its parents still references it, or
+                    // another object in the same hierarchy does.
+                    if (_getReferencingParents(mappedObject).length) {
+                        _updatePrimaryParent(mappedObject, []);
+                    } else if (!_isReferencedBy(mappedObject, _getHierarchy(mappedObject.rootParent))) {
+                        _removeMappedObject(mappedObject);
+                        removed = true;
+                    }
+                }
+            }
+
+            // Removing a parent can leave its own children unreferenced, so check again
+            if (removed) {
+                _removeOrphanedChildren();
+            }
+        };
+
+        /**
+         * Records that an object was found on a property of another tracked object. An
+         * object can be shared by any number of parents, and every one of them is kept.
+         *
+         * @private
+         * @param {object} child The tracked child object.
+         * @param {object} parent The object holding the child, directly or in an array.
+         * @param {string} propertyName The property on the parent that holds the child.
+         */
+        var _addParentLink = function (child, parent, propertyName) {
+            var mappedObject = _objectIndex.get(child);
+
+            if (!mappedObject || child === parent) { return; }
+
+            for (var i = 0; i < mappedObject.parents.length; i++) {
+                if (mappedObject.parents[i].parent === parent && mappedObject.parents[i].propertyName === propertyName) {
+                    return;
+                }
+            }
+
+            mappedObject.parents.push({parent: parent, propertyName: propertyName});
+        };
+
+        /**
+         * Determines if a property value is the target object or an array (including nested
+         * arrays) that holds the target object.
+         *
+         * @private
+         * @param {*} value The property value.
+         * @param {object} target The object to look for.
+         * @returns {boolean}
+         */
+        var _containsReference = function (value, target) {
+            if (value === target) { return true; }
+            if (!(value instanceof Array)) { return false; }
+
+            for (var i = 0; i < value.length; i++) {
+                if (_containsReference(value[i], target)) {
+                    return true;
+                }
+            }
+
+            return false;
+        };
+
+        /**
+         * Returns the array that directly holds the target object, which is either the
+         * property value itself or an array nested in it.
+         *
+         * @private
+         * @param {*} value The property value.
+         * @param {object} target The object to look for.
+         * @returns {Array|null} The innermost array holding the target, or null if there isn't one.
+         */
+        var _getContainingArray = function (value, target) {
+            if (!(value instanceof Array)) { return null; }
+            if (value.indexOf(target) >= 0) { return value; }
+
+            for (var i = 0; i < value.length; i++) {
+                var ary = _getContainingArray(value[i], target);
+                if (ary) {
+                    return ary;
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Finds every tracked parent that still references the provided mapped object. The
+         * primary parent comes first if it still references the object.
+         *
+         * @private
+         * @param {object} mappedObject The child mapped object.
+         * @returns {array} Links of {mappedObject, propertyName} for each referencing parent.
+         */
+        var _getReferencingParents = function (mappedObject) {
+            var links = mappedObject.parents.slice();
+            var referencing = [];
+
+            if (mappedObject.parent && mappedObject.propertyName) {
+                var primary = mappedObject.parent instanceof Array ? _getArrayHolder(mappedObject) : _objectIndex.get(mappedObject.parent);
+                if (primary) {
+                    links.unshift({parent: primary.current, propertyName: mappedObject.propertyName});
+                }
+            }
+
+            links.forEach(function (link) {
+                var holder = _objectIndex.get(link.parent);
+
+                if (!holder || holder === mappedObject || !_containsReference(holder.current[link.propertyName], mappedObject.current)) {
+                    return;
+                }
+
+                for (var i = 0; i < referencing.length; i++) {
+                    if (referencing[i].mappedObject === holder && referencing[i].propertyName === link.propertyName) {
+                        return;
+                    }
+                }
+
+                referencing.push({mappedObject: holder, propertyName: link.propertyName});
+            });
+
+            return referencing;
+        };
+
+        /**
+         * Makes sure the primary parent of a child is a parent that still references it. If
+         * it isn't, the child (and everything below it) is moved under the first parent that
+         * does, so that paths and hierarchies keep working after a parent lets go of it.
+         *
+         * @private
+         * @param {object} mappedObject The child mapped object.
+         * @param {array} excluded Mapped objects that can't become the parent, e.g. ones being deleted.
+         * @returns {boolean} Whether or not the child still has a parent.
+         */
+        var _updatePrimaryParent = function (mappedObject, excluded) {
+            var links = _getReferencingParents(mappedObject).filter(function (link) {
+                return excluded.indexOf(link.mappedObject) < 0 && link.mappedObject.status !== ObjectContext.ObjectStatus.Deleted &&
+                    _getPathSegments(link.mappedObject, mappedObject) === null;
+            });
+
+            if (!links.length) { return false; }
+
+            var primary = mappedObject.parent instanceof Array ? _getArrayHolder(mappedObject) : _objectIndex.get(mappedObject.parent);
+
+            for (var i = 0; i < links.length; i++) {
+                if (links[i].mappedObject === primary && links[i].propertyName === mappedObject.propertyName) {
+                    return true;
+                }
+            }
+
+            var holder = links[0].mappedObject;
+            var value = holder.current[links[0].propertyName];
+            var oldRoot = mappedObject.rootParent;
+            var newRoot = holder.rootParent || holder.current;
+            var descendants = _getHierarchy(oldRoot).filter(function (candidate) {
+                return candidate !== mappedObject && _getPathSegments(candidate, mappedObject) !== null;
+            });
+
+            _unindexParents(mappedObject);
+            mappedObject.parent = _getContainingArray(value, mappedObject.current) || holder.current;
+            mappedObject.propertyName = links[0].propertyName;
+            mappedObject.rootParent = newRoot;
+            _indexParents(mappedObject);
+
+            descendants.forEach(function (descendant) {
+                _unindexParents(descendant);
+                descendant.rootParent = newRoot;
+                _indexParents(descendant);
+            });
+
+            return true;
+        };
+
+        /**
+         * Determines if any of the provided mapped objects hold a reference to the given
+         * mapped object under its property name, either directly or inside of an array.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to look for.
+         * @param {array} candidates The mapped objects to search.
+         * @returns {boolean} True if a reference was found, false otherwise.
+         */
+        var _isReferencedBy = function (mappedObject, candidates) {
+            for (var i = 0; i < candidates.length; i++) {
+                var candidate = candidates[i];
+
+                if (candidate !== mappedObject && candidate.current.hasOwnProperty(mappedObject.propertyName)) {
+                    var value = candidate.current[mappedObject.propertyName];
+
+                    if (value instanceof Array && value.indexOf(mappedObject.current) >= 0) {
+                        return true;
+                    } else if (typeof value === 'object' && value === mappedObject.current) {
+                        return true;
+                    }
+                }
+            }
+
+            return false;
+        };
+
+        /**
+         * Creates a changeset entry for a mapped object. The entry holds a copy of the object
+         * so that later changes don't affect it.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to create the entry for.
+         * @returns {object} The changeset entry.
+         */
+        var _createChangesetEntry = function (mappedObject) {
+            var changesetEntry = {};
+
+            changesetEntry.Changeset = mappedObject.changeset;
+            changesetEntry.Object = _deepCopy(mappedObject.current);
+            changesetEntry.ContextIdentifier = mappedObject.identifier;
+            changesetEntry.ConcurrencyToken = mappedObject.concurrencyToken;
+
+            return changesetEntry;
+        };
+
+        /**
+         * Returns the value of a foreign key on an object. Composite foreign keys return an
+         * array of values.
+         *
+         * @private
+         * @param {object} obj The object holding the foreign key.
+         * @param {string|Array} foreignKey The foreign key property name or names.
+         * @returns {*} The foreign key value, or null if any part of it is missing.
+         */
+        var _getForeignKeyValue = function (obj, foreignKey) {
+            if (!(foreignKey instanceof Array)) {
+                return obj[foreignKey] === undefined ? null : obj[foreignKey];
+            }
+
+            var value = foreignKey.map(function (name) { return obj[name]; });
+
+            return value.some(function (part) { return part === null || part === undefined; }) ? null : value;
+        };
+
+        /**
+         * Returns the mapped objects that the provided mapped object depends on. These are
+         * its direct parent object, and the tracked objects that its foreign keys reference.
+         *
+         * @private
+         * @param {object} mappedObject The dependent mapped object.
+         * @returns {array} The mapped objects of its principals.
+         */
+        var _getPrincipals = function (mappedObject) {
+            var principals = [];
+            var owner = null;
+
+            if (mappedObject.parent instanceof Array) {
+                owner = _getArrayHolder(mappedObject) || _objectIndex.get(mappedObject.rootParent);
+            } else if (mappedObject.parent) {
+                owner = _objectIndex.get(mappedObject.parent);
+            }
+
+            if (owner) {
+                principals.push(owner);
+            }
+
+            for (var i = 0; i < _relationships.length; i++) {
+                var relationship = _relationships[i];
+                if (relationship.dependentType !== mappedObject.type) { continue; }
+
+                var identityKey = _getIdentityKey(relationship.principalType, _getForeignKeyValue(mappedObject.current, relationship.foreignKey));
+                var entries = identityKey !== null ? _getIndexEntries(_keyIndex, identityKey) : [];
+
+                if (entries.length && principals.indexOf(entries[0]) < 0) {
+                    principals.push(entries[0]);
+                }
+            }
+
+            return principals;
+        };
+
+        /**
+         * Finds the mapped object that holds the array a child object is an element of.
+         *
+         * @private
+         * @param {object} mappedObject A mapped object whose parent is an array.
+         * @returns {object|null} The mapped object holding the array, or null if it could not be found.
+         */
+        var _getArrayHolder = function (mappedObject) {
+            var candidates = _getHierarchy(mappedObject.rootParent);
+
+            for (var i = 0; i < candidates.length; i++) {
+                if (_containsReference(candidates[i].current[mappedObject.propertyName], mappedObject.parent)) {
+                    return candidates[i];
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Builds the list of property names and array indexes that lead from an ancestor
+         * object down to the provided mapped object using the parent and property name links.
+         *
+         * Array indexes are the current position of the object in the array. If the object
+         * is no longer in the array, then its original position is used.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to build the path to.
+         * @param {object} ancestor The mapped object the path is relative to.
+         * @returns {array|null} The path segments, or null if the object is not below the ancestor.
+         */
+        var _getPathSegments = function (mappedObject, ancestor) {
+            var segments = [];
+
+            while (mappedObject !== ancestor) {
+                if (!mappedObject || !mappedObject.parent) {
+                    return null;
+                }
+
+                var holder;
+
+                if (mappedObject.parent instanceof Array) {
+                    holder = _getArrayHolder(mappedObject);
+
+                    var index = mappedObject.parent.indexOf(mappedObject.current);
+                    if (index < 0 && holder && holder.originalArrays[mappedObject.propertyName]) {
+                        index = holder.originalArrays[mappedObject.propertyName].indexOf(mappedObject.current);
+                    }
+
+                    segments.unshift(mappedObject.propertyName, index);
+                } else {
+                    holder = _objectIndex.get(mappedObject.parent);
+                    segments.unshift(mappedObject.propertyName);
+                }
+
+                mappedObject = holder;
+            }
+
+            return segments;
+        };
+
+        /**
+         * Builds the property path from an ancestor object down to the provided mapped
+         * object, e.g. 'favoriteColors[1]'.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to build the path to.
+         * @param {object} ancestor The mapped object the path is relative to.
+         * @returns {string|null} The property path, or null if the object is not below the ancestor.
+         */
+        var _getPropertyPath = function (mappedObject, ancestor) {
+            var segments = _getPathSegments(mappedObject, ancestor);
+            if (segments === null) { return null; }
+
+            var path = '';
+            for (var i = 0; i < segments.length; i++) {
+                if (typeof segments[i] === 'number') {
+                    path += '[' + segments[i] + ']';
+                } else {
+                    path += (path ? '.' : '') + segments[i];
+                }
+            }
+
+            return path;
+        };
+
+        /**
+         * Finds the mapped object and property that a property path points to, starting
+         * from the provided object, e.g. 'favoriteColors[1].name'.
+         *
+         * @private
+         * @param {object} obj An existing context object the path is relative to.
+         * @param {string} path The property path.
+         * @returns {object} An object with the owning mappedObject and the property name.
+         */
+        var _resolvePropertyPath = function (obj, path) {
+            if (typeof path !== 'string' || !path) {
+                throw new Error('Invalid property path provided.');
+            }
+
+            var mappedObject = _getMappedObject(obj);
+            var segments = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(function (segment) {
+                return segment !== '';
+            });
+            var container = mappedObject.current;
+
+            for (var i = 0; i < segments.length - 1; i++) {
+                container = container[segments[i]];
+
+                if (!container || typeof container !== 'object') {
+                    throw new Error(_stringFormat('Invalid property path: {0}', path));
+                }
+            }
+
+            mappedObject = container instanceof Array ? null : _objectIndex.get(container);
+
+            if (!mappedObject) {
+                throw new Error(_stringFormat('Invalid property path: {0}', path));
+            }
+
+            return {
+                mappedObject: mappedObject,
+                property: segments[segments.length - 1]
+            };
+        };
+
+        /**
+         * Returns the tracked child object held by a property, or null if the property
+         * holds any other value.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object holding the property.
+         * @param {string} property The property name.
+         * @returns {object|null} The mapped child object.
+         */
+        var _getChildByProperty = function (mappedObject, property) {
+            var value = mappedObject.current[property];
+
+            if (!value || typeof value !== 'object' || value instanceof Array || value instanceof Date) {
+                return null;
+            }
+
+            return _objectIndex.get(value) || null;
+        };
+
+        /**
+         * Converts a list of path segments into an RFC 6901 JSON Pointer.
+         *
+         * @private
+         * @param {array} segments The property names and array indexes in the path.
+         * @returns {string} A JSON Pointer, e.g. '/favoriteColors/1/name'.
+         */
+        var _toJsonPointer = function (segments) {
+            return segments.map(function (segment) {
+                return '/' + segment.toString().replace(/~/g, '~0').replace(/\//g, '~1');
+            }).join('');
+        };
+
+        /**
+         * Converts a value into the form it takes in a JSON document.
+         *
+         * @private
+         * @param {*} value The value to convert.
+         * @returns {*} A JSON copy of the value.
+         */
+        var _toJsonValue = function (value) {
+            if (value === undefined) {
+                return null;
+            } else if (value instanceof Date) {
+                return value.toISOString();
+            } else if (value && typeof value === 'object') {
+                return JSON.parse(JSON.stringify(value));
+            }
+
+            return value;
+        };
+
+        /**
+         * Determines if two array elements are the same element. Objects are compared by
+         * reference, Dates by their time and everything else by value.
+         *
+         * @private
+         * @returns {boolean}
+         */
+        var _isSameElement = function (a, b) {
+            if (a instanceof Date && b instanceof Date) {
+                return a.getTime() === b.getTime();
+            }
+
+            return a === b || (a !== a && b !== b);
+        };
+
+        /**
+         * Determines if a mapped object can still be reached from its root object through
+         * the parent links, and that none of the objects along the way are new or deleted.
+         * Changes to those objects are covered by the patch operations of their parents.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to test.
+         * @returns {boolean}
+         */
+        var _isReachableForPatch = function (mappedObject) {
+            return _isAttached(mappedObject, function (holder) {
+                return holder.status !== ObjectContext.ObjectStatus.Added && holder.status !== ObjectContext.ObjectStatus.Deleted;
+            });
+        };
+
+        /**
+         * Determines if a mapped object can still be reached from its root object through
+         * the parent links. An object is detached when its parent no longer holds it.
+         *
+         * @private
+         * @param {object} mappedObject The mapped object to test.
+         * @param {function} canPassThrough An optional test every object along the way must pass.
+         * @returns {boolean}
+         */
+        var _isAttached = function (mappedObject, canPassThrough) {
+            while (mappedObject && mappedObject.parent) {
+                if (mappedObject.parent instanceof Array) {
+                    if (mappedObject.parent.indexOf(mappedObject.current) < 0) { return false; }
+                } else if (mappedObject.parent[mappedObject.propertyName] !== mappedObject.current) {
+                    return false;
+                }
+
+                var holder = mappedObject.parent instanceof Array ? _getArrayHolder(mappedObject) : _objectIndex.get(mappedObject.parent);
+                if (!holder || (canPassThrough && !canPassThrough(holder))) {
+                    return false;
+                }
+
+                mappedObject = holder;
+            }
+
+            return true;
+        };
+
+        /**
+         * Creates the JSON Patch operations that turn the original elements of an array
+         * into its current elements. Removals are applied first (highest index first),
+         * followed by the moves and additions in order of their final position.
+         *
+         * @private
+         * @param {array} segments The path segments of the array property.
+         * @param {array} original The original elements of the array.
+         * @param {array} current The current array.
+         * @returns {array} An array of JSON Patch operations.
+         */
+        var _getArrayPatch = function (segments, original, current) {
+            var target = current.filter(function (element) { return !_isDeletedElement(element); });
+            var remaining = target.slice();
+            var working = original.slice();
+            var operations = [];
+            var i, j;
+
+            for (i = working.length - 1; i >= 0; i--) {
+                var found = false;
+
+                for (j = 0; j < remaining.length; j++) {
+                    if (_isSameElement(working[i], remaining[j])) {
+                        remaining.splice(j, 1);
+                        found = true;
+                        break;
+                    }
+                }
+
+                if (!found) {
+                    operations.push({op: 'remove', path: _toJsonPointer(segments.concat(i))});
+                    working.splice(i, 1);
+                }
+            }
+
+            for (i = 0; i < target.length; i++) {
+                if (i < working.length && _isSameElement(working[i], target[i])) {
+                    continue;
+                }
+
+                var from = -1;
+                for (j = i + 1; j < working.length; j++) {
+                    if (_isSameElement(working[j], target[i])) {
+                        from = j;
+                        break;
+                    }
+                }
+
+                if (from >= 0) {
+                    operations.push({op: 'move', from: _toJsonPointer(segments.concat(from)), path: _toJsonPointer(segments.concat(i))});
+                    working.splice(i, 0, working.splice(from, 1)[0]);
+                } else {
+                    operations.push({op: 'add', path: _toJsonPointer(segments.concat(i)), value: _toJsonValue(target[i])});
+                    working.splice(i, 0, target[i]);
+                }
+            }
+
+            return operations;
+        };
+
+        /**
+         * Creates the JSON Patch (RFC 6902) operations for a root mapped object and every
+         * object in its hierarchy.
+         *
+         * @private
+         * @param {object} rootObject The mapped object of the root.
+         * @returns {array} An array of JSON Patch operations.
+         */
+        var _getJsonPatch = function (rootObject) {
+            if (rootObject.status === ObjectContext.ObjectStatus.Added) {
+                return [{op: 'add', path: '', value: _toJsonValue(rootObject.current)}];
+            } else if (rootObject.status === ObjectContext.ObjectStatus.Deleted) {
+                // RFC 6902 doesn't allow removing the root of a document, so deleted roots
+                // are listed by getJsonPatch() instead
+                return [];
+            }
+
+            var operations = [];
+            var candidates = [];
+            var hierarchy = _getHierarchy(rootObject.current);
+            var i;
+
+            // Parents need to be patched before their children, since the paths of the
+            // children use the positions they have after their parents arrays are patched
+            for (i = 0; i < hierarchy.length; i++) {
+                var segments = _getPathSegments(hierarchy[i], rootObject);
+
+                if (segments !== null && _isReachableForPatch(hierarchy[i])) {
+                    candidates.push({mappedObject: hierarchy[i], segments: segments});
+                }
+            }
+
+            candidates.sort(function (a, b) { return a.segments.length - b.segments.length; });
+
+            for (i = 0; i < candidates.length; i++) {
+                var mappedObject = candidates[i].mappedObject;
+                var isInArray = mappedObject.parent instanceof Array;
+
+                if (mappedObject.status === ObjectContext.ObjectStatus.Added) {
+                    // New objects in arrays are added by the patch operations for the array
+                    if (!isInArray) {
+                        var parentObject = _objectIndex.get(mappedObject.parent);
+                        var hadValue = parentObject && parentObject.original.hasOwnProperty(mappedObject.propertyName);
+                        operations.push({op: hadValue ? 'replace' : 'add', path: _toJsonPointer(candidates[i].segments), value: _toJsonValue(mappedObject.current)});
+                    }
+                    continue;
+                } else if (mappedObject.status === ObjectContext.ObjectStatus.Deleted) {
+                    // Deleted objects in arrays are removed by the patch operations for the array
+                    if (!isInArray) {
+                        operations.push({op: 'remove', path: _toJsonPointer(candidates[i].segments)});
+                    }
+                    continue;
+                }
+
+                for (var j = 0; j < mappedObject.changeset.length; j++) {
+                    var property = mappedObject.changeset[j].PropertyName;
+                    var propertySegments = candidates[i].segments.concat(property);
+
+                    if (mappedObject.current[property] instanceof Array && mappedObject.originalArrays.hasOwnProperty(property)) {
+                        operations = operations.concat(_getArrayPatch(propertySegments, mappedObject.originalArrays[property], mappedObject.current[property]));
+                    } else if (!mappedObject.current.hasOwnProperty(property)) {
+                        operations.push({op: 'remove', path: _toJsonPointer(propertySegments)});
+                    } else {
+                        operations.push({
+                            op: mappedObject.original.hasOwnProperty(property) ? 'replace' : 'add',
+                            path: _toJsonPointer(propertySegments),
+                            value: _toJsonValue(mappedObject.current[property])
+                        });
+                    }
+                }
+            }
+
+            return operations;
+        };
+
+        /**
+         * Sets the property name to look for on objects to retrieve its data type as a string value.
+         *
+         * Note: This is optional and if it is not provided, then the objects native JavaScript data type will be used.
+         *
+         * @public
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.setObjectTypePropertyName = function (propertyName) {
+            _objectTypePropertyName = propertyName;
+            return this;
+        };
+
+        /**
+         * Sets the property name to look for on objects to retrieve its key. An array of
+         * property names can be provided for composite keys, e.g. ['OrderId', 'LineNo'], in
+         * which case the key is an array of their values.
+         *
+         * Note: This is optional.
+         *
+         * @public
+         * @param {string|Array} propertyName The key property name, or an array of key property names.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.setObjectKeyPropertyName = function (propertyName) {
+            if (propertyName instanceof Array && propertyName.some(function (name) { return typeof name !== 'string'; })) {
+                throw new Error('Invalid key property names provided. Each key property name must be a string.');
+            }
+
+            _objectKeyPropertyName = propertyName;
+            return this;
+        };
+
+        /**
+         * Sets a function that computes the key of objects of the provided type. The function
+         * is passed the object and returns its key. Return an array for composite keys, or
+         * null if the object has no key. Passing null removes the resolver for the type.
+         *
+         * @public
+         * @param {string} type The type of objects the resolver is for.
+         * @param {function} resolver The function that returns the key of an object.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.setObjectKeyResolver = function (type, resolver) {
+            if (resolver === null) {
+                delete _objectKeyResolvers[type];
+            } else if (typeof resolver !== 'function') {
+                throw new Error('Invalid key resolver provided. The resolver must be a function.');
+            } else {
+                _objectKeyResolvers[type] = resolver;
+            }
+
+            return this;
+        };
+
+        /**
+         * Sets the kind of temporary key that Added objects are given when they don't have a
+         * key yet. The key is written to the object key property (see setObjectKeyPropertyName()),
+         * and is replaced with the real key when the save result map passed to acceptChanges()
+         * holds it. Foreign keys that reference the temporary key are updated too (see
+         * addRelationship()).
+         *
+         * @public
+         * @param {string|function} keyType An ObjectContext.TemporaryKeyType value, or a function that is passed the type and object and returns a key.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.setTemporaryKeyType = function (keyType) {
+            if (typeof keyType !== 'function' && !ObjectContext.TemporaryKeyType.hasOwnProperty(keyType)) {
+                throw new Error('Invalid temporary key type provided: ' + keyType);
+            }
+
+            _temporaryKeyType = keyType;
+            return this;
+        };
+
+        /**
+         * Determines if an object still has the temporary key that it was given when it was added.
+         *
+         * @public
+         * @param {object} obj The object to check.
+         * @returns {boolean} True if the object has a temporary key, false otherwise.
+         */
+        this.hasTemporaryKey = function (obj) {
+            var mappedObject = _getMappedObject(obj);
+
+            return mappedObject.temporaryKey !== null && mappedObject.key === mappedObject.temporaryKey;
+        };
+
+        /**
+         * Declares that objects of one type reference objects of another type through a foreign
+         * key. This is used to order the operations returned by getUnitOfWork(), in addition to
+         * the parent/child links of nested objects.
+         *
+         * @public
+         * @param {string} dependentType The type of the objects that hold the foreign key.
+         * @param {string|Array} foreignKey The foreign key property name, or an array of property names for a composite key.
+         * @param {string} principalType The type of the objects that the foreign key references.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.addRelationship = function (dependentType, foreignKey, principalType) {
+            var foreignKeys = foreignKey instanceof Array ? foreignKey : [foreignKey];
+
+            if (!dependentType || typeof dependentType !== 'string' || !principalType || typeof principalType !== 'string') {
+                throw new Error('Invalid relationship types provided. The types must be strings.');
+            } else if (foreignKeys.length === 0 || foreignKeys.some(function (name) { return !name || typeof name !== 'string'; })) {
+                throw new Error('Invalid foreign key provided. The foreign key must be a property name or an array of property names.');
+            }
+
+            _relationships.push({
+                dependentType: dependentType,
+                foreignKey: foreignKey,
+                principalType: principalType
+            });
+
+            return this;
+        };
+
+        /**
+         * Sets the equality comparer used to decide if a property has changed. A comparer is
+         * passed the current value, the original value and an object with the object,
+         * propertyName and type, and returns true if the values are equal. See
+         * ObjectContext.EqualityComparers for common comparers.
+         *
+         * Without a type or property path the comparer is used for every property. With a type
+         * it is used for the properties of that type, and with a property name as well only
+         * for that property. Without a type, the property path is relative to the root parent
+         * with no array indexes, e.g. 'lines.price'. The most specific comparer is used.
+         *
+         * Comparers are not used for arrays or child objects.
+         *
+         * @public
+         * @param {function} comparer The comparer to use. Pass null to remove the comparer.
+         * @param {string} type The type of objects the comparer is for.
+         * @param {string} propertyPath The property name (with a type) or property path (without a type) the comparer is for.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.setEqualityComparer = function (comparer, type, propertyPath) {
+            if (comparer !== null && typeof comparer !== 'function') {
+                throw new Error('Invalid equality comparer provided. The comparer must be a function.');
+            } else if ((type !== undefined && type !== null && typeof type !== 'string') ||
+                (propertyPath !== undefined && propertyPath !== null && (typeof propertyPath !== 'string' || propertyPath.length === 0))) {
+                throw new Error('Invalid type or property path provided. They must be strings.');
+            }
+
+            var comparers;
+            var key;
+
+            if (type && propertyPath) {
+                comparers = _equalityComparers.properties;
+                key = JSON.stringify([type, propertyPath]);
+            } else if (propertyPath) {
+                comparers = _equalityComparers.paths;
+                key = propertyPath;
+            } else if (type) {
+                comparers = _equalityComparers.types;
+                key = type;
+            } else {
+                _equalityComparers.global = comparer;
+                return this;
+            }
+
+            if (comparer === null) {
+                delete comparers[key];
+            } else {
+                comparers[key] = comparer;
+            }
+
+            return this;
+        };
+
+        /**
+         * This is the change tracking engine.
+         *
+         * Checks if any of the property values in each of the tracked objects have any changes.
+         *
+         * Will recursively evaluate child properties that are arrays/objects themselves.
+         * 
+         * @public
+         * @returns {object} A reference of this for method chaining.
+         */
+        this.evaluate = function () {
+            // Loop through each of the objects currently loaded, and evaluate them for
+            // changes. If the object is marked as deleted/added, then it will be skipped as 
+            // we already know that there are changes.
+            // Objects added by this loop are appended to the object map, so they are evaluated as well
+            var mappedObjects = _getObjectMap();
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var mappedObj = mappedObjects[i];
+
+                // If the object is marked as deleted then we can skip it
+                if (mappedObj.status === ObjectContext.ObjectStatus.Deleted) {
+                    continue;
+                }
+
+                // First we need to check if there are any new objects to add from 
+                // any arrays within the hierarchy of the currently mapped object
+                _addChildren(mappedObj.current, mappedObj.rootParent, true);
+
+                _checkForChanges(mappedObj);
+            }
+
+            _onChangeCycleComplete();
+
+            // Now that the evaluate loop has finished, call any change listeners subscribed to us
+            _notifyChangeListeners();
+
+            return this;
+        };
+
+        /**
+         * Checks to see if the provided object has already been added to the context.
+         * 
+         * @public
+         * @param {object} objectReference An object to test for existance.
+         * @returns {boolean} True if the objects exists already, false otherwise.
+         */
+        this.doesObjectExist = function (objectReference) {
+            if (!objectReference) { return false; }
+
+            return _objectIndex.has(_unwrapProxy(objectReference));
+        };
+
+        /**
+         * Adds an object to the context. Any changes to the properties on this object
+         * will trigger the context to have changes and notify any subscribers.
+         *
+         * This method wraps the passed in object in an object that we can work with. The
+         * passed in object will be copied so we can store its original state.
+         *
+         * If a meta property does not exist on the object then one will be added to it.
+         *
+         * Any changes that are made to this object can be seen by querying the changeset
+         * property.
+         *
+         * If an object with the same type and key is already tracked, then the object is not
+         * added again. Use find() to get the tracked instance. Objects added with a status of
+         * 'Added' are always treated as new objects.
+         * 
+         * @public
+         * @param {object} obj An object to add to the context that will be tracked for changes.
+         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
+         * @returns {object} A reference of this for method chaining.
+         */
+        this.add = function (obj, isStatusAdded) {
+            var result = _addObject(_resolveObject(obj, isStatusAdded), null, null, isStatusAdded, null);
+            _publishAddedObjects();
+
+            return result;
+        };
+
+        /**
+         * Adds an object to the context in the same way as add(), but returns a proxy
+         * view of the object instead of a reference to the context.
+         *
+         * Any writes made through the proxy (or through proxies of its children and arrays)
+         * are tracked immediately. The changeset and status of the written object are
+         * updated and change listeners are notified without having to call evaluate().
+         *
+         * Note: Writes made directly to the original object are still only picked up by evaluate().
+         *
+         * @public
+         * @param {object} obj An object to add to the context that will be tracked for changes.
+         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
+         * @returns {Proxy} A proxy view of the added object.
+         */
+        this.track = function (obj, isStatusAdded) {
+            if (typeof Proxy === 'undefined') {
+                throw new Error('Proxy tracking is not supported in this environment.');
+            }
+
+            obj = _resolveObject(_unwrapProxy(obj), isStatusAdded);
+            _addObject(obj, null, null, isStatusAdded, null);
+            _publishAddedObjects();
+
+            return this.getProxy(obj);
+        };
+
+        /**
+         * Returns a proxy view of an object that already exists in the context. Writes
+         * made through the proxy are tracked immediately.
+         *
+         * @public
+         * @param {object} obj An existing context object.
+         * @returns {Proxy} A proxy view of the object.
+         */
+        this.getProxy = function (obj) {
+            if (typeof Proxy === 'undefined') {
+                throw new Error('Proxy tracking is not supported in this environment.');
+            }
+
+            var mappedObject = _getMappedObject(obj);
+
+            return _createProxy(mappedObject.current, mappedObject);
+        };
+
+        /**	
+         * Deletes an existing object from change tracking and all objects that are a
+         * child of the provided object.
+         * 
+         * @public
+         * @param {object} obj An object to delete.
+         * @param {boolean} hardDelete Whether or not to remove the object from the context, or just mark it for deletion.
+         * @returns {object} A reference of this for method chaining.
+         */
+        this.delete = function (obj, hardDelete) {
+            var i, currentObject;
+            obj = _unwrapProxy(obj);
+            var deletedObject = _objectIndex.get(obj);
+
+            if (!deletedObject) {
+                throw new Error('Object was not found. Removal failed.');
+            }
+
+            // If this object has a status of Added (then just remove the object completely)
+            // along with any of its children.
+            if (deletedObject.status === ObjectContext.ObjectStatus.Added) {
+                hardDelete = true;
+            }
+
+            // Are we removing the object or just marking it as deleted
+            if (hardDelete === true) {
+                var foundInArray = false;
+                var links = _getReferencingParents(deletedObject);
+
+                // An added object is taken out of every array that holds it
+                if (deletedObject.status === ObjectContext.ObjectStatus.Added) {
+                    links.forEach(function (link) {
+                        var ary = _getContainingArray(link.mappedObject.current[link.propertyName], deletedObject.current);
+
+                        if (ary) {
+                            ary.splice(ary.indexOf(deletedObject.current), 1);
+                            foundInArray = true;
+                        }
+                    });
+                }
+
+                currentObject = deletedObject.current;
+                _removeMappedObject(deletedObject);
+
+                if (!foundInArray) {
+                    // Find the objects that have a child that matches that of the object
+                    // we are deleting. Then reset their value back to its original value.
+                    links.forEach(function (link) {
+                        if (link.mappedObject.current[link.propertyName] === currentObject) {
+                            link.mappedObject.current[link.propertyName] = _deepCopy(link.mappedObject.original[link.propertyName]);
+                        }
+                    });
+                }
+            } else if (deletedObject.status !== ObjectContext.ObjectStatus.Added) {
+                deletedObject.status = ObjectContext.ObjectStatus.Deleted;
+            }
+
+            // Remove all objects that are a child of this object, except for the ones
+            // that are still referenced by a parent that isn't being deleted
+            var children = _getChildren(obj).slice();
+            var removing = [deletedObject].concat(children);
+            var isKept = true;
+
+            while (isKept) {
+                isKept = false;
+
+                for (i = 0; i < children.length; i++) {
+                    if (removing.indexOf(children[i]) >= 0 && _updatePrimaryParent(children[i], removing)) {
+                        removing.splice(removing.indexOf(children[i]), 1);
+                        isKept = true;
+                    }
+                }
+            }
+
+            for (i = children.length - 1; i >= 0; i--) {
+                currentObject = children[i];
+
+                if (removing.indexOf(currentObject) < 0) {
+                    continue;
+                } else if (hardDelete === true) {
+                    _removeMappedObject(currentObject);
+                } else if (currentObject.status !== ObjectContext.ObjectStatus.Added) {
+                    currentObject.status = ObjectContext.ObjectStatus.Deleted;
+                }
+            }
+
+            // Now that the object has been removed and reset, we need to go through the
+            // object map and fix up any parent and children that don't have matching values.
+            var mappedObjects = _getObjectMap();
+            for (i = 0; i < mappedObjects.length; i++) {
+                if (mappedObjects[i].parent && typeof mappedObjects[i].parent === 'object' && !(mappedObjects[i].parent instanceof Array) && mappedObjects[i].propertyName && mappedObjects[i].parent[mappedObjects[i].propertyName] !== mappedObjects[i].current) {
+                    mappedObjects[i].parent[mappedObjects[i].propertyName] = mappedObjects[i].current;
+                }
+            }
+
+            this.evaluate();
+
+            return this;
+        };
+
+        /**
+         * Determines if any of the tracked objects have any active changesets. If an
+         * object is passed, then just that object will be tested for changes.
+         * 
+         * @public
+         * @returns {boolean} Determines whether or not the context has any objects with changes.
+         */
+        this.hasChanges = function (obj) {
+            if (obj) {
+                var mappedObject = _getMappedObject(obj);
+                return mappedObject.hasChanges();
+            } else {
+                var mappedObjects = _getObjectMap();
+                for (var i = 0; i < mappedObjects.length; i++) {
+                    if (mappedObjects[i].hasChanges()) {
+                        return true;
+                    }
+                }
+            }
+
+            return false;
+        };
+
+        /**
+         * Determines if the provided object has children that are marked as being changed.
+         * 
+         * @public
+         * @returns {boolean}
+         */
+        this.hasChildChanges = function (obj) {
+            if (!obj) {
+                throw new Error('Error determining if object has child changes. The object could not be found.');
+            }
+
+            var mappedObject = _getMappedObject(obj);
+
+            // The hasChildChanges property is set inside hasChanges so we need
+            // to call this first.
+            mappedObject.hasChanges();
+
+            return mappedObject.hasChildChanges;
+        };
+
+        /**
+         * Removes all currently tracked objects and resets the state of the context.
+         *
+         * This will usually be called when the state of the application is being destroyed,
+         * and any object that are laoded into the context are no longer relevant.
+         * 
+         * @public
+         * @returns {object} A reference of this for method chaining.
+         */
+        this.clear = function () {
+            _clearObjectMap();
+            _resetHistory();
+            _publishEvents();
+            return this;
+        };
+
+        /**
+         * Sets how values from the server (through load(), merge() or a save result map) are
+         * merged into tracked objects that have local changes to the same properties. The
+         * default is ObjectContext.MergeStrategy.PreserveChanges.
+         *
+         * @public
+         * @param {string} strategy One of the ObjectContext.MergeStrategy values.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.setMergeStrategy = function (strategy) {
+            if (!ObjectContext.MergeStrategy.hasOwnProperty(strategy)) {
+                throw new Error(_stringFormat('Invalid merge strategy provided: {0}', strategy));
+            }
+
+            _mergeStrategy = strategy;
+            return this;
+        };
+
+        /**
+         * Merges fresh server data for an object into the tracked object with the same type and
+         * key. If there isn't one, then the object is added to the context as unmodified.
+         *
+         * @public
+         * @param {object} obj An object holding the server values.
+         * @param {string} strategy The merge strategy to use. Defaults to the strategy set with setMergeStrategy().
+         * @returns {object} The tracked instance.
+         */
+        this.merge = function (obj, strategy) {
+            if (!obj || typeof obj !== 'object' || obj instanceof Array) {
+                throw new Error('Invalid object specified. The value provided must be of type "object".');
+            } else if (strategy !== undefined && !ObjectContext.MergeStrategy.hasOwnProperty(strategy)) {
+                throw new Error(_stringFormat('Invalid merge strategy provided: {0}', strategy));
+            }
+
+            var trackedObject = _mergeObject(_unwrapProxy(obj), strategy || _mergeStrategy);
+            this.evaluate();
+
+            return trackedObject;
+        };
+
+        /**
+         * Returns the properties where a server value conflicts with a local change. Conflicts
+         * are only flagged when the merge strategy is ObjectContext.MergeStrategy.FlagConflicts.
+         *
+         * @public
+         * @param {object} obj An existing context object to get the conflicts of. All conflicts are returned if not provided.
+         * @returns {Array} The conflicts. Each has the Object, PropertyName, OriginalValue, LocalValue, ServerValue and ContextIdentifier.
+         */
+        this.getConflicts = function (obj) {
+            var mappedObject = obj ? _getMappedObject(obj) : null;
+
+            return _conflicts.filter(function (conflict) {
+                return !mappedObject || conflict.mappedObject === mappedObject;
+            }).map(function (conflict) {
+                return {
+                    Object: conflict.mappedObject.current,
+                    PropertyName: conflict.property,
+                    OriginalValue: conflict.mappedObject.original[conflict.property],
+                    LocalValue: conflict.mappedObject.current[conflict.property],
+                    ServerValue: conflict.serverValue,
+                    ContextIdentifier: conflict.mappedObject.identifier
+                };
+            });
+        };
+
+        /**
+         * Determines if there are any unresolved conflicts, either for one object or for the whole context.
+         *
+         * @public
+         * @param {object} obj An existing context object to test. The whole context is tested if not provided.
+         * @returns {boolean}
+         */
+        this.hasConflicts = function (obj) {
+            if (obj) {
+                return this.getConflicts(obj).length > 0 || _getMappedObject(obj).status === ObjectContext.ObjectStatus.Conflicted;
+            }
+
+            return _conflicts.length > 0 || _getObjectsByStatus(ObjectContext.ObjectStatus.Conflicted).length > 0;
+        };
+
+        /**
+         * Resolves the conflict on a single property. Keeping the local value leaves it as a
+         * change against the server value. Using the server value replaces the local change.
+         *
+         * @public
+         * @param {object} obj An existing context object.
+         * @param {string} propertyName The conflicting property.
+         * @param {boolean} useServerValue True to use the server value, false to keep the local value.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.resolveConflict = function (obj, propertyName, useServerValue) {
+            var mappedObject = _getMappedObject(obj);
+            var conflict = _getConflict(mappedObject, propertyName);
+
+            if (!conflict) {
+                throw new Error(_stringFormat('There is no conflict to resolve for property: {0}', propertyName));
+            }
+
+            if (useServerValue) {
+                mappedObject.current[propertyName] = conflict.serverValue instanceof Date ? new Date(conflict.serverValue.getTime()) : conflict.serverValue;
+            }
+
+            mappedObject.original[propertyName] = conflict.serverValue;
+            _removeConflicts(mappedObject, propertyName);
+            _markChanged(mappedObject);
+
+            // Once every property is resolved, the object is no longer in conflict
+            if (!_getConflict(mappedObject)) {
+                _settleConflicts(mappedObject, false);
+            }
+
+            this.evaluate();
+
+            return this;
+        };
+
+        /**
+         * Resolves every conflict on an object at once, including a Conflicted status that was
+         * reported by the server. The object goes back to the status it had before the conflict,
+         * and takes the server concurrency token so that it can be saved again.
+         *
+         * @public
+         * @param {object} obj An existing context object.
+         * @param {boolean} useServerValues True to use the server values, false to keep the local values.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.resolveConflicts = function (obj, useServerValues) {
+            _settleConflicts(_getMappedObject(obj), useServerValues);
+            this.evaluate();
+
+            return this;
+        };
+
+        /**
+         * Sets the property that holds the concurrency token (rowversion, ETag, updatedAt and so
+         * on) of objects. The token is captured when an object is added or saved, and is included
+         * with its entry in getChangeset().
+         *
+         * @public
+         * @param {string} propertyName The concurrency property name.
+         * @param {string} type The type of objects the property is for. All types if not provided.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.setConcurrencyPropertyName = function (propertyName, type) {
+            if (propertyName !== null && typeof propertyName !== 'string') {
+                throw new Error('Invalid concurrency property name provided. The property name must be a string.');
+            }
+
+            if (type === undefined) {
+                _concurrencyPropertyName = propertyName;
+            } else {
+                _concurrencyPropertyNames[type] = propertyName;
+            }
+
+            return this;
+        };
+
+        /**
+         * Returns the concurrency token that was captured for an object when it was added or
+         * last saved.
+         *
+         * @public
+         * @param {object} obj An existing context object.
+         * @returns {*} The concurrency token, or null if there isn't one.
+         */
+        this.getConcurrencyToken = function (obj) {
+            return _getMappedObject(obj).concurrencyToken;
+        };
+
+        /**
+         * Adds a validation rule for a property of a type. The rules are checked whenever the
+         * context is evaluated, and Added or Modified objects that break them can't have their
+         * changes accepted or saved.
+         *
+         * A rule can have any of:
+         *     - required: The value can't be null, undefined, an empty string or an empty array.
+         *     - min/max: The range of a number or date, or of the length of a string or array.
+         *     - pattern: A RegExp that the value must match.
+         *     - validate: A function that is passed the value and the object, and returns false
+         *       or an error message if the value is invalid. It can check other properties of the
+         *       object for cross-field rules.
+         *     - message: The error message to use instead of the default one.
+         *
+         * @public
+         * @param {string} type The type of objects to validate.
+         * @param {string} propertyName The property to validate.
+         * @param {object} rule The validation rule.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.addValidator = function (type, propertyName, rule) {
+            if (!type || typeof type !== 'string') {
+                throw new Error('Invalid type provided. The type must be a string.');
+            } else if (!propertyName || typeof propertyName !== 'string') {
+                throw new Error('Invalid property name provided. The property name must be a string.');
+            } else if (!rule || typeof rule !== 'object' ||
+                (!rule.required && rule.min === undefined && rule.max === undefined && !rule.pattern && !rule.validate)) {
+                throw new Error('Invalid validation rule provided. The rule must have required, min, max, pattern or validate.');
+            } else if ((rule.pattern && !(rule.pattern instanceof RegExp)) || (rule.validate && typeof rule.validate !== 'function')) {
+                throw new Error('Invalid validation rule provided. The pattern must be a RegExp and validate must be a function.');
+            }
+
+            _validators[type] = _validators[type] || [];
+            _validators[type].push({property: propertyName, rule: rule});
+
+            _errors.forEach(function (result, mappedObject) {
+                if (mappedObject.type === type) {
+                    result.status = null;
+                }
+            });
+
+            return this;
+        };
+
+        /**
+         * Returns the validation errors found when the context was last evaluated. If an object
+         * is provided, then only the errors of that object and the objects below it are returned.
+         *
+         * Each error has the Object, PropertyName, PropertyPath (relative to the root parent,
+         * e.g. 'lines[0].quantity'), Rule ('required', 'range', 'pattern' or 'custom'),
+         * Message and ContextIdentifier.
+         *
+         * @public
+         * @param {object} obj The object to fetch the errors for.
+         * @returns {array} The validation errors.
+         */
+        this.getErrors = function (obj) {
+            var mappedObject = obj ? _getMappedObject(obj) : null;
+            var entries = [];
+
+            _errors.forEach(function (result, errorObject) {
+                if (!result.errors.length || errorObject.status === ObjectContext.ObjectStatus.Deleted ||
+                    (mappedObject && errorObject !== mappedObject && _getPathSegments(errorObject, mappedObject) === null)) {
+                    return;
+                }
+
+                // Paths are relative to the root parent, and are resolved now since the object may have moved
+                var rootPath = errorObject.rootParent ? _getPropertyPath(errorObject, _objectIndex.get(errorObject.rootParent)) : '';
+
+                result.errors.forEach(function (error) {
+                    entries.push({
+                        Object: errorObject.current,
+                        PropertyName: error.property,
+                        PropertyPath: rootPath ? rootPath + '.' + error.property : error.property,
+                        Rule: error.rule,
+                        Message: error.message,
+                        ContextIdentifier: errorObject.identifier
+                    });
+                });
+            });
+
+            return entries;
+        };
+
+        /**
+         * Determines if there are validation errors in the context, or for the provided object
+         * and the objects below it.
+         *
+         * @public
+         * @param {object} obj The object to check.
+         * @returns {boolean} True if there are validation errors, false otherwise.
+         */
+        this.hasErrors = function (obj) {
+            return this.getErrors(obj).length > 0;
+        };
+
+        /**
+         * Sets the storage used by exportState() and importState() when they are called with
+         * a storage key. Any object with getItem(key) and setItem(key, value) functions can be
+         * used, such as window.localStorage or an ObjectContext.MemoryStorageAdapter.
+         *
+         * @public
+         * @param {object} adapter The storage adapter.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.setStorageAdapter = function (adapter) {
+            if (!adapter || typeof adapter.getItem !== 'function' || typeof adapter.setItem !== 'function') {
+                throw new Error('Invalid storage adapter provided. The adapter must have getItem and setItem functions.');
+            }
+
+            _storageAdapter = adapter;
+            return this;
+        };
+
+        /**
+         * Serializes the full state of the context. Every tracked object is included along with
+         * its original values, status, identifier, type and key, so that importState() can rebuild
+         * an identical context. Date values are kept.
+         *
+         * If a storage key is provided, then the state is also written to the storage adapter.
+         *
+         * @public
+         * @param {string} storageKey The key to write the state to in the storage adapter.
+         * @returns {object} The serialized state. It can be safely converted to JSON.
+         */
+        this.exportState = function (storageKey) {
+            var state = _serializeState();
+
+            if (storageKey !== undefined) {
+                if (!_storageAdapter) {
+                    throw new Error('A storage adapter must be set before a storage key can be used.');
+                }
+
+                _storageAdapter.setItem(storageKey, JSON.stringify(state));
+            }
+
+            return state;
+        };
+
+        /**
+         * Replaces every tracked object in the context with the objects in a state created by
+         * exportState(). The history and any open transactions are cleared.
+         *
+         * Note: The restored objects are new objects. Use getObjects() or query() to get
+         * references to them. They are plain objects, unless a constructor is provided for
+         * their type, in which case they (and their original values) are given its prototype.
+         * The constructor itself is not called.
+         *
+         * @public
+         * @param {object|string} state The state to import, or a key to read the state from the storage adapter.
+         * @param {object|function} constructors A map of type names to constructors, or a function that is passed a type name and returns its constructor.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.importState = function (state, constructors) {
+            if (constructors !== undefined && constructors !== null && typeof constructors !== 'object' && typeof constructors !== 'function') {
+                throw new Error('Invalid constructors provided. The constructors must be a map of type names to constructors, or a function.');
+            }
+
+            if (typeof state === 'string') {
+                if (!_storageAdapter) {
+                    throw new Error('A storage adapter must be set before a storage key can be used.');
+                }
+
+                var storedState = _storageAdapter.getItem(state);
+                if (storedState === null || storedState === undefined) {
+                    throw new Error(_stringFormat('No state was found for key: {0}', state));
+                }
+
+                state = typeof storedState === 'string' ? JSON.parse(storedState) : storedState;
+            }
+
+            _deserializeState(state, constructors);
+            _notifyChangeListeners();
+
+            return this;
+        };
+
+        /**
+         * Returns all objects in the context in their current state.
+         * 
+         * @public
+         * @returns {array} An Array of objects that exists in the context.
+         */
+        this.getObjects = function (returnMappedObjects) {
+            var objects = [];
+            var mappedObjects = _getObjectMap();
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                objects.push(returnMappedObjects ? mappedObjects[i] : mappedObjects[i].current);
+            }
+
+            return objects;
+        };
+
+        /**
+         * Returns all objects that have status of 'Unmodified'.
+         * 
+         * @public
+         * @param {boolean} parentsOnly Retrieve only parent objects.
+         * @returns {array} An array of objects with a status of 'Unmodified'.
+         */
+        this.getUnmodifiedObjects = function (parentsOnly) {
+            return _getObjectsByStatus(ObjectContext.ObjectStatus.Unmodified, parentsOnly);
+        };
+
+        /**
+         * Returns all objects that have status of 'Modified'.
+         * 
+         * @public
+         * @param {boolean} parentsOnly Retrieve only parent objects.
+         * @returns {array} An array of objects with a status of 'Modified'.
+         */
+        this.getModifiedObjects = function (parentsOnly) {
+            return _getObjectsByStatus(ObjectContext.ObjectStatus.Modified, parentsOnly);
+        };
+
+        /**
+         * Returns all objects that have status of 'Added'.
+         * 
+         * @public
+         * @param {boolean} parentsOnly Retrieve only parent objects.
+         * @returns {array} An array of objects with a status of 'Added'.
+         */
+        this.getAddedObjects = function (parentsOnly) {
+            return _getObjectsByStatus(ObjectContext.ObjectStatus.Added, parentsOnly);
+        };
+
+        /**
+         * Returns all objects that have status of 'Deleted'.
+         * 
+         * @public
+         * @param {boolean} parentsOnly Retrieve only parent objects.
+         * @returns {array} An array of objects with a status of 'Deleted'.
+         */
+        this.getDeletedObjects = function (parentsOnly) {
+            return _getObjectsByStatus(ObjectContext.ObjectStatus.Deleted, parentsOnly);
+        };
+
+        /**
+         * Returns all objects that have status of 'Conflicted'.
+         * 
+         * @public
+         * @param {boolean} parentsOnly Retrieve only parent objects.
+         * @returns {array} An array of objects with a status of 'Conflicted'.
+         */
+        this.getConflictedObjects = function (parentsOnly) {
+            return _getObjectsByStatus(ObjectContext.ObjectStatus.Conflicted, parentsOnly);
+        };
+
+        /**
+         * Returns all objects in the context of the provided type. Types are resolved through
+         * the type registry, so children of a registered type's collections are included
+         * even if they don't have a type property.
+         * 
+         * @public
+         * @param {string} requestedType The type of objects to fetch from the context.
+         * @returns {array} An array of objects found.
+         */
+        this.getObjectsByType = function (requestedType) {
+            var objects = [];
+            var mappedObjects = _getIndexEntries(_typeIndex, requestedType);
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                objects.push(mappedObjects[i].current);
+            }
+
+            return objects;
+        };
+
+        /**
+         * Applies all changes in currently modified objects. After this, all objects
+         * that previously had a status that was not equal to 'Unmodified', will now
+         * have an 'Unmodified' status.
+         * 
+         * If the object has a status of deleted, then the object will be removed 
+         * from the context.
+         * 
+         * Objects that were unchanged are not touched.
+         * 
+         * @public
+         * @returns {object} A reference of this for method chaining.
+         */
+        this.acceptChanges = function (saveResultMap) {
+            _acceptChangesAndPublish(saveResultMap, null);
+            return this;
+        };
+
+        /**
+         * Applies the changes of the tracked objects (see acceptChanges()), and publishes the
+         * events for them once the whole operation is done.
+         *
+         * @private
+         * @param {object} saveResultMap The save result map returned by the service.
+         * @param {Map} sentStates The captured states of the objects that were sent to the service, or null to accept every change.
+         */
+        var _acceptChangesAndPublish = function (saveResultMap, sentStates) {
+            var changedObjects = [];
+
+            if (_isObserving()) {
+                changedObjects = _getObjectMap().filter(function (mappedObject) {
+                    var status = sentStates ? (sentStates.has(mappedObject) ? sentStates.get(mappedObject).status : null) : mappedObject.status;
+
+                    return status === ObjectContext.ObjectStatus.Added || status === ObjectContext.ObjectStatus.Modified ||
+                        status === ObjectContext.ObjectStatus.Deleted;
+                });
+            }
+
+            // Events are published once for the whole operation, not for every evaluate cycle in it
+            _eventBatchDepth++;
+
+            try {
+                _acceptChanges(saveResultMap, sentStates);
+            } finally {
+                _eventBatchDepth--;
+            }
+
+            _publishEvents();
+
+            var acceptedObjects = changedObjects.filter(function (changedObject) {
+                return changedObject.status !== ObjectContext.ObjectStatus.Conflicted;
+            });
+
+            if (acceptedObjects.length) {
+                _emitEvent({Event: ObjectContext.EventType.ChangesAccepted, Objects: acceptedObjects.map(function (acceptedObject) { return acceptedObject.current; })}, acceptedObjects);
+            }
+        };
+
+        /**
+         * Applies the changes of the tracked objects (see acceptChanges()).
+         *
+         * If the states of the objects that were sent to the service are provided, then only
+         * those states are accepted. Objects that were changed after they were sent keep
+         * those later changes.
+         *
+         * @private
+         * @param {object} saveResultMap The save result map returned by the service.
+         * @param {Map} sentStates The captured states of the objects that were sent to the service, or null to accept every change.
+         */
+        var _acceptChanges = function (saveResultMap, sentStates) {
+            var evalChanges = false;
+            var currentObject = {};
+            var key;
+            var mappedObject;
+
+            // The status that is accepted for an object, which is the status it was sent with when saving
+            var getAcceptedStatus = function (candidate) {
+                if (!sentStates) {
+                    return candidate.status;
+                }
+
+                return sentStates.has(candidate) ? sentStates.get(candidate).status : ObjectContext.ObjectStatus.Unmodified;
+            };
+
+            // Invalid objects can't be accepted. Changes sent by save() were validated before
+            // they were sent and the server has accepted them, so they aren't validated again.
+            var validationErrors = sentStates ? [] : _getBlockingErrors();
+            if (validationErrors.length) {
+                throw _createValidationError(validationErrors);
+            }
+
+            // Objects the server reported a concurrency conflict for are not accepted. They are
+            // put in a Conflicted status until the conflict is resolved.
+            if (saveResultMap && typeof saveResultMap === 'object') {
+                for (key in saveResultMap) {
+                    if (saveResultMap.hasOwnProperty(key) && saveResultMap[key] && typeof saveResultMap[key] === 'object') {
+                        mappedObject = _getMappedObjectByIdentifier(key);
+                        if (!mappedObject || mappedObject.status === ObjectContext.ObjectStatus.Conflicted || !_isConcurrencyConflict(mappedObject, saveResultMap[key])) { continue; }
+
+                        mappedObject.statusBeforeConflict = mappedObject.status;
+                        mappedObject.status = ObjectContext.ObjectStatus.Conflicted;
+                    }
+                }
+            }
+
+            // First we need to determine if there are any objects that are part of an 
+            // array need to be removed. If there are, remove them and then reevaluate.
+            var mappedObjects = _getObjectMap();
+            for (var i = mappedObjects.length - 1; i >= 0; i--) {
+                currentObject = mappedObjects[i];
+
+                if (currentObject.status === ObjectContext.ObjectStatus.Conflicted || getAcceptedStatus(currentObject) !== ObjectContext.ObjectStatus.Deleted) {
+                    continue;
+                }
+
+                // Take the object out of every array that holds it, not just its primary parent's
+                var links = _getReferencingParents(currentObject);
+                var arrays = [];
+
+                for (var j = 0; j < links.length; j++) {
+                    var ary = _getContainingArray(links[j].mappedObject.current[links[j].propertyName], currentObject.current);
+                    if (ary && arrays.indexOf(ary) < 0) {
+                        arrays.push(ary);
+                    }
+                }
+
+                if (currentObject.parent instanceof Array && arrays.indexOf(currentObject.parent) < 0) {
+                    arrays.push(currentObject.parent);
+                }
+
+                if (arrays.length) {
+                    for (j = 0; j < arrays.length; j++) {
+                        var index = arrays[j].indexOf(currentObject.current);
+                        if (index >= 0) {
+                            arrays[j].splice(index, 1);
+                        }
+                    }
+
+                    _removeMappedObject(currentObject);
+                    evalChanges = true;
+                }
+            }
+
+            // Due to the loop above, if there was an object removed from an array, we 
+            // need to reevaluate all objects for new changes before applying.
+            if (evalChanges) {
+              self.evaluate();
+            }
+
+            // Local values are being accepted, so any conflicts with server values are settled
+            for (i = _conflicts.length - 1; i >= 0; i--) {
+                if (_conflicts[i].mappedObject.status !== ObjectContext.ObjectStatus.Conflicted && (!sentStates || sentStates.has(_conflicts[i].mappedObject))) {
+                    _conflicts.splice(i, 1);
+                }
+            }
+
+            // Now go through and remove/set remaining objects
+            mappedObjects = _getObjectMap();
+            for (i = mappedObjects.length - 1; i >= 0; i--) {
+                currentObject = mappedObjects[i];
+
+                if (currentObject.status === ObjectContext.ObjectStatus.Conflicted) {
+                    continue;
+                }
+
+                var acceptedStatus = getAcceptedStatus(currentObject);
+
+                if (acceptedStatus !== ObjectContext.ObjectStatus.Unmodified) {
+                    // If this object is marked as deleted, then we remove it from the context
+                    if (acceptedStatus === ObjectContext.ObjectStatus.Deleted) {
+                        _removeMappedObject(currentObject);
+                    } else if (sentStates) {
+                        // Only the sent values become the original values. Changes made since
+                        // then are picked up again by the evaluate cycle below.
+                        _acceptSentState(sentStates.get(currentObject));
+                        _refreshConcurrencyToken(currentObject);
+                    } else {
+                        // This object was either Added or Modified so set it to an Unmodified state
+                        currentObject.changeset = [];
+                        currentObject.status = ObjectContext.ObjectStatus.Unmodified;
+                        currentObject.originalStatus = currentObject.status;
+                        currentObject.original = _deepCopy(currentObject.current);
+                        currentObject.originalArrays = _getArraySnapshots(currentObject.current);
+                        _refreshConcurrencyToken(currentObject);
+                    }
+                }
+            }
+
+            // Check we were passed a valid save result map object
+            // If so, then we need to refresh any object values with their values in the result map
+            if (saveResultMap && typeof saveResultMap === 'object') {
+                for (key in saveResultMap) {
+                    if (saveResultMap.hasOwnProperty(key) && saveResultMap[key] && typeof saveResultMap[key] === 'object') {
+                        mappedObject = _getMappedObjectByIdentifier(key);
+                        if (!mappedObject) { continue; }
+
+                        var strategy = mappedObject.status === ObjectContext.ObjectStatus.Conflicted ? ObjectContext.MergeStrategy.FlagConflicts : _mergeStrategy;
+
+                        if (mappedObject.temporaryKey !== null) {
+                            _applyServerKey(mappedObject, saveResultMap[key]);
+                        }
+
+                        _synchronizeObject(mappedObject, saveResultMap[key], strategy);
+                        _refreshObjectKey(mappedObject);
+
+                        // The server assigned the real key, so replace the temporary key everywhere
+                        if (mappedObject.temporaryKey !== null && mappedObject.key !== mappedObject.temporaryKey) {
+                            _replaceTemporaryKey(mappedObject);
+                        }
+                    }
+                }
+            }
+
+            self.evaluate();
+
+            _removeOrphanedChildren();
+
+            // Accepted changes are the new starting point, so they can no longer be undone
+            _resetHistory();
+        };
+
+        /**
+         * Makes the captured state of an object that was sent to the service its new original
+         * state. An object that was deleted after it was sent stays deleted.
+         *
+         * @private
+         * @param {object} state The captured state that was sent.
+         */
+        var _acceptSentState = function (state) {
+            var mappedObject = state.mappedObject;
+            var original = _deepCopy(mappedObject.current);
+            var property;
+
+            for (property in original) {
+                if (_isTrackableProperty(original, property) && !state.values.hasOwnProperty(property)) {
+                    delete original[property];
+                }
+            }
+
+            for (property in state.values) {
+                if (state.values.hasOwnProperty(property)) {
+                    original[property] = _deepCopy(state.arrays.hasOwnProperty(property) ? state.arrays[property] : state.values[property]);
+                }
+            }
+
+            mappedObject.changeset = [];
+            mappedObject.original = original;
+            mappedObject.originalArrays = {};
+            mappedObject.originalStatus = ObjectContext.ObjectStatus.Unmodified;
+
+            for (property in state.arrays) {
+                if (state.arrays.hasOwnProperty(property)) {
+                    mappedObject.originalArrays[property] = _copyArrayElements(state.arrays[property]);
+                }
+            }
+
+            if (mappedObject.status !== ObjectContext.ObjectStatus.Deleted) {
+                mappedObject.status = ObjectContext.ObjectStatus.Unmodified;
+            }
+        };
+
+        /**
+         * Returns the changeset for a specified mapped object reference.
+         * 
+         * @public
+         * @param {object} obj The object to check for changes against.
+         * @returns {object} An object with the properties that have changed on the provided object 'obj'.
+         */
+        this.getObjectChangeset = function (obj) {
+            if (!obj) {
+                throw new Error('Invalid object provided. You must provided an object.');
+            }
+
+            var mappedObject = _getMappedObject(obj);
+
+            return mappedObject.changeset;
+        };
+
+        /**
+         * Returns a single flat changeset for the provided object and every object below it
+         * in its hierarchy. Each entry has a PropertyPath that is relative to the provided
+         * object, e.g. 'favoriteSport.name' or 'favoriteColors[1].name'.
+         *
+         * @public
+         * @param {object} obj The object to fetch the changes for. This is usually a root object.
+         * @returns {array} An array of changeset entries with their property paths.
+         */
+        this.getAggregateChangeset = function (obj) {
+            if (!obj) {
+                throw new Error('Invalid object provided. You must provided an object.');
+            }
+
+            var mappedObject = _getMappedObject(obj);
+            var rootParent = mappedObject.rootParent || mappedObject.current;
+            var candidates = _getHierarchy(rootParent);
+            var changeset = [];
+
+            for (var i = 0; i < candidates.length; i++) {
+                var candidate = candidates[i];
+                var path = _getPropertyPath(candidate, mappedObject);
+
+                if (path === null) { continue; }
+
+                for (var j = 0; j < candidate.changeset.length; j++) {
+                    var entry = candidate.changeset[j];
+                    var aggregateEntry = {
+                        PropertyPath: path ? path + '.' + entry.PropertyName : entry.PropertyName,
+                        PropertyName: entry.PropertyName,
+                        OldValue: entry.OldValue,
+                        NewValue: entry.NewValue,
+                        ContextIdentifier: candidate.identifier
+                    };
+
+                    if (entry.ArrayChanges) {
+                        aggregateEntry.ArrayChanges = entry.ArrayChanges;
+                    }
+
+                    changeset.push(aggregateEntry);
+                }
+            }
+
+            return changeset;
+        };
+
+        /**
+         * Returns the changes to a root object and every object in its hierarchy as a
+         * JSON Patch (RFC 6902) document. The paths are JSON Pointers relative to the
+         * root object, e.g. '/favoriteColors/1/name'.
+         *
+         * If the root object is new, the patch adds the whole object. A JSON Patch can't
+         * remove the root of its document, so the patch of a deleted root object is empty
+         * (see getJsonPatch()).
+         *
+         * @public
+         * @param {object} obj A root object that exists in the context.
+         * @returns {array} An array of JSON Patch operations.
+         */
+        this.getObjectJsonPatch = function (obj) {
+            if (!obj) {
+                throw new Error('Invalid object provided. You must provided an object.');
+            }
+
+            var mappedObject = _getMappedObject(obj);
+
+            if (mappedObject.rootParent) {
+                throw new Error('A JSON Patch can only be created for a root object.');
+            }
+
+            return _getJsonPatch(mappedObject);
+        };
+
+        /**
+         * Returns a JSON Patch (RFC 6902) document for every root object in the context
+         * that has changes.
+         *
+         * Each entry in the returned array contains the ContextIdentifier, Type and Status
+         * of the root object, and its Patch operations. Deleted root objects are listed with
+         * a Status of 'Deleted' and an empty Patch, since the whole document is deleted.
+         *
+         * @public
+         * @returns {array} An array of JSON Patch entries.
+         */
+        this.getJsonPatch = function () {
+            var patches = [];
+
+            var mappedObjects = _getObjectMap();
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var mappedObject = mappedObjects[i];
+                if (mappedObject.rootParent) { continue; }
+
+                var patch = _getJsonPatch(mappedObject);
+
+                if (patch.length > 0 || mappedObject.status === ObjectContext.ObjectStatus.Deleted) {
+                    patches.push({
+                        ContextIdentifier: mappedObject.identifier,
+                        Type: mappedObject.type,
+                        Status: mappedObject.status,
+                        Patch: patch
+                    });
+                }
+            }
+
+            return patches;
+        };
+
+        /**
+         * Applies a JSON Patch (RFC 6902) document to an object in the context. The paths
+         * in the patch are relative to the provided object.
+         *
+         * If any operation in the patch fails, then none of the operations are applied.
+         *
+         * @public
+         * @param {object} obj An object that exists in the context.
+         * @param {array} patch An array of JSON Patch operations.
+         * @param {boolean} isServerChange Whether the patched values should be accepted as the original values instead of being tracked as changes.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.applyJsonPatch = function (obj, patch, isServerChange) {
+            if (!(patch instanceof Array)) {
+                throw new Error('Invalid JSON Patch provided. The patch must be an array of operations.');
+            }
+
+            _applyPatch(_getMappedObject(obj), patch, isServerChange);
+
+            return this;
+        };
+
+        /**
+         * Applies a JSON Merge Patch (RFC 7396) document to an object in the context.
+         *
+         * @public
+         * @param {object} obj An object that exists in the context.
+         * @param {object} patch The merge patch object.
+         * @param {boolean} isServerChange Whether the patched values should be accepted as the original values instead of being tracked as changes.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.applyMergePatch = function (obj, patch, isServerChange) {
+            if (!patch || typeof patch !== 'object' || patch instanceof Array) {
+                throw new Error('Invalid JSON Merge Patch provided. The patch must be an object.');
+            }
+
+            var mappedObject = _getMappedObject(obj);
+
+            _applyPatch(mappedObject, _getMergePatchOperations(mappedObject.current, patch, []), isServerChange);
+
+            return this;
+        };
+
+        /**
+         * Returns a changeset for the entire context. This changeset is an object that has three properties containing arrays:
+         *     - Added: Objects with a change status of 'Added'.
+         *     - Unmodified: Object with a change status of 'Unmodified'.
+         *     - Deleted: Objects with a change status of 'Deleted'.
+         *
+         * Each object in the collections contain its type and an array of changed properties.
+         *
+         * @public
+         * @returns {object} An object containing an array of the changed object separated by change status.
+         */
+        this.getChangeset = function () {
+            var changeset = {};
+            changeset[ObjectContext.ObjectStatus.Added] = [];
+            changeset[ObjectContext.ObjectStatus.Modified] = [];
+            changeset[ObjectContext.ObjectStatus.Deleted] = [];
+            changeset[ObjectContext.ObjectStatus.Conflicted] = [];
+
+            var mappedObjects = _getObjectMap();
+
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var currentObj = mappedObjects[i];
+
+                if (currentObj.status === ObjectContext.ObjectStatus.Unmodified) { continue; }
+
+                changeset[currentObj.status].push(_createChangesetEntry(currentObj));
+            }
+
+            return changeset;
+        };
+
+        /**
+         * Returns the changes in the context as an ordered unit of work that can be executed
+         * one operation at a time. Inserts come first with parents before their children,
+         * then updates, then deletes with children before their parents.
+         *
+         * An object depends on its parent (for nested objects), and on the objects its foreign
+         * keys reference (see addRelationship()). Each operation has the changeset entry
+         * properties (see getChangeset()) along with:
+         *     - Sequence: The position of the operation in the unit of work.
+         *     - Operation: 'Insert', 'Update' or 'Delete'.
+         *     - Type: The type of the object.
+         *     - Key: The key of the object.
+         *     - DependsOn: The sequences of the operations that must be executed first.
+         *
+         * Conflicted objects are left out until their conflicts are resolved.
+         *
+         * @public
+         * @returns {array} The operations in the order they should be executed.
+         */
+        this.getUnitOfWork = function () {
+            var operationNames = {};
+            operationNames[ObjectContext.ObjectStatus.Added] = 'Insert';
+            operationNames[ObjectContext.ObjectStatus.Modified] = 'Update';
+            operationNames[ObjectContext.ObjectStatus.Deleted] = 'Delete';
+
+            var phases = ['Insert', 'Update', 'Delete'];
+            var operationIndex = new Map();
+            var pending = [];
+            var mappedObjects = _getObjectMap();
+            var i;
+
+            for (i = 0; i < mappedObjects.length; i++) {
+                if (!operationNames[mappedObjects[i].status]) { continue; }
+
+                pending.push({
+                    mappedObject: mappedObjects[i],
+                    operation: operationNames[mappedObjects[i].status],
+                    prerequisites: [],
+                    entry: null
+                });
+                operationIndex.set(mappedObjects[i], pending[pending.length - 1]);
+            }
+
+            // Inserts wait for the inserts of the objects they depend on, and deletes of
+            // principals wait for the deletes of their dependents
+            pending.forEach(function (item) {
+                _getPrincipals(item.mappedObject).forEach(function (principal) {
+                    var principalItem = operationIndex.get(principal);
+
+                    if (!principalItem || principalItem === item) {
+                        return;
+                    } else if (item.operation === 'Delete' && principalItem.operation === 'Delete') {
+                        principalItem.prerequisites.push(item);
+                    } else if (item.operation !== 'Delete' && principalItem.operation === 'Insert') {
+                        item.prerequisites.push(principalItem);
+                    }
+                });
+            });
+
+            pending.sort(function (a, b) {
+                return phases.indexOf(a.operation) - phases.indexOf(b.operation);
+            });
+
+            var operations = [];
+
+            while (pending.length) {
+                var next = null;
+
+                for (i = 0; i < pending.length; i++) {
+                    if (pending[i].prerequisites.every(function (prerequisite) { return prerequisite.entry !== null; })) {
+                        next = pending[i];
+                        break;
+                    }
+                }
+
+                if (!next) {
+                    throw new Error('Unable to order the changes. There is a circular dependency between objects of type: ' + pending.map(function (item) { return item.mappedObject.type; }).join(', '));
+                }
+
+                pending.splice(i, 1);
+
+                next.entry = _createChangesetEntry(next.mappedObject);
+                next.entry.Sequence = operations.length;
+                next.entry.Operation = next.operation;
+                next.entry.Type = next.mappedObject.type;
+                next.entry.Key = next.mappedObject.key;
+                next.entry.DependsOn = next.prerequisites.map(function (prerequisite) {
+                    return prerequisite.entry.Sequence;
+                }).filter(function (sequence, index, ary) {
+                    return ary.indexOf(sequence) === index;
+                });
+
+                operations.push(next.entry);
+            }
+
+            return operations;
+        };
+
+        /**
+         * Returns a copy of the original unchanged object in the state that it was in 
+         * when it was either added or last saved. 
+         * 
+         * If the object is not found then null is returned.
+         * 
+         * @public
+         * @param {object} objectReference The object to search for.
+         * @returns {object|null} A copy of the original object, or null if not found.
+         */
+        this.getOriginal = function (objectReference) {
+            var mappedObject = _objectIndex.get(_unwrapProxy(objectReference));
+
+            if (mappedObject) {
+                return _deepCopy(mappedObject.original);
+            }
+            return null;
+        };
+
+        /**
+         * Returns the value that a property had when its object was added or last saved.
+         *
+         * The path is relative to the provided object and can point into child objects and
+         * arrays, e.g. 'favoriteColors[1].name'. Array properties return a copy of the original
+         * array, holding the original elements.
+         *
+         * @public
+         * @param {object} obj An existing context object.
+         * @param {string} path The path to the property.
+         * @returns {*} The original value of the property.
+         */
+        this.getOriginalValue = function (obj, path) {
+            var target = _resolvePropertyPath(obj, path);
+            var mappedObject = target.mappedObject;
+            var value = mappedObject.original[target.property];
+
+            if (mappedObject.originalArrays.hasOwnProperty(target.property)) {
+                return _copyArrayElements(mappedObject.originalArrays[target.property]);
+            }
+
+            return _deepCopy(value);
+        };
+
+        /**
+         * Determines if a single property has changed as of the last evaluate cycle. If the
+         * property holds a child object, then the child is tested for changes instead.
+         *
+         * @public
+         * @param {object} obj An existing context object.
+         * @param {string} path The path to the property, e.g. 'favoriteColors[1].name'.
+         * @returns {boolean} True if the property has changed, false otherwise.
+         */
+        this.isPropertyChanged = function (obj, path) {
+            var target = _resolvePropertyPath(obj, path);
+            var child = _getChildByProperty(target.mappedObject, target.property);
+
+            if (child) {
+                return child.hasChanges();
+            }
+
+            return _getChangesetEntry(target.mappedObject, target.property) !== null;
+        };
+
+        /**
+         * Finds a tracked object by its type and key, using the identity map. Keys are
+         * compared by their string values.
+         *
+         * @public
+         * @param {string} type The type of the object.
+         * @param {*} key The key of the object.
+         * @returns {object|null} The tracked object, or null if not found.
+         */
+        this.find = function (type, key) {
+            var identityKey = _getIdentityKey(type, key);
+            var entries = identityKey !== null ? _getIndexEntries(_keyIndex, identityKey) : [];
+
+            return entries.length ? entries[0].current : null;
+        };
+
+        /**
+         * Gets an object status for the specified object reference.
+         * 
+         * @public
+         * @param {object} obj The object to search for.
+         * @returns {string} The status of the requested object.
+         */
+        this.getObjectStatus = function (obj) {
+            if (!obj) {
+                throw new Error('Invalid object provided.');
+            }
+
+            var mappedObject = _objectIndex.get(_unwrapProxy(obj));
+
+            if (!mappedObject) {
+                throw new Error(_stringFormat('Invalid object index: {0}', null));
+            }
+
+            return mappedObject.status;
+        };
+
+        /**
+         * Gets an objects type for the specified object reference.
+         * 
+         * @public
+         * @param {object} obj The object to search for.
+         * @returns {string} The status of the requested object.
+         */
+        this.getObjectType = function (obj) {
+            if (!obj) {
+                throw new Error('Invalid object provided.');
+            }
+
+            var mappedObject = _objectIndex.get(_unwrapProxy(obj));
+
+            if (!mappedObject) {
+                throw new Error(_stringFormat('Invalid object index: {0}', null));
+            }
+
+            return mappedObject.type;
+        };
+
+        /**
+         * Rejects changes for object that exist in the context by setting the values in
+         * the object back their original values.
+         * 
+         * If a single object is passed, it will be tested for existance and then that
+         * one object will be reverted. If no object is passed, then all objects will be
+         * reverted.
+         *
+         * If a property path is passed as well, then only that property is reverted. When it
+         * was the last changed property, the object goes back to being unmodified.
+         * 
+         * @public
+         * @param {object} obj An existing context object to reject changes for.
+         * @param {string} path The path to a single property to reject changes for, e.g. 'favoriteColors[1].name'.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.rejectChanges = function (obj, path) {
+            var changedObjects = new Map();
+
+            if (_isObserving()) {
+                _objectIndex.forEach(function (mappedObject) {
+                    if (mappedObject.status !== ObjectContext.ObjectStatus.Unmodified) {
+                        changedObjects.set(mappedObject, {status: mappedObject.status, changes: mappedObject.changeset.length});
                     }
+                });
+            }
 
-                    if (obj[property] instanceof Array) {
-                        _addArray(obj[property], rootParent || obj, isStatusAdded, property);
-                    } else if (obj[property] && typeof obj[property] === 'object' && !(obj[property] instanceof Date)) {
-                        if (self.doesObjectExist(obj[property])) {
-                            continue;
-                        }
+            _historyBatchDepth++;
+            _eventBatchDepth++;
 
-                        _addObject(obj[property], rootParent || obj, obj, isStatusAdded, property);
-                    }
+            try {
+                if (path !== undefined) {
+                    _rejectPropertyChanges(_unwrapProxy(obj), path);
+                } else {
+                    _rejectChanges(_unwrapProxy(obj));
                 }
+            } finally {
+                _historyBatchDepth--;
             }
-        };
 
-        /**
-         * Adds an object to the changeset if it doesn't already exist. If it does
-         * exist then it the current value on that changeset record is updated with
-         * the new current value.
-         * 
-         * @param {object} obj The mapped object to update.
-         * @param {string} property The property that was changed.
-         */
-        var _setPropertyChanged = function (obj, property) {
-            // Check if this property has already been added to the changeset
-            var existingChangeEntry = null;
-            for (var i = 0; i < obj.changeset.length; i++) {
-                if (obj.changeset[i].PropertyName === property.toString()) {
-                    existingChangeEntry = obj.changeset[i];
-                    break;
-                }
+            try {
+                this.evaluate();
+            } finally {
+                _eventBatchDepth--;
             }
 
-            var isDate = obj.current[property] instanceof Date;
-            var newValue = isDate ? obj.current[property].toISOString() : obj.current[property];
+            _publishEvents();
 
-            if (existingChangeEntry !== null) {
-                // Check if the original value is different to the new value in the object
-                if (existingChangeEntry.OldValue != newValue) { // jshint ignore:line
-                    // Update the existing changeset entry current value
-                    existingChangeEntry.NewValue = newValue;
-                } else {
-                    // Since the object was reset to its original value, we remove it from the changeset
-                    obj.changeset.splice(obj.changeset.indexOf(existingChangeEntry), 1);
-                }
-            } else {
-                // Add a new changeset entry
-                obj.changeset.push({
-                    PropertyName: property.toString(),
-                    OldValue: obj.original[property],
-                    NewValue: newValue
-                });
+            var rejectedObjects = [];
 
-                // Update the object status to modified only if it is currently unmodified
-                if (obj.status === ObjectContext.ObjectStatus.Unmodified) {
-                    obj.status = ObjectContext.ObjectStatus.Modified;
+            changedObjects.forEach(function (before, mappedObject) {
+                if (_objectIndex.get(mappedObject.current) !== mappedObject || mappedObject.status !== before.status || mappedObject.changeset.length < before.changes) {
+                    rejectedObjects.push(mappedObject);
                 }
+            });
+
+            if (rejectedObjects.length) {
+                _emitEvent({Event: ObjectContext.EventType.ChangesRejected, Objects: rejectedObjects.map(function (rejectedObject) { return rejectedObject.current; })}, rejectedObjects);
             }
+
+            return this;
         };
 
         /**
-         * Checks to see if this mapped object has any properties in the current 
-         * object that have changed from the original.
-         * 
-         * Any functions/private properties are skipped. Any object/arrays are skipped
-         * because those will be evaluated at a later time.
-         * 
+         * Rejects the changes to a single object and its children, or to all objects if
+         * no object is provided.
+         *
          * @private
-         * @param {object} obj The mapped object to evaluate for changes.
+         * @param {object} obj An existing context object to reject changes for.
          */
-        var _checkForChanges = function (obj) {
-            for (var property in obj.current) {
-                if (obj.current.hasOwnProperty(property)) {
+        var _rejectChanges = function (obj) {
+            var i = 0;
+            var mappedObject = {};
+            var mappedObjects = _getObjectMap();
+            if (obj) {
+                mappedObject = _getMappedObject(obj);
+                var currentObject = {};
+                // When rejecting changes for an object that is marked as 'Added', we just
+                // remove that object as well as any objects that are a parent or root parent
+                if (mappedObject.status === ObjectContext.ObjectStatus.Added) {
+                    for (i = mappedObjects.length - 1; i >= 0; i--) {
+                        currentObject = mappedObjects[i];
+                        if (!self.doesObjectExist(currentObject.current)) { continue; }
 
-                    // Skip private/angular/array/object properties
-                    if (!_isTrackableProperty(obj.current, property)) {
-                        continue;
+                        if (currentObject === mappedObject || currentObject.rootParent === mappedObject.current || currentObject.parent === mappedObject.current) {
+                            self.delete(currentObject.current, true);
+                        }
                     }
+                } else {
+                    for (i = 0; i < mappedObjects.length; i++) {
+                        currentObject = mappedObjects[i];
+                        if (!self.doesObjectExist(currentObject.current)) { continue; }
 
-                    // If this property is an array then check to see if the length has changed.
-                    // Otherwise just compare the properties values
-                    if (obj.current[property] instanceof Array) {
-                        var ary = obj.current[property];
-                        var deletedObjectCount = 0;
-
-                        for (var i = 0; i < ary.length; i++) {
-                            if (typeof ary[i] === 'object' && _isTrackableObject(ary[i])) {
-                                if (self.getObjectStatus(ary[i]) === ObjectContext.ObjectStatus.Deleted) {
-                                    deletedObjectCount++;
-                                }
+                        if (currentObject.current === obj || currentObject.parent === obj || currentObject.rootParent === obj) {
+                            if (currentObject.status === ObjectContext.ObjectStatus.Conflicted) {
+                                _settleConflicts(currentObject, true);
                             }
-                        }
 
-                        // Check to see if the lengths of the corresponding arrays are different, if so add them to the changeset
-                        if ((obj.current[property].length - deletedObjectCount) !== obj.original[property].length) {
-                            _setPropertyChanged(obj, property);
-                        } else if (obj.current[property].length === obj.original[property].length) {
-                            // The lengths are the same so check to see if there are any differences in the values of 
-                            // the array (for primitive types only)
-                            for (var j = 0; j < obj.current[property].length; j++) {
-                                var currentValue = obj.current[property][j];
-
-                                // We only test primitive types here. Object comparisons would not work unless we checked
-                                // structure and values recursively. Which is doable, will come back to this later.
-                                if (typeof currentValue !== 'object') {
-                                    var originalValue = obj.original[property][j];
-
-                                    // We are doing a strict-compare here, but maybe this should be double-equals for type coercion?
-                                    if (currentValue !== originalValue) {
-                                        _setPropertyChanged(obj, property);
-                                        break;
-                                    }
-                                }
-                            }
-                        }
-                    } else {
-                        var hasDateChanged = false;
-                        if ((obj.current[property] instanceof Date && !(obj.original[property] instanceof Date)) ||
-                            (!(obj.current[property] instanceof Date) && obj.original[property] instanceof Date) ||
-                            (obj.current[property] instanceof Date && obj.current[property].toISOString() !== obj.original[property].toISOString()))
-                        {
-                            hasDateChanged = true;
+                            if (currentObject.status === ObjectContext.ObjectStatus.Modified || currentObject.status === ObjectContext.ObjectStatus.Deleted) {
+                            _resetObject(currentObject);
+                        } else if (currentObject.status === ObjectContext.ObjectStatus.Added) {
+                            self.delete(currentObject.current, true);
                         }
+                    }
+                }
+                }
+            } else {
+                for (i = mappedObjects.length - 1; i >= 0; i--) {
+                    mappedObject = mappedObjects[i];
+                    if (!self.doesObjectExist(mappedObject.current)) { continue; }
 
-                        if (((obj.current[property] === null || typeof obj.current[property] !== 'object') && obj.current[property] !== obj.original[property]) || hasDateChanged) {
-                            _setPropertyChanged(obj, property);
-                        }
+                    if (mappedObject.status === ObjectContext.ObjectStatus.Conflicted) {
+                        _settleConflicts(mappedObject, true);
+                    }
+
+                    switch (mappedObject.status) {
+                        case ObjectContext.ObjectStatus.Modified:
+                        case ObjectContext.ObjectStatus.Deleted:
+                            _resetObject(mappedObject);
+                            break;
+                        case ObjectContext.ObjectStatus.Added:
+                            if (mappedObject.parent && !(mappedObject.parent instanceof Array) && self.doesObjectExist(mappedObject.parent) && _getMappedObject(mappedObject.parent).status === ObjectContext.ObjectStatus.Added) {
+                                continue;
+                            }
+                            self.delete(mappedObject.current, true);
+                            break;
                     }
                 }
             }
         };
 
         /**
-         * Returns the index of an existing object in the object map.
-         * 
+         * Rejects the changes to a single property of an object.
+         *
          * @private
-         * @param {object} obj An existing object to search for.
+         * @param {object} obj An existing context object.
+         * @param {string} path The path to the property to reject changes for.
          */
-        var _getMapIndex = function (obj) {
-            for (var i = 0; i < _objectMap.length; i++) {
-                if (_objectMap[i].current === obj) {
-                    return i;
-                }
+        var _rejectPropertyChanges = function (obj, path) {
+            var target = _resolvePropertyPath(obj, path);
+            var mappedObject = target.mappedObject;
+            var child = _getChildByProperty(mappedObject, target.property);
+
+            if (child) {
+                _rejectChanges(child.current);
+                return;
             }
 
-            return null;
-        };
-
-        /**
-         * Returns the mapped object instance using the provided object reference.
-         * 
-         * @private
-         * @param {object} obj The object to search for.
-         * @returns {object} A mapped object.
-         */
-        var _getMappedObject = function (obj) {
-            var mappedObjectIndex = _getMapIndex(obj);
+            _resetProperty(mappedObject, target.property);
 
-            if (mappedObjectIndex === null) {
-                throw new Error('Object not found.');
+            var entry = _getChangesetEntry(mappedObject, target.property);
+            if (entry) {
+                mappedObject.changeset.splice(mappedObject.changeset.indexOf(entry), 1);
             }
 
-            return _objectMap[mappedObjectIndex];
+            if (mappedObject.changeset.length === 0 && mappedObject.status === ObjectContext.ObjectStatus.Modified) {
+                mappedObject.status = ObjectContext.ObjectStatus.Unmodified;
+            }
         };
 
         /**
-         * Returns all objects (in their current state) that have the provided status.
-         * 
+         * Puts the original value of a single property back on a mapped object.
+         *
          * @private
-         * @param {ObjectStatus} status The status of the requested objects.
-         * @param {boolean} parentsOnly Retrieve only parent objects.
-         * @returns {array} An array of objects with a status of 'status'.
+         * @param {object} obj The mapped object to reset the property on.
+         * @param {string} property The property to reset.
          */
-        var _getObjectsByStatus = function (status, parentsOnly) {
-            var objects = [];
+        var _resetProperty = function (obj, property) {
+            var ary = obj.current[property] instanceof Array ? obj.current[property] : [];
+            var shared = [];
+            var child = null;
+
+            var isOtherParent = function (link) {
+                return link.mappedObject !== obj || link.propertyName !== property;
+            };
 
-            for (var i = 0; i < _objectMap.length; i++) {
-                var mappedObject = _objectMap[i];
+            if (obj.originalArrays.hasOwnProperty(property)) {
+                for (var j = ary.length - 1; j >= 0; j--) {
+                    var mappedObject = ary[j] && typeof ary[j] === 'object' ? _objectIndex.get(ary[j]) : null;
+                    if (!mappedObject) { continue; }
 
-                if (mappedObject.status === status && (!parentsOnly || (parentsOnly === true && !mappedObject.rootParent))) {
-                    objects.push(_objectMap[i].current);
+                    switch (mappedObject.status) {
+                        case ObjectContext.ObjectStatus.Unmodified:
+                            break;
+                        case ObjectContext.ObjectStatus.Modified:
+                        case ObjectContext.ObjectStatus.Deleted:
+                            _resetObject(mappedObject);
+                            break;
+                        case ObjectContext.ObjectStatus.Added:
+                            // An added object that another parent also holds stays tracked for that parent
+                            if (_getReferencingParents(mappedObject).some(isOtherParent)) {
+                                shared.push(mappedObject);
+                            } else {
+                                _removeMappedObject(mappedObject);
+                            }
+                            break;
+                    }
+                }
+            } else {
+                child = _getDetachedChild(obj, property);
+
+                if (child && (child.status === ObjectContext.ObjectStatus.Modified || child.status === ObjectContext.ObjectStatus.Deleted)) {
+                    _resetObject(child);
                 }
             }
 
-            return objects;
+            if (child) {
+                // The child object was removed from the property, so put the same instance back
+                obj.current[property] = child.current;
+            } else {
+                // Original array elements are put back in their original order, which also
+                // removes any elements that were added to the array
+                _restoreValue(obj.current, property, obj.original, obj.originalArrays, ary);
+            }
+
+            shared.forEach(function (sharedObject) {
+                _updatePrimaryParent(sharedObject, []);
+            });
         };
 
         /**
-         * Returns the native type of the provided object as a string.
+         * Puts a saved value back on a property of an object. This is used both to reset
+         * properties to their original values, and to restore captured history states.
+         *
+         * Array elements are put back into the provided array, Dates and built-in values
+         * are copied, and the property is removed if no value was saved for it.
          *
          * @private
-         * @param {object} obj The object to test.
-         * @returns {string} The type of the object.
+         * @param {object} obj The object to put the value on.
+         * @param {string} property The property to restore.
+         * @param {object} values The saved values by property name, e.g. the original values.
+         * @param {object} arrays The saved array elements by property name, e.g. the original arrays.
+         * @param {array} ary The array to put the saved elements into, if the property holds an array.
          */
-        var _getNativeType = function (obj) {
-            var funcNameRegex = /function (.{1,})\(/;
-            var results = (funcNameRegex).exec((obj).constructor.toString());
-
-            return (results && results.length > 1) ? results[1] : '';
+        var _restoreValue = function (obj, property, values, arrays, ary) {
+            if (arrays.hasOwnProperty(property)) {
+                obj[property] = _restoreArray(ary instanceof Array ? ary : [], arrays[property]);
+            } else if (!values.hasOwnProperty(property)) {
+                delete obj[property];
+            } else {
+                var value = values[property];
+                obj[property] = value instanceof Date || _isStructuredValue(value) ? _deepCopy(value) : value;
+            }
         };
 
         /**
-         * Adds an object to the context. Any changes to the properties on this object
-         * will trigger the context to have changes and notify any subscribers.
+         * Finds the tracked child that a property of a mapped object originally held, when
+         * the property no longer holds it.
          *
-         * This method wraps the passed in object in an object that we can work with. The
-         * passed in object will be copied so we can store its original state.
-         *
-         * If a meta property does not exist on the object then one will be added to it.
-         *
-         * Any changes that are made to this object can be seen by querying the changeset
-         * property.
-         * 
          * @private
-         * @param {object} obj An object to add to the context that will be tracked for changes.
-         * @param {object} rootParent The root parent of obj.
-         * @param {object} parent The direct parent of obj.
-         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
-         * @param {string} propertyName The property name on the parent that holds this object.
-         * @returns {object} A reference of this for method chaining.
+         * @param {object} obj The mapped object that held the child.
+         * @param {string} property The property that held the child.
+         * @returns {object} The mapped child, or null if there is none.
          */
-        var _addObject = function(obj, rootParent, parent, isStatusAdded, propertyName) {
-            if (!obj || typeof obj !== 'object' || obj instanceof Array) {
-                throw new Error('Invalid object specified. The value provided must be of type "object".');
-            }
-
-            var status = isStatusAdded ? ObjectContext.ObjectStatus.Added : ObjectContext.ObjectStatus.Unmodified;
-            var type = (_objectTypePropertyName && _objectTypePropertyName.trim().length > 0 && obj.hasOwnProperty(_objectTypePropertyName)) ? obj[_objectTypePropertyName] : _getNativeType(obj);
+        var _getDetachedChild = function (obj, property) {
+            var children = _getChildren(obj.current);
 
-            if (self.doesObjectExist(obj) || !_isTrackableObject(obj)) {
-                return self;
+            for (var i = 0; i < children.length; i++) {
+                if (children[i].parent === obj.current && children[i].propertyName === property && obj.current[property] !== children[i].current) {
+                    return children[i];
+                }
             }
 
-            _objectMap.push(_createMappedObject(obj, status, type, rootParent, parent, propertyName));
-            _addChildren(obj, rootParent, isStatusAdded);
-
-            return self;
-        };
-
-        /**
-         * Sets the service URI to use when making AJAX load requests.
-         *
-         * @public
-         * @returns {object} A reference to this for method chaiing.
-         */
-        this.setServiceUri = function (serviceUri) {
-            _serviceUri = serviceUri;
-            return this;
+            return null;
         };
 
         /**
-         * Updates the date time
-         * @param {Date} date A Date object to update.
-         * @param {string} isoString An ISO-8601 formatted date string.
+         * Removes any changes to a loaded object and reverts it to its unchanged state.
+         * 
+         * @private
+         * @param {object} obj The mapped to reset.
          */
-        var _setDate = function(date, isoString) {
-            if (!_isValidDateString(isoString)) {
-                throw new Error('The provided date string \"' + isoString + '\" is in an unsupported format.');
+        var _resetObject = function (obj) {
+            for (var i = 0; i < obj.changeset.length; i++) {
+                _resetProperty(obj, obj.changeset[i].PropertyName);
             }
 
-            var newDate = new Date(isoString);
-            date.setTime(newDate.getTime());
-            return date;
+            obj.status = obj.originalStatus;
+            obj.changeset = [];
+            obj.hasChildChanges = false;
         };
 
         /**
-         * Determines if the provided date string is in a valid date format.
-         * @param  {string} dateString The date string to test.
-         * @return {Boolean} True if the date passes the format validation.
+         * Sets the maximum number of steps to keep in the undo history. Setting a depth of
+         * zero (the default) disables the history.
+         *
+         * @public
+         * @param {number} depth The maximum number of undo steps.
+         * @returns {object} A reference to this for chaining.
          */
-        var _isValidDateString = function(dateString) {
-            if (typeof dateString !== 'string') {
-                throw new Error('An invalid dateString was provided: ' + dateString);
+        this.setUndoDepth = function (depth) {
+            if (typeof depth !== 'number' || depth < 0 || Math.floor(depth) !== depth) {
+                throw new Error('Invalid undo depth provided. The depth must be a positive integer or zero.');
             }
-            return Date.parse(dateString);
-        };
 
-        /**
-         * Returns the property names for all properties of type Date.
-         * @param  {object} obj The object to check.
-         * @return {string[]} An array of string property names.
-         */
-        var _getDateProperties = function(obj) {
-            var dateProperties = [];
-            for (var prop in obj) {
-                if (obj.hasOwnProperty(prop) && obj[prop] instanceof Date) {
-                    dateProperties.push(prop);
+            _undoDepth = depth;
+
+            if (_undoDepth === 0) {
+                _resetHistory();
+            } else {
+                while (_undoStack.length > _undoDepth) {
+                    _undoStack.shift();
+                }
+
+                if (!_historyStates) {
+                    _resetHistory();
                 }
             }
-            return dateProperties;
+
+            return this;
         };
 
         /**
-         * Creates date objects for all properties provided.
-         * @param  {string[]} dateProperties An array of property names.
-         * @param  {object} obj The object to set the dates on.
+         * Sets whether a history step is recorded after every evaluate cycle (the default),
+         * or only when checkpoint() is called.
+         *
+         * @public
+         * @param {boolean} isEnabled True to record a step after every evaluate cycle.
+         * @returns {object} A reference to this for chaining.
          */
-        var _instantiateDateProperties = function(dateProperties, obj) {
-            dateProperties.forEach(function(prop) {
-                if (obj[prop] && typeof obj[prop] === 'string' && _isValidDateString(obj[prop])) {
-                    obj[prop] = new Date(obj[prop]);
-                }
-            });
+        this.setAutoCheckpoint = function (isEnabled) {
+            _isAutoCheckpointEnabled = !!isEnabled;
+            return this;
         };
 
         /**
-         * Iterates over the object map and finds all objects that are not referenced
-         * on any other objects anymore and removes their entries from the object map.
-         */
-        var _removeOrphanedChildren = function() {
-            for (var i = _objectMap.length - 1; i >= 0; i--) {
-                if (_objectMap[i].parent && _objectMap[i].propertyName) {
-                    var found = false;
-                    var mappedObject = _objectMap[i];
-                    for (var j = _objectMap.length - 1; j >= 0; j--) {
-                        if (_objectMap[j] !== mappedObject && _objectMap[j].current.hasOwnProperty(mappedObject.propertyName)) {
-                            if (_objectMap[j].current[mappedObject.propertyName] instanceof Array && _objectMap[j].current[mappedObject.propertyName].indexOf(mappedObject.current) >= 0) {
-                                found = true;
-                                break;
-                            }
-                            else if (typeof _objectMap[j].current[mappedObject.propertyName] === 'object' && _objectMap[j].current[mappedObject.propertyName] === mappedObject.current) {
-                                found = true;
-                                break;
-                            }
-                        }
-                    }
-
-                    if (!found) {
-                        _objectMap.splice(i, 1);
-                    }
-                }
-            }
+         * Evaluates the context for changes and records a history step if anything has
+         * changed since the last step.
+         *
+         * @public
+         * @returns {object} A reference to this for chaining.
+         */
+        this.checkpoint = function () {
+            this.evaluate();
+            _recordHistory();
+            return this;
         };
 
         /**
-         * Sets the property name to look for on objects to retrieve its data type as a string value.
-         *
-         * Note: This is optional and if it is not provided, then the objects native JavaScript data type will be used.
+         * Determines if there is a history step that can be undone.
          *
          * @public
-         * @returns {object} A reference to this for method chaiing.
+         * @returns {boolean}
          */
-        this.setObjectTypePropertyName = function (propertyName) {
-            _objectTypePropertyName = propertyName;
-            return this;
+        this.canUndo = function () {
+            return _undoStack.length > 0;
         };
 
         /**
-         * Sets the property name to look for on objects to retrieve its key as a an array of strings.
-         *
-         * Note: This is optional.
+         * Determines if there is an undone history step that can be redone.
          *
          * @public
-         * @returns {object} A reference to this for method chaiing.
+         * @returns {boolean}
          */
-        this.setObjectKeyPropertyName = function (propertyName) {
-            _objectKeyPropertyName = propertyName;
-            return this;
+        this.canRedo = function () {
+            return _redoStack.length > 0;
         };
 
         /**
-         * This is the change tracking engine.
+         * Reverts the context to the state it was in before the last history step. Any
+         * changes that haven't been recorded yet are recorded as a step first.
          *
-         * Checks if any of the property values in each of the tracked objects have any changes.
+         * Values, statuses, changesets and tracked objects are all restored, and change
+         * listeners are notified.
          *
-         * Will recursively evaluate child properties that are arrays/objects themselves.
-         * 
          * @public
-         * @returns {object} A reference of this for method chaining.
+         * @returns {object} A reference to this for chaining.
          */
-        this.evaluate = function () {
-            // Loop through each of the objects currently loaded, and evaluate them for
-            // changes. If the object is marked as deleted/added, then it will be skipped as 
-            // we already know that there are changes.
-            for (var i = 0; i < _objectMap.length; i++) {
-                var mappedObj = _objectMap[i];
-
-                // If the object is marked as deleted then we can skip it
-                if (mappedObj.status === ObjectContext.ObjectStatus.Deleted) {
-                    continue;
-                }
-
-                // First we need to check if there are any new objects to add from 
-                // any arrays within the hierarchy of the currently mapped object
-                _addChildren(mappedObj.current, mappedObj.rootParent, true);
+        this.undo = function () {
+            this.checkpoint();
 
-                _checkForChanges(mappedObj);
+            if (!this.canUndo()) {
+                return this;
             }
 
-            // Now that the evaluate loop has finished, call any change listeners subscribed to us
-            for (var x = 0; x < _changeListeners.length; x++) {
-                var listener = _changeListeners[x];
-
-                if (listener && typeof listener === 'function') {
-                    listener(this.hasChanges());
-                }
-            }
+            var step = _undoStack.pop();
+            _applyHistoryStep(step, true);
+            _redoStack.push(step);
+            _notifyChangeListeners();
 
             return this;
         };
 
         /**
-         * Checks to see if the provided object has already been added to the context.
-         * 
+         * Reapplies the last history step that was undone. If any changes were made since
+         * the undo, then there is nothing to redo.
+         *
          * @public
-         * @param {object} objectReference An object to test for existance.
-         * @returns {boolean} True if the objects exists already, false otherwise.
+         * @returns {object} A reference to this for chaining.
          */
-        this.doesObjectExist = function (objectReference) {
-            if (!objectReference) { return false; }
+        this.redo = function () {
+            this.checkpoint();
 
-            for (var i = 0; i < _objectMap.length; i++) {
-                if (_objectMap[i].current === objectReference) {
-                    return true;
-                }
+            if (!this.canRedo()) {
+                return this;
             }
 
-            return false;
+            var step = _redoStack.pop();
+            _applyHistoryStep(step, false);
+            _undoStack.push(step);
+            _notifyChangeListeners();
+
+            return this;
         };
 
         /**
-         * Adds an object to the context. Any changes to the properties on this object
-         * will trigger the context to have changes and notify any subscribers.
-         *
-         * This method wraps the passed in object in an object that we can work with. The
-         * passed in object will be copied so we can store its original state.
+         * Starts a new transaction. All changes made from this point on can be rolled back
+         * with rollback(), or kept with commit(). Transactions can be nested, and each call
+         * to commit() or rollback() ends the most recently started transaction.
          *
-         * If a meta property does not exist on the object then one will be added to it.
+         * Any pending changes are evaluated before the transaction starts, so they are not
+         * part of it.
          *
-         * Any changes that are made to this object can be seen by querying the changeset
-         * property.
-         * 
          * @public
-         * @param {object} obj An object to add to the context that will be tracked for changes.
-         * @param {boolean} isStatusAdded Whether or not this object should be added with a status of 'Added' or not.
-         * @returns {object} A reference of this for method chaining.
+         * @returns {object} A reference to this for chaining.
          */
-        this.add = function (obj, isStatusAdded) {
-            return _addObject(obj, null, null, isStatusAdded, null);
+        this.beginTransaction = function () {
+            this.evaluate();
+            _transactions.push(_takeSnapshot());
+            return this;
         };
 
-        /**	
-         * Deletes an existing object from change tracking and all objects that are a
-         * child of the provided object.
-         * 
+        /**
+         * Creates a savepoint. This is the same as calling beginTransaction().
+         *
          * @public
-         * @param {object} obj An object to delete.
-         * @param {boolean} hardDelete Whether or not to remove the object from the context, or just mark it for deletion.
-         * @returns {object} A reference of this for method chaining.
+         * @returns {object} A reference to this for chaining.
          */
-        this.delete = function (obj, hardDelete) {
-            var i, currentObject;
-            var index = _getMapIndex(obj);
-
-            if (index === null) {
-                throw new Error('Object was not found. Removal failed.');
-            }
+        this.savepoint = function () {
+            return this.beginTransaction();
+        };
 
-            // If this object has a status of Added (then just remove the object completely)
-            // along with any of its children.
-            if (_objectMap[index].status === ObjectContext.ObjectStatus.Added) {
-                hardDelete = true;
+        /**
+         * Ends the most recently started transaction and keeps its changes. If the transaction
+         * is nested, then its changes become part of the enclosing transaction.
+         *
+         * @public
+         * @returns {object} A reference to this for chaining.
+         */
+        this.commit = function () {
+            if (_transactions.length === 0) {
+                throw new Error('There is no transaction to commit.');
             }
 
-            // Are we removing the object or just marking it as deleted
-            if (hardDelete === true) {
-                var foundInArray = false;
-                if (_objectMap[index].status === ObjectContext.ObjectStatus.Added && _objectMap[index].parent && _objectMap[index].parent instanceof Array) {
-                    _objectMap[index].parent.splice(_objectMap[index].parent.indexOf(_objectMap[index].current), 1);
-                    foundInArray = true;
-                }
-
-                currentObject = _objectMap[index].current;
-                _objectMap.splice(index, 1);
+            _transactions.pop();
+            return this;
+        };
 
-                if (!foundInArray) {
-                    // Go through the object map and find an object that has a child that
-                    // matches that of the object we are deleting. Then reset its value
-                    // back to its original value.
-                    for (i = 0; i < _objectMap.length; i++) {
-                        var done = false;
-                        for (var prop in _objectMap[i].current) {
-                            if (_objectMap[i].current.hasOwnProperty(prop) && _objectMap[i].current[prop] === currentObject) {
-                                _objectMap[i].current[prop] = _deepCopy(_objectMap[i].original[prop]);
-                                done = true;
-                                break;
-                            }
-                        }
-                        if (done) {
-                            break;
-                        }
-                    }
-                }
-            } else if (_objectMap[index].status !== ObjectContext.ObjectStatus.Added) {
-                _objectMap[index].status = ObjectContext.ObjectStatus.Deleted;
+        /**
+         * Ends the most recently started transaction and reverts every change made since it
+         * was started. Values, statuses and changesets are restored, objects added inside the
+         * transaction are removed and objects hard-deleted inside it are tracked again.
+         *
+         * @public
+         * @returns {object} A reference to this for chaining.
+         */
+        this.rollback = function () {
+            if (_transactions.length === 0) {
+                throw new Error('There is no transaction to roll back.');
             }
 
-            // Remove all objects that are a child of this object
-            for (i = _objectMap.length - 1; i >= 0; i--) {
-                currentObject = _objectMap[i];
+            _restoreSnapshot(_transactions.pop());
+            _onChangeCycleComplete();
+            _notifyChangeListeners();
 
-                if (currentObject.current === obj) {
-                    continue;
-                }
+            return this;
+        };
 
-                if (currentObject.rootParent === obj || currentObject.parent === obj) {
-                    if (hardDelete === true) {
-                        _objectMap.splice(i, 1);
-                    } else if (currentObject.status !== ObjectContext.ObjectStatus.Added) {
-                        currentObject.status = ObjectContext.ObjectStatus.Deleted;
-                    }
-                }
-            }
+        /**
+         * Returns the number of transactions that are currently open.
+         *
+         * @public
+         * @returns {number}
+         */
+        this.getTransactionDepth = function () {
+            return _transactions.length;
+        };
 
-            // Now that the object has been removed and reset, we need to go through the
-            // object map and fix up any parent and children that don't have matching values.
-            for (i = 0; i < _objectMap.length; i++) {
-                if (_objectMap[i].parent && typeof _objectMap[i].parent === 'object' && !(_objectMap[i].parent instanceof Array) && _objectMap[i].propertyName && _objectMap[i].parent[_objectMap[i].propertyName] !== _objectMap[i].current) {
-                    _objectMap[i].parent[_objectMap[i].propertyName] = _objectMap[i].current;
-                }
+        /**
+         * Subcribes the passed listener function that will be invoked when a change has occured.
+         * The listener is passed whether or not the context has changes, and the validation
+         * errors once validators have been added (see addValidator()).
+         * 
+         * @public
+         * @param {function} listener A function to invoke when a change occurs to any objects in the context.
+         */
+        this.subscribeChangeListener = function (listener) {
+            if (typeof listener !== 'function') {
+                throw new Error('The provided listener must be a function callback.');
             }
 
-            this.evaluate();
+            _changeListeners.push(listener);
 
-            return this;
+            return _changeListeners.length;
         };
 
         /**
-         * Determines if any of the tracked objects have any active changesets. If an
-         * object is passed, then just that object will be tested for changes.
+         * Unsubscribes the provided change listener.
          * 
          * @public
-         * @returns {boolean} Determines whether or not the context has any objects with changes.
+         * @param {function} listener A function reference to unsubscribe.
          */
-        this.hasChanges = function (obj) {
-            if (obj) {
-                var mappedObject = _getMappedObject(obj);
-                return mappedObject.hasChanges();
-            } else {
-                for (var i = 0; i < _objectMap.length; i++) {
-                    if (_objectMap[i].hasChanges()) {
-                        return true;
-                    }
-                }
+        this.unsubscribeChangeListener = function (listener) {
+            if (_changeListeners.indexOf(listener) < 0) {
+                throw new Error('The provided listener function was not subscribed.');
             }
 
-            return false;
+            _changeListeners.splice(_changeListeners.indexOf(listener), 1);
+
+            return _changeListeners.length;
         };
 
         /**
-         * Determines if the provided object has children that are marked as being changed.
-         * 
+         * Subscribes a handler to an event of the context. Unlike change listeners, events are
+         * only published when something actually changed, and each event describes the change:
+         *
+         * - propertyChanged: Object, Type, PropertyName, PropertyPath, OldValue and NewValue.
+         * - statusChanged: Object, Type, OldStatus and NewStatus.
+         * - objectAdded: Object, Type and Status, when an object starts being tracked.
+         * - objectDeleted: Object and Type, when an object is marked as Deleted.
+         * - objectDetached: Object, Type and Status, when an object stops being tracked.
+         * - changesAccepted and changesRejected: Objects that had their changes accepted or rejected.
+         *
+         * Every event also has its Event name.
+         *
          * @public
-         * @returns {boolean}
+         * @param {string} eventName One of the ObjectContext.EventType values, or '*' for every event.
+         * @param {function} handler The function to call with each event.
+         * @param {string} type [optional] Only call the handler for events on objects of this type.
+         * @returns {object} A reference to this for chaining.
          */
-        this.hasChildChanges = function (obj) {
-            if (!obj) {
-                throw new Error('Error determining if object has child changes. The object could not be found.');
-            }
+        this.subscribe = function (eventName, handler, type) {
+            _addEventHandler(eventName, handler, type, false);
 
-            var mappedObject = _getMappedObject(obj);
+            return this;
+        };
 
-            // The hasChildChanges property is set inside hasChanges so we need
-            // to call this first.
-            mappedObject.hasChanges();
+        /**
+         * Subscribes a handler to the next matching event only (see subscribe()).
+         *
+         * @public
+         * @param {string} eventName One of the ObjectContext.EventType values, or '*' for every event.
+         * @param {function} handler The function to call with the event.
+         * @param {string} type [optional] Only call the handler for an event on an object of this type.
+         * @returns {object} A reference to this for chaining.
+         */
+        this.subscribeOnce = function (eventName, handler, type) {
+            _addEventHandler(eventName, handler, type, true);
 
-            return mappedObject.hasChildChanges;
+            return this;
         };
 
         /**
-         * Removes all currently tracked objects and resets the state of the context.
+         * Unsubscribes a handler from an event. If a type is provided, only the subscription
+         * for that type is removed.
          *
-         * This will usually be called when the state of the application is being destroyed,
-         * and any object that are laoded into the context are no longer relevant.
-         * 
          * @public
-         * @returns {object} A reference of this for method chaining.
+         * @param {string} eventName The event name the handler was subscribed with.
+         * @param {function} handler The handler to unsubscribe.
+         * @param {string} type [optional] The type the handler was subscribed with.
+         * @returns {object} A reference to this for chaining.
          */
-        this.clear = function () {
-            _objectMap.length = 0;
+        this.unsubscribe = function (eventName, handler, type) {
+            var entries = _eventHandlers.filter(function (entry) {
+                return entry.eventName === eventName && entry.handler === handler && (type === undefined || entry.type === type);
+            });
+
+            if (!entries.length) {
+                throw new Error('The provided handler was not subscribed.');
+            }
+
+            entries.forEach(_removeEventHandler);
+
             return this;
         };
 
         /**
-         * Returns all objects in the context in their current state.
-         * 
+         * Turns the change journal on or off. While it is on, every change the context
+         * observes is recorded with a timestamp, actor and reason: property edits, added,
+         * deleted and detached objects, status changes, and accepted and rejected changes.
+         * Each evaluate cycle (or proxy write) records the values as they were at that time,
+         * so the intermediate values of a property are kept.
+         *
          * @public
-         * @returns {array} An Array of objects that exists in the context.
+         * @param {boolean} isEnabled Whether or not to record changes.
+         * @returns {object} A reference to this for chaining.
          */
-        this.getObjects = function (returnMappedObjects) {
-            var objects = [];
+        this.setJournalEnabled = function (isEnabled) {
+            if (typeof isEnabled !== 'boolean') {
+                throw new Error('Invalid value provided. The value must be a boolean.');
+            }
 
-            for (var i = 0; i < _objectMap.length; i++) {
-                objects.push(returnMappedObjects ? _objectMap[i] : _objectMap[i].current);
+            if (isEnabled && !_isObserving()) {
+                _resetObservedObjects();
             }
 
-            return objects;
+            _isJournalEnabled = isEnabled;
+
+            if (!_isObserving()) {
+                _observedObjects = new Map();
+            }
+
+            return this;
         };
 
         /**
-         * Returns all objects that have status of 'Unmodified'.
-         * 
+         * Sets the actor (e.g. a user id) recorded with each journal entry. A function can be
+         * provided instead, which is called for the actor each time an entry is recorded.
+         *
          * @public
-         * @param {boolean} parentsOnly Retrieve only parent objects.
-         * @returns {array} An array of objects with a status of 'Unmodified'.
+         * @param {*} actor The actor, a function that returns the actor, or null.
+         * @returns {object} A reference to this for chaining.
          */
-        this.getUnmodifiedObjects = function (parentsOnly) {
-            return _getObjectsByStatus(ObjectContext.ObjectStatus.Unmodified, parentsOnly);
+        this.setJournalActor = function (actor) {
+            _journalActor = actor === undefined ? null : actor;
+
+            return this;
         };
 
         /**
-         * Returns all objects that have status of 'Modified'.
-         * 
+         * Sets the reason recorded with each journal entry from now on. Set it back to null
+         * once the changes it explains are done.
+         *
          * @public
-         * @param {boolean} parentsOnly Retrieve only parent objects.
-         * @returns {array} An array of objects with a status of 'Modified'.
+         * @param {string} reason The reason for the changes, or null.
+         * @returns {object} A reference to this for chaining.
          */
-        this.getModifiedObjects = function (parentsOnly) {
-            return _getObjectsByStatus(ObjectContext.ObjectStatus.Modified, parentsOnly);
+        this.setJournalReason = function (reason) {
+            if (reason !== null && reason !== undefined && typeof reason !== 'string') {
+                throw new Error('The provided reason must be a string.');
+            }
+
+            _journalReason = reason || null;
+
+            return this;
         };
 
         /**
-         * Returns all objects that have status of 'Added'.
-         * 
+         * Returns the journal entries, oldest first. If an object is provided, then only its
+         * entries are returned, even if it is no longer tracked.
+         *
+         * Each entry has the Timestamp, Actor, Reason, Event (one of the ObjectContext.EventType
+         * values), Object, Type, ContextIdentifier and Key, and the details of the event (see
+         * subscribe()), e.g. the PropertyName, PropertyPath, OldValue and NewValue of a
+         * property change.
+         *
          * @public
-         * @param {boolean} parentsOnly Retrieve only parent objects.
-         * @returns {array} An array of objects with a status of 'Added'.
+         * @param {object} obj [optional] The object to fetch the entries for.
+         * @returns {array} The journal entries.
          */
-        this.getAddedObjects = function (parentsOnly) {
-            return _getObjectsByStatus(ObjectContext.ObjectStatus.Added, parentsOnly);
+        this.getJournal = function (obj) {
+            if (obj !== undefined && (!obj || typeof obj !== 'object')) {
+                throw new Error('Invalid object provided.');
+            }
+
+            obj = _unwrapProxy(obj);
+
+            return _journal.filter(function (entry) {
+                return obj === undefined || entry.Object === obj;
+            }).map(_shallowCopy);
         };
 
         /**
-         * Returns all objects that have status of 'Deleted'.
-         * 
+         * Returns the journal entries for objects of the provided type, oldest first.
+         *
          * @public
-         * @param {boolean} parentsOnly Retrieve only parent objects.
-         * @returns {array} An array of objects with a status of 'Deleted'.
+         * @param {string} type The type of objects to fetch the entries for.
+         * @returns {array} The journal entries.
          */
-        this.getDeletedObjects = function (parentsOnly) {
-            return _getObjectsByStatus(ObjectContext.ObjectStatus.Deleted, parentsOnly);
+        this.getJournalByType = function (type) {
+            if (typeof type !== 'string') {
+                throw new Error('Invalid type provided.');
+            }
+
+            return _journal.filter(function (entry) {
+                return entry.Type === type;
+            }).map(_shallowCopy);
         };
 
         /**
-         * Attempts to find a single object in the context using the provided property.
-         * 
+         * Exports the journal as a JSON string. The objects themselves are left out, since
+         * they are identified by their Type, ContextIdentifier and Key. Timestamps are ISO
+         * strings, and tracked objects in values are written as {ContextIdentifier}.
+         *
          * @public
-         * @param {string} requestedType The type of objects to fetch from the context.
-         * @returns {array} An array of objects found.
+         * @returns {string} The journal as JSON.
          */
-        this.getObjectsByType = function (requestedType) {
-            var objects = [];
+        this.exportJournal = function () {
+            return JSON.stringify(_journal.map(function (entry) {
+                var exported = {};
 
-            for (var i = 0; i < _objectMap.length; i++) {
-                if (_objectMap[i].type === requestedType) {
-                    objects.push(_objectMap[i].current);
+                for (var field in entry) {
+                    if (entry.hasOwnProperty(field) && field !== 'Object') {
+                        exported[field] = _toJournalValue(entry[field]);
+                    }
                 }
-            }
 
-            return objects;
+                return exported;
+            }));
         };
 
         /**
-         * Applies all changes in currently modified objects. After this, all objects
-         * that previously had a status that was not equal to 'Unmodified', will now
-         * have an 'Unmodified' status.
-         * 
-         * If the object has a status of deleted, then the object will be removed 
-         * from the context.
-         * 
-         * Objects that were unchanged are not touched.
-         * 
+         * Removes every entry from the journal.
+         *
          * @public
-         * @returns {object} A reference of this for method chaining.
+         * @returns {object} A reference to this for chaining.
          */
-        this.acceptChanges = function (saveResultMap) {
-            var evalChanges = false;
-            var currentObject = {};
+        this.clearJournal = function () {
+            _journal.length = 0;
 
-            // First we need to determine if there are any objects that are part of an 
-            // array need to be removed. If there are, remove them and then reevaluate.
-            for (var i = _objectMap.length - 1; i >= 0; i--) {
-                currentObject = _objectMap[i];
+            return this;
+        };
 
-                if (currentObject.status === ObjectContext.ObjectStatus.Deleted &&
-                    currentObject.parent && currentObject.parent instanceof Array) {
-                    currentObject.parent.splice(currentObject.parent.indexOf(currentObject.current), 1);
-                    _objectMap.splice(i, 1);
-                    evalChanges = true;
-                }
+        /**
+         * Registers an entity type. Objects created with create() are built from the type
+         * definition, and objects in its child collections are given the child type even if
+         * they don't have a type property. The key fields of a registered type take precedence
+         * over the object key property name (see setObjectKeyPropertyName()).
+         *
+         * Each property is either a data type name ('string', 'number', 'boolean', 'date',
+         * 'object', 'array' or 'any'), or an object with a type and defaultValue. Object and
+         * array defaults are copied for each instance, and a function default is called to
+         * create the value. Properties without a default start as null, and arrays as [].
+         *
+         * @public
+         * @param {string} type The name of the type.
+         * @param {object} definition The type definition.
+         * @param {object} definition.properties A map of property names to data types or property definitions.
+         * @param {string|Array} definition.key The key property name, or an array of names for a composite key.
+         * @param {object} definition.children A map of child collection property names to the type of the objects in them. Created instances start with empty collections.
+         * @returns {object} A reference to this for method chaiing.
+         */
+        this.registerType = function (type, definition) {
+            if (!type || typeof type !== 'string') {
+                throw new Error('Invalid type provided. The type must be a string.');
+            } else if (!definition || typeof definition !== 'object') {
+                throw new Error('Invalid type definition provided for the type: ' + type);
             }
 
-            // Due to the loop above, if there was an object removed from an array, we 
-            // need to reevaluate all objects for new changes before applying.
-            if (evalChanges) {
-              this.evaluate();
+            var keys = definition.key instanceof Array ? definition.key : (definition.key ? [definition.key] : []);
+            if (keys.some(function (name) { return !name || typeof name !== 'string'; })) {
+                throw new Error('Invalid key provided for the type: ' + type + '. The key must be a property name or an array of property names.');
             }
 
-            // Now go through and remove/set remaining objects
-            for (i = _objectMap.length - 1; i >= 0; i--) {
-                currentObject = _objectMap[i];
+            var properties = {};
+            for (var property in definition.properties) {
+                if (!definition.properties.hasOwnProperty(property)) { continue; }
 
-                if (currentObject.status !== ObjectContext.ObjectStatus.Unmodified) {
-                    // If this object is marked as deleted, then we remove it from the context
-                    if (currentObject.status === ObjectContext.ObjectStatus.Deleted) {
-                        _objectMap.splice(i, 1);
-                    } else {
-                        // This object was either Added or Modified so set it to an Unmodified state
-                        currentObject.changeset = [];
-                        currentObject.status = ObjectContext.ObjectStatus.Unmodified;
-                        currentObject.originalStatus = currentObject.status;
-                        var dateProperties = _getDateProperties(currentObject.current);
-                        currentObject.original = _deepCopy(currentObject.current);
-                        if (dateProperties.length) {
-                            _instantiateDateProperties(dateProperties, currentObject.original);
-                        }
-                    }
+                var propertyDefinition = definition.properties[property];
+                if (typeof propertyDefinition === 'string') {
+                    propertyDefinition = {type: propertyDefinition};
+                }
+
+                if (!propertyDefinition || _dataTypes.indexOf(propertyDefinition.type) < 0) {
+                    throw new Error(_stringFormat('Invalid data type provided for {0}.{1}. Only {2} are supported.', type, property, _dataTypes.join(', ')));
                 }
+
+                properties[property] = {
+                    type: propertyDefinition.type,
+                    defaultValue: propertyDefinition.hasOwnProperty('defaultValue') ? propertyDefinition.defaultValue : (propertyDefinition.type === 'array' ? [] : null)
+                };
             }
 
-            // Check we were passed a valid save result map object
-            // If so, then we need to refresh any object values with their values in the result map
-            if (saveResultMap && typeof saveResultMap === 'object') {
-                for (var key in saveResultMap) {
-                    if (saveResultMap.hasOwnProperty(key) && saveResultMap[key] && typeof saveResultMap[key] === 'object') {
-                        var mappedObject = _getMappedObjectByIdentifier(key);
-                        if (!mappedObject) { continue; }
-                        _synchronizeObject(mappedObject, saveResultMap[key]);
-                    }
+            var children = {};
+            for (property in definition.children) {
+                if (!definition.children.hasOwnProperty(property)) { continue; }
+
+                if (!definition.children[property] || typeof definition.children[property] !== 'string') {
+                    throw new Error(_stringFormat('Invalid child type provided for {0}.{1}. The child type must be a string.', type, property));
                 }
+
+                children[property] = definition.children[property];
             }
 
-            this.evaluate();
+            _types[type] = {
+                properties: properties,
+                key: keys.length === 0 ? null : (definition.key instanceof Array ? keys : keys[0]),
+                children: children
+            };
 
-            _removeOrphanedChildren();
+            _refreshObjectTypes();
 
             return this;
         };
 
         /**
-         * Returns the changeset for a specified mapped object reference.
-         * 
-         * @public
-         * @param {object} obj The object to check for changes against.
-         * @returns {object} An object with the properties that have changed on the provided object 'obj'.
+         * Resolves the type and key of every tracked object through the type registry again,
+         * so that objects that were tracked before their type (or the type of their parent
+         * collection) was registered are given the registered type and key.
+         *
+         * @private
          */
-        this.getObjectChangeset = function (obj) {
-            if (!obj) {
-                throw new Error('Invalid object provided. You must provided an object.');
-            }
+        var _refreshObjectTypes = function () {
+            var mappedObjects = _getObjectMap();
 
-            var mappedObject = _getMappedObject(obj);
+            // Parents are tracked before their children, so children of a collection are
+            // given their type before they are resolved themselves
+            for (var i = 0; i < mappedObjects.length; i++) {
+                var mappedObject = mappedObjects[i];
+                var type = _getObjectType(mappedObject.current);
 
-            return mappedObject.changeset;
+                if (type !== mappedObject.type) {
+                    _removeFromIndex(_typeIndex, mappedObject.type, mappedObject);
+                    _removeFromIndex(_keyIndex, _getIdentityKey(mappedObject.type, mappedObject.key), mappedObject);
+                    _errors.delete(mappedObject);
+
+                    mappedObject.type = type;
+                    mappedObject.key = null;
+
+                    _addToIndex(_typeIndex, type, mappedObject);
+                }
+
+                _refreshObjectKey(mappedObject);
+
+                var definition = _types[type];
+                for (var property in (definition ? definition.children : null)) {
+                    if (definition.children.hasOwnProperty(property) && _isTrackableProperty(mappedObject.current, property)) {
+                        _setChildTypes(mappedObject.current[property], definition.children[property]);
+                    }
+                }
+            }
         };
 
         /**
-         * Returns a changeset for the entire context. This changeset is an object that has three properties containing arrays:
-         *     - Added: Objects with a change status of 'Added'.
-         *     - Unmodified: Object with a change status of 'Unmodified'.
-         *     - Deleted: Objects with a change status of 'Deleted'.
-         *
-         * Each object in the collections contain its type and an array of changed properties.
+         * Creates a new instance of a registered type with its default values, tracks it with a
+         * status of 'Added' and returns it. The overrides replace the default values, and child
+         * collections can be given child objects.
          *
          * @public
-         * @returns {object} An object containing an array of the changed object separated by change status.
+         * @param {string} type The registered type to create.
+         * @param {object} overrides Values to use instead of the default values.
+         * @returns {object} The new tracked object.
          */
-        this.getChangeset = function () {
-            var changeset = {};
-            changeset[ObjectContext.ObjectStatus.Added] = [];
-            changeset[ObjectContext.ObjectStatus.Modified] = [];
-            changeset[ObjectContext.ObjectStatus.Deleted] = [];
+        this.create = function (type, overrides) {
+            var definition = _types[type];
+            var property;
+
+            if (!definition) {
+                throw new Error('The type has not been registered: ' + type);
+            } else if (overrides !== undefined && (!overrides || typeof overrides !== 'object')) {
+                throw new Error('Invalid overrides provided. The overrides must be an object.');
+            }
 
-            for (var i = 0; i < _objectMap.length; i++) {
-                var currentObj = _objectMap[i];
+            var obj = {};
 
-                if (currentObj.status === ObjectContext.ObjectStatus.Unmodified) { continue; }
+            if (_objectTypePropertyName && _objectTypePropertyName.trim().length > 0) {
+                obj[_objectTypePropertyName] = type;
+            } else {
+                _instanceTypes.set(obj, type);
+            }
 
-                var changesetEntry = {};
+            for (property in definition.properties) {
+                if (definition.properties.hasOwnProperty(property)) {
+                    obj[property] = _getDefaultValue(definition.properties[property].defaultValue);
+                }
+            }
 
-                changesetEntry.Changeset = currentObj.changeset;
-                var dateProperties = _getDateProperties(currentObj.current);
-                changesetEntry.Object = _deepCopy(currentObj.current);
-                if (dateProperties.length) {
-                    _instantiateDateProperties(dateProperties, changesetEntry.Object);
+            for (property in definition.children) {
+                if (definition.children.hasOwnProperty(property) && !obj.hasOwnProperty(property)) {
+                    obj[property] = [];
                 }
-                changesetEntry.ContextIdentifier = currentObj.identifier;
+            }
+
+            for (property in overrides) {
+                if (!overrides.hasOwnProperty(property)) { continue; }
 
-                changeset[currentObj.status].push(changesetEntry);
+                obj[property] = definition.properties.hasOwnProperty(property) ?
+                    _convertPropertyValue(type, property, definition.properties[property].type, overrides[property]) :
+                    overrides[property];
             }
 
-            return changeset;
+            _addObject(obj, null, null, true, null);
+
+            return obj;
         };
 
         /**
-         * Returns a copy of the original unchanged object in the state that it was in 
-         * when it was either added or last saved. 
-         * 
-         * If the object is not found then null is returned.
-         * 
+         * This is a simple query method for fetching arrays of objects from the context.
+         *
+         * Returns an array of objects that exist in the context based on the
+         * provided type and parameters.
+         *
+         * The `params` object should be a map of properties and values to search for
+         * in all objects that are loaded into the context.
+         *
          * @public
-         * @param {object} objectReference The object to search for.
-         * @returns {object|null} A copy of the original object, or null if not found.
+         * @param {string} type The type of objects to query.
+         * @param {object} params A map of the property and values to search for.
          */
-        this.getOriginal = function (objectReference) {
-            for (var i = 0; i < _objectMap.length; i++) {
-                if (_objectMap[i].current === objectReference) {
-                    var dateProperties = _getDateProperties(_objectMap[i].original);
-                    var copy = _deepCopy(_objectMap[i].original);
-                    if (dateProperties.length) {
-                        _instantiateDateProperties(dateProperties, copy);
+        this.query = function (type, params) {
+            if (typeof type !== 'string') {
+                throw new Error('The provided type must be a string.');
+            } else if (params && typeof params !== 'object') {
+                throw new Error('The provided query parameters must be an object.');
+            }
+
+            var definition = _types[type];
+            if (definition && params) {
+                for (var param in params) {
+                    if (params.hasOwnProperty(param) && !_isRegisteredProperty(definition, param)) {
+                        throw new Error(_stringFormat('Invalid query parameter provided: {0}. It is not a property of the type "{1}".', param, type));
                     }
-                    return copy;
                 }
             }
-            return null;
-        };
 
-        /**
-         * Gets an object status for the specified object reference.
-         * 
-         * @public
-         * @param {object} obj The object to search for.
-         * @returns {string} The status of the requested object.
-         */
-        this.getObjectStatus = function (obj) {
-            if (!obj) {
-                throw new Error('Invalid object provided.');
+            var foundObjects = [];
+            var mappedObjects = _getIndexEntries(_typeIndex, type);
+
+            // The type index only holds objects with a matching type, so we just need to
+            // make sure that if any parameters were specified, that all of those properties
+            // exist in the object.
+            for (var i = 0; i < mappedObjects.length; i++) {
+                if (!params || hasParams(mappedObjects[i].current)) {
+                    foundObjects.push(mappedObjects[i].current);
+                }
             }
 
-            var mappedObjectIndex = _getMapIndex(obj);
+            /**
+             * Local function that is used to test if an object has any of the
+             * properties and values provided in the `params` object. If all
+             * properties exist, then we return true, otherwise false.
+             */
+            function hasParams(obj) {
+                for (var property in params) {
+                    if (!obj.hasOwnProperty(property) || !_isSameMergeValue(obj[property], params[property])) {
+                        return false;
+                    }
+                }
 
-            if (mappedObjectIndex === null) {
-                throw new Error(_stringFormat('Invalid object index: {0}', mappedObjectIndex));
+                return true;
             }
 
-            return _objectMap[mappedObjectIndex].status;
+            return foundObjects;
         };
 
         /**
-         * Gets an objects type for the specified object reference.
-         * 
-         * @public
-         * @param {object} obj The object to search for.
-         * @returns {string} The status of the requested object.
+         * The data types that registered type properties can have.
+         *
+         * @private
+         * @type Array
          */
-        this.getObjectType = function (obj) {
-            if (!obj) {
-                throw new Error('Invalid object provided.');
+        var _dataTypes = ['string', 'number', 'boolean', 'date', 'object', 'array', 'any'];
+
+        /**
+         * The request methods that load() supports.
+         *
+         * @private
+         * @type Array
+         */
+        var _requestMethods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+        /**
+         * Returns the transport to use when none has been set. XMLHttpRequest is used if it
+         * exists, otherwise fetch.
+         *
+         * @private
+         * @returns {object} A transport.
+         */
+        var _getDefaultTransport = function () {
+            if (root.XMLHttpRequest) {
+                return new ObjectContext.XhrTransport();
+            } else if (typeof root.fetch === 'function') {
+                return new ObjectContext.FetchTransport();
             }
 
-            var mappedObjectIndex = _getMapIndex(obj);
+            throw new Error('No transport is available. Use setTransport() to provide one.');
+        };
 
-            if (mappedObjectIndex === null) {
-                throw new Error(_stringFormat('Invalid object index: {0}', mappedObjectIndex));
+        /**
+         * Builds the value of an Authorization header. A string is used as is, an object with a
+         * token uses Bearer authentication, and an object with a username and password uses Basic
+         * authentication.
+         *
+         * @private
+         * @param {string|object} auth The auth option.
+         * @returns {string} The header value.
+         */
+        var _getAuthorizationHeader = function (auth) {
+            if (typeof auth === 'string') {
+                return auth;
+            } else if (auth && auth.token) {
+                return 'Bearer ' + auth.token;
+            } else if (auth && auth.username !== undefined) {
+                var credentials = auth.username + ':' + (auth.password || '');
+                return 'Basic ' + (typeof root.btoa === 'function' ? root.btoa(credentials) : Buffer.from(credentials).toString('base64'));
             }
 
-            return _objectMap[mappedObjectIndex].type;
+            throw new Error('Invalid auth provided. Provide a header value, a token, or a username and password.');
         };
 
         /**
-         * Rejects changes for object that exist in the context by setting the values in
-         * the object back their original values.
-         * 
-         * If a single object is passed, it will be tested for existance and then that
-         * one object will be reverted. If no object is passed, then all objects will be
-         * reverted.
-         * 
-         * @public
-         * @param {object} obj An existing context object to reject changes for.
-         * @returns {object} A reference to this for chaining.
+         * Sends a request to the service through the transport. The request is cancelled if the
+         * signal is aborted or the timeout elapses, and the transport is passed a signal of its
+         * own so it can abort the underlying request.
+         *
+         * @private
+         * @param {string} method The request method.
+         * @param {string} action The name of the service method to call.
+         * @param {object} data The data to send. It is sent in the query string for GET and DELETE requests.
+         * @param {object} options The request options.
+         * @param {object} options.transport A transport to use instead of the one set with setTransport().
+         * @param {object} options.headers Headers to send in addition to the default headers.
+         * @param {string|object} options.auth The Authorization header value, {token} or {username, password}.
+         * @param {number} options.timeout The number of milliseconds to wait before the request times out. Zero waits forever.
+         * @param {AbortSignal} options.signal A signal that cancels the request when it is aborted.
+         * @returns {Promise} A Promise that resolves with the transport response.
          */
-        this.rejectChanges = function (obj) {
-            var i = 0;
-            var mappedObject = {};
-            if (obj) {
-                mappedObject = _getMappedObject(obj);
-                var currentObject = {};
-                // When rejecting changes for an object that is marked as 'Added', we just
-                // remove that object as well as any objects that are a parent or root parent
-                if (mappedObject.status === ObjectContext.ObjectStatus.Added) {
-                    for (i = _objectMap.length - 1; i >= 0; i--) {
-                        currentObject = _objectMap[i];
-                        if (currentObject === mappedObject || currentObject.rootParent === mappedObject.current || currentObject.parent === mappedObject.current) {
-                            self.delete(currentObject.current, true);
-                        }
-                    }
-                } else {
-                    for (i = 0; i < _objectMap.length; i++) {
-                        currentObject = _objectMap[i];
-                        if (currentObject.current === obj || currentObject.parent === obj || currentObject.rootParent === obj) {
-                            if (currentObject.status === ObjectContext.ObjectStatus.Modified || currentObject.status === ObjectContext.ObjectStatus.Deleted) {
-                            _resetObject(currentObject);
-                        } else if (currentObject.status === ObjectContext.ObjectStatus.Added) {
-                            self.delete(currentObject.current, true);
-                        }
-                    }
+        var _sendRequest = function (method, action, data, options) {
+            var transport = options.transport || _transport;
+            var timeout = options.timeout !== undefined ? options.timeout : _requestDefaults.timeout;
+            var auth = options.auth !== undefined ? options.auth : _requestDefaults.auth;
+            var url = _serviceUri ? _serviceUri + action : action;
+            var headers = {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            };
+            var header;
+
+            if (transport && typeof transport.send !== 'function') {
+                throw new Error('Invalid transport provided. The transport must have a send function.');
+            } else if (typeof timeout !== 'number' || timeout < 0) {
+                throw new Error('Invalid timeout provided. The timeout must be a positive number of milliseconds or zero.');
+            }
+
+            for (header in _requestDefaults.headers) {
+                if (_requestDefaults.headers.hasOwnProperty(header)) {
+                    headers[header] = _requestDefaults.headers[header];
                 }
+            }
+
+            for (header in options.headers) {
+                if (options.headers.hasOwnProperty(header)) {
+                    headers[header] = options.headers[header];
                 }
-            } else {
-                for (i = _objectMap.length - 1; i >= 0; i--) {
-                    mappedObject = _objectMap[i];
+            }
 
-                    switch (mappedObject.status) {
-                        case ObjectContext.ObjectStatus.Modified:
-                        case ObjectContext.ObjectStatus.Deleted:
-                            _resetObject(mappedObject);
-                            break;
-                        case ObjectContext.ObjectStatus.Added:
-                            if (mappedObject.parent && !(mappedObject.parent instanceof Array) && self.doesObjectExist(mappedObject.parent) && _getMappedObject(mappedObject.parent).status === ObjectContext.ObjectStatus.Added) {
-                                continue;
-                            }
-                            self.delete(mappedObject.current, true);
-                            break;
+            if (auth) {
+                headers.Authorization = _getAuthorizationHeader(auth);
+            }
+
+            if ((method === 'GET' || method === 'DELETE') && data) {
+                var queryStringAry = [];
+                for (var property in data) {
+                    if (data.hasOwnProperty(property)) {
+                        queryStringAry.push(encodeURIComponent(property) + '=' + encodeURIComponent(data[property]));
                     }
                 }
+
+                if (queryStringAry.length > 0) {
+                    url += '?' + queryStringAry.join('&');
+                }
+
+                data = null;
             }
 
-            this.evaluate();
+            return new Promise(function (resolve, reject) {
+                var controller = typeof root.AbortController === 'function' ? new root.AbortController() : null;
+                var signal = options.signal;
+                var timer = null;
+                var isSettled = false;
 
-            return this;
-        };
+                var settle = function (callback, value) {
+                    if (isSettled) { return; }
+                    isSettled = true;
 
-        /**
-         * Removes any changes to a loaded object and reverts it to its unchanged state.
-         * 
-         * @private
-         * @param {object} obj The mapped to reset.
-         */
-        var _resetObject = function (obj) {
-            for (var i = 0; i < obj.changeset.length; i++) {
-                var property = obj.changeset[i].PropertyName;
-
-                if (obj.current[property] instanceof Array) {
-                    var ary = obj.current[property];
-
-                    for (var j = ary.length - 1; j >= 0; j--) {
-                        if (typeof ary[j] === 'object') {
-                            var mappedObject = _getMappedObject(ary[j]);
-
-                            switch (mappedObject.status) {
-                                case ObjectContext.ObjectStatus.Unmodified:
-                                    break;
-                                case ObjectContext.ObjectStatus.Modified:
-                                case ObjectContext.ObjectStatus.Deleted:
-                                    _resetObject(mappedObject);
-                                    break;
-                                case ObjectContext.ObjectStatus.Added:
-                                    ary.splice(j, 1);
-                                    _objectMap.splice(_objectMap.indexOf(mappedObject), 1);
-                                    break;
-                            }
-                        } else {
-                            // This is a primitive type so reset its value back to its original value
-                            // *** We may run into issues here if there are arrays holding multiple different types,
-                            // *** or if the array lengths are different.
-                            obj.current[property] = _deepCopy(obj.original[property]);
-                        }
+                    clearTimeout(timer);
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+
+                    callback(value);
+                };
+
+                var cancel = function (message, name) {
+                    var error = new Error(message);
+                    error.name = name;
+
+                    settle(reject, error);
+
+                    if (controller) {
+                        controller.abort();
                     }
-                } else {
-                    var value = obj.original[property];
-                    if (obj.original[property] instanceof Date) {
-                        value = new Date(obj.original[property].toISOString());
+                };
+
+                var onAbort = function () {
+                    cancel('ObjectContext: Request was cancelled.', 'AbortError');
+                };
+
+                if (signal) {
+                    if (signal.aborted) {
+                        onAbort();
+                        return;
                     }
 
-                    obj.current[property] = value;
+                    signal.addEventListener('abort', onAbort);
                 }
-            }
 
-            obj.status = obj.originalStatus;
-            obj.changeset = [];
-            obj.hasChildChanges = false;
+                if (timeout > 0) {
+                    timer = setTimeout(function () {
+                        cancel('ObjectContext: Request timed out.', 'TimeoutError');
+                    }, timeout);
+                }
+
+                Promise.resolve().then(function () {
+                    return (transport || _getDefaultTransport()).send({
+                        method: method,
+                        url: url,
+                        headers: headers,
+                        data: data === undefined ? null : data,
+                        timeout: timeout,
+                        signal: controller ? controller.signal : (signal || null)
+                    });
+                }).then(function (response) {
+                    settle(resolve, response);
+                }, function (error) {
+                    settle(reject, error instanceof Error ? error : new Error(String(error)));
+                });
+            });
         };
 
         /**
-         * Subcribes the passed listener function that will be invoked when a change has occured.
-         * 
+         * Sets the default options used for every request to the service.
+         *
          * @public
-         * @param {function} listener A function to invoke when a change occurs to any objects in the context.
+         * @param {object} options The default request options.
+         * @param {object} options.headers Headers to send in addition to the Accept and Content-Type headers.
+         * @param {string|object} options.auth The Authorization header value, {token} for Bearer or {username, password} for Basic authentication.
+         * @param {number} options.timeout The number of milliseconds to wait before a request times out. Zero waits forever. Defaults to 30000.
+         * @returns {object} A reference to this for method chaiing.
          */
-        this.subscribeChangeListener = function (listener) {
-            if (typeof listener !== 'function') {
-                throw new Error('The provided listener must be a function callback.');
+        this.setRequestDefaults = function (options) {
+            if (!options || typeof options !== 'object') {
+                throw new Error('Invalid request options provided.');
+            } else if (options.timeout !== undefined && (typeof options.timeout !== 'number' || options.timeout < 0)) {
+                throw new Error('Invalid timeout provided. The timeout must be a positive number of milliseconds or zero.');
             }
 
-            _changeListeners.push(listener);
-
-            return _changeListeners.length;
-        };
+            if (options.headers !== undefined) {
+                _requestDefaults.headers = options.headers || {};
+            }
 
-        /**
-         * Unsubscribes the provided change listener.
-         * 
-         * @public
-         * @param {function} listener A function reference to unsubscribe.
-         */
-        this.unsubscribeChangeListener = function (listener) {
-            if (_changeListeners.indexOf(listener) < 0) {
-                throw new Error('The provided listener function was not subscribed.');
+            if (options.auth !== undefined) {
+                _requestDefaults.auth = options.auth;
             }
 
-            _changeListeners.splice(_changeListeners.indexOf(listener), 1);
+            if (options.timeout !== undefined) {
+                _requestDefaults.timeout = options.timeout;
+            }
 
-            return _changeListeners.length;
+            return this;
         };
 
         /**
-         * This is a simple query method for fetching arrays of objects from the context.
-         *
-         * Returns an array of objects that exist in the context based on the
-         * provided type and parameters.
+         * Sends the changeset of the context to the service, and accepts the changes once the
+         * service reports success. The response data is passed to acceptChanges() as the save
+         * result map, so it can refresh saved objects (keyed by ContextIdentifier). If the request
+         * fails, then the context is left untouched.
          *
-         * The `params` object should be a map of properties and values to search for
-         * in all objects that are loaded into the context.
+         * Only the changes that were sent are accepted. Changes made while the request is in
+         * progress are kept as pending changes.
          *
          * @public
-         * @param {string} type The type of objects to query.
-         * @param {object} params A map of the property and values to search for.
+         * @param {object} options The save options.
+         * @param {string} options.action The name of the service method to call.
+         * @param {string} options.method The request method to use (POST, PUT or PATCH). Defaults to POST.
+         * @param {object} options.transport A transport to use instead of the one set with setTransport().
+         * @param {object} options.headers, options.auth, options.timeout, options.signal See _sendRequest().
+         * @returns {Promise} A Promise that resolves with the response, or rejects with an Error.
          */
-        this.query = function (type, params) {
-            if (typeof type !== 'string') {
-                throw new Error('The provided type must be a string.');
-            } else if (params && typeof params !== 'object') {
-                throw new Error('The provided query parameters must be an object.');
+        this.save = function (options) {
+            options = options || {};
+
+            var method = options.method || 'POST';
+
+            if (!options.action || typeof options.action !== 'string' || options.action.trim().length === 0) {
+                throw new Error('Invalid save action provided: ' + options.action);
+            } else if (method !== 'POST' && method !== 'PUT' && method !== 'PATCH') {
+                throw new Error('Invalid request method provided: ' + method + '. Only POST, PUT and PATCH requests are supported.');
+            } else if (options.transport && typeof options.transport.send !== 'function') {
+                throw new Error('Invalid transport provided. The transport must have a send function.');
             }
 
-            var foundObjects = [];
+            this.evaluate();
 
-            for (var i = 0; i < _objectMap.length; i++) {
-                var currentObj = _objectMap[i];
+            var validationErrors = _getBlockingErrors();
 
-                // Make sure that the objects' type matches and if any parameters
-                // were specified, that all of those properties exist in the object.
-                if (currentObj.type === type) {
-                    if (!params || hasParams(currentObj.current)) {
-                        foundObjects.push(currentObj.current);
-                    }
-                }
+            if (this.hasConflicts()) {
+                return Promise.reject(new Error('Save Error: The context has unresolved conflicts.'));
+            } else if (validationErrors.length) {
+                return Promise.reject(_createValidationError(validationErrors));
+            } else if (!this.hasChanges()) {
+                return Promise.resolve({status: null, data: null});
             }
 
-            /**
-             * Local function that is used to test if an object has any of the
-             * properties and values provided in the `params` object. If all
-             * properties exist, then we return true, otherwise false.
-             */
-            function hasParams(obj) {
-                for (var property in params) {
-                    if (!obj.hasOwnProperty(property) || obj[property] !== params[property]) {
-                        return false;
-                    }
+            var sentStates = new Map();
+
+            _getObjectMap().forEach(function (mappedObject) {
+                if (mappedObject.status !== ObjectContext.ObjectStatus.Unmodified) {
+                    sentStates.set(mappedObject, _captureState(mappedObject));
                 }
+            });
 
-                return true;
-            }
+            return _sendRequest(method, options.action, this.getChangeset(), options).then(function (response) {
+                if (!response || response.status < 200 || response.status >= 300) {
+                    throw new Error('Save Error: ' + (response ? response.status : 'No response'));
+                }
 
-            return foundObjects;
+                _acceptChangesAndPublish(response.data && typeof response.data === 'object' ? response.data : null, sentStates);
+
+                return response;
+            });
         };
 
         /**
          * Call this to load objects from an external resource directly into the context.
-         * This method only supports loading valid JSON objects, and arrays of valid JSON objects. 
+         * This method only supports loading valid JSON objects, and arrays of valid JSON objects.
+         *
+         * The request is sent through the transport (see setTransport()), so it works with
+         * XMLHttpRequest, fetch, Node or a test double. Loaded objects that are already tracked
+         * are merged into the tracked instances (see setMergeStrategy()).
+         *
+         * For backwards compatibility, a callback function can be passed instead of the options.
+         * It is called with an object holding isSuccessful, data and errorMessage.
          * 
          * @public
          * @param {string} action The name of a service method to call.
-         * @param {string} method The type of request to make (GET/POST).
-         * @param {object} params An object containing query parameters to pass to the service method.
-         * @param {function} onCompleteCallback A callback function to call when the request completes.
+         * @param {string} method The type of request to make (GET, POST, PUT, PATCH or DELETE).
+         * @param {object} params An object containing parameters to pass to the service method. They are sent in the query string for GET and DELETE requests, and as JSON otherwise.
+         * @param {object|function} options The request options (see _sendRequest()), or a callback function to call when the request completes.
+         * @param {function} options.onComplete A callback function to call when the request completes.
+         * @returns {Promise} A Promise that resolves with the loaded data, or rejects with an Error.
          */
-        this.load = function (action, method, params, onCompleteCallback) {
+        this.load = function (action, method, params, options) {
             var self = this;
 
-            if (!window.XMLHttpRequest) {
-                throw new Error('Browser does not support XMLHttpRequest.');
-            } else if (!action || typeof action !== 'string' || action.trim().length === 0) {
-                throw new Error('Invalid load action provided: ' + action);
-            } else if (method !== 'GET' && method !== 'POST') {
-                // Should we support PUT and DELETE?
-                throw new Error('Invalid request method provided: ' + method + '. Only GET and POST requests are supported.');
-            } else if (!onCompleteCallback || typeof onCompleteCallback !== 'function') {
-                throw new Error('Invalid callback provided. You must provide a callback function for when the request completes.');
+            if (typeof options === 'function') {
+                options = {onComplete: options};
             }
 
-            var url = _serviceUri ? _serviceUri + action : action;
-
-            var postParams = null;
-            if (params) {
-                if (method === 'POST') {
-                    postParams = JSON.stringify(params);
-                } else if (method === 'GET') {
-                    var queryStringAry = [];
-                    for (var property in params) {
-                        if (params.hasOwnProperty(property)) {
-                            queryStringAry.push(encodeURIComponent(property) + '=' + encodeURIComponent(params[property]));
-                        }
-                    }
-
-                    url += '?' + queryStringAry.join('&');
-                }
+            if (!action || typeof action !== 'string' || action.trim().length === 0) {
+                throw new Error('Invalid load action provided: ' + action);
+            } else if (options !== undefined && options !== null && typeof options !== 'object') {
+                throw new Error('Invalid callback provided. The callback must be a function.');
+            } else if (_requestMethods.indexOf(method) < 0) {
+                throw new Error('Invalid request method provided: ' + method + '. Only ' + _requestMethods.join(', ') + ' requests are supported.');
             }
 
-            var request = new XMLHttpRequest();
-            request.open(method, url, true);
-
-            request.setRequestHeader('Accept', 'application/json');
-            request.setRequestHeader('Content-Type', 'application/json');
-
-            var abort = function () {
-                request.abort();
-
-                onCompleteCallback({
-                    isSuccessful: false,
-                    data: null,
-                    errorMessage: 'ObjectContext: Request timed out.'
-                });
-            };
-
-            var requestTimeout = setTimeout(abort, 30000);
-
-            request.onreadystatechange = function () {
-                if (request.readyState === 4) {
-                    if (request.status === 200) {
-                        clearTimeout(requestTimeout);
-
-                        try {
-                            var data = JSON.parse(request.responseText);
+            options = options || {};
 
-                            if (!data || typeof data !== 'object') {
-                                onCompleteCallback({
-                                    isSuccessful: false,
-                                    data: null,
-                                    errorMessage: 'Load Error: ' + request.responseText
-                                });
-                                return;
-                            }
+            if (options.onComplete !== undefined && typeof options.onComplete !== 'function') {
+                throw new Error('Invalid callback provided. The callback must be a function.');
+            }
 
-                            if (data instanceof Array) {
-                                for (var i = 0; i < data.length; i++) {
-                                    var obj = data[i];
+            var promise = _sendRequest(method, action, params, options).then(function (response) {
+                var data = response ? response.data : null;
 
-                                    if (typeof obj === 'object') {
-                                        self.add(obj);
-                                    }
-                                }
-                            } else {
-                                if (typeof data === 'object') {
-                                    self.add(data);
-                                }
-                            }
+                if (response && (response.status < 200 || response.status >= 300)) {
+                    throw new Error('Load Error: ' + response.status);
+                } else if (!data || typeof data !== 'object') {
+                    throw new Error('Load Error: ' + data);
+                }
 
-                            onCompleteCallback({
-                                isSuccessful: true,
-                                data: data,
-                                errorMessage: null
-                            });
-                        }
-                        catch (e) {
-                            onCompleteCallback({
-                                isSuccessful: false,
-                                data: null,
-                                errorMessage: 'Load Error: ' + e.message
-                            });
+                // Objects that are already tracked are merged into the tracked instance
+                if (data instanceof Array) {
+                    for (var i = 0; i < data.length; i++) {
+                        if (data[i] && typeof data[i] === 'object') {
+                            data[i] = _mergeObject(data[i], _mergeStrategy);
                         }
-                    } else {
-                        onCompleteCallback({
-                            isSuccessful: false,
-                            data: null,
-                            errorMessage: 'Load Error: ' + request.status
-                        });
                     }
+                } else {
+                    data = _mergeObject(data, _mergeStrategy);
                 }
-            };
 
-            request.send(postParams);
+                self.evaluate();
+
+                return data;
+            });
+
+            if (options.onComplete) {
+                promise.then(function (data) {
+                    options.onComplete({
+                        isSuccessful: true,
+                        data: data,
+                        errorMessage: null
+                    });
+                }, function (error) {
+                    options.onComplete({
+                        isSuccessful: false,
+                        data: null,
+                        errorMessage: error.message
+                    });
+                });
+            }
+
+            return promise;
         };
 
         /**
@@ -1594,21 +7546,22 @@
             console.group('ObjectContext: ' + timestamp);
 
             console.log('Has Changes: ' + this.hasChanges());
-            console.log('Tracked Objects: ' + _objectMap.length);
+            var mappedObjects = _getObjectMap();
+            console.log('Tracked Objects: ' + mappedObjects.length);
 
             var parentObjects = [];
             var childObjects = [];
 
-            for (var i = 0; i < _objectMap.length; i++) {
-                if (!_objectMap[i].rootParent) {
-                    parentObjects.push(_objectMap[i]);
+            for (var i = 0; i < mappedObjects.length; i++) {
+                if (!mappedObjects[i].rootParent) {
+                    parentObjects.push(mappedObjects[i]);
                 } else {
-                    childObjects.push(_objectMap[i]);
+                    childObjects.push(mappedObjects[i]);
                 }
             }
 
             console.group('All Objects');
-            console.dir(_objectMap);
+            console.dir(mappedObjects);
             console.groupEnd('All Objects');
 
             console.group('Parent Objects');
@@ -1656,10 +7609,292 @@
          * The object has been marked as deleted from the object context. After the changes are saved, the object is removed from the context.
          * @public
          */
-        Deleted: 'Deleted'
+        Deleted: 'Deleted',
+        /**
+         * The server reported a concurrency conflict when the changes to the object were saved, so they were not accepted. See resolveConflicts().
+         * @public
+         */
+        Conflicted: 'Conflicted'
+    };
+
+    /**
+     * The default transport. It sends requests with XMLHttpRequest, and parses JSON responses.
+     *
+     * @constructor
+     * @public
+     */
+    ObjectContext.XhrTransport = function () {
+        /**
+         * Sends a request and returns a Promise that resolves with the response status and
+         * data, or rejects if the request could not be made.
+         * @public
+         */
+        this.send = function (request) {
+            return new Promise(function (resolve, reject) {
+                if (!root.XMLHttpRequest) {
+                    throw new Error('Browser does not support XMLHttpRequest.');
+                }
+
+                var xhr = new root.XMLHttpRequest();
+                xhr.open(request.method, request.url, true);
+
+                if (request.signal) {
+                    request.signal.addEventListener('abort', function () {
+                        xhr.abort();
+                    });
+                }
+
+                for (var header in request.headers) {
+                    if (request.headers.hasOwnProperty(header)) {
+                        xhr.setRequestHeader(header, request.headers[header]);
+                    }
+                }
+
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) { return; }
+
+                    if (xhr.status === 0) {
+                        reject(new Error('Request Error: The request could not be made.'));
+                        return;
+                    }
+
+                    var data = null;
+                    try {
+                        data = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+                    } catch (e) {
+                        data = xhr.responseText;
+                    }
+
+                    resolve({status: xhr.status, data: data});
+                };
+
+                xhr.send(request.data === undefined || request.data === null ? null : JSON.stringify(request.data));
+            });
+        };
+    };
+
+    /**
+     * A transport that sends requests with fetch, and parses JSON responses. A fetch function
+     * can be provided for environments that don't have a global fetch.
+     *
+     * @constructor
+     * @public
+     * @param {function} fetchFunction The fetch function to use. Defaults to the global fetch.
+     */
+    ObjectContext.FetchTransport = function (fetchFunction) {
+        /**
+         * Sends a request and returns a Promise that resolves with the response status and
+         * data, or rejects if the request could not be made.
+         * @public
+         */
+        this.send = function (request) {
+            var fetch = fetchFunction || root.fetch;
+
+            return fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.data === null || request.data === undefined ? undefined : JSON.stringify(request.data),
+                signal: request.signal || undefined
+            }).then(function (response) {
+                return response.text().then(function (text) {
+                    var data = null;
+                    try {
+                        data = text ? JSON.parse(text) : null;
+                    } catch (e) {
+                        data = text;
+                    }
+
+                    return {status: response.status, data: data};
+                });
+            });
+        };
+    };
+
+    /**
+     * A storage adapter that keeps items in memory. It has the same getItem/setItem
+     * interface as window.localStorage and can be passed to setStorageAdapter().
+     *
+     * @constructor
+     * @public
+     */
+    ObjectContext.MemoryStorageAdapter = function () {
+        var _items = {};
+
+        /**
+         * Returns the stored value for a key, or null if there is none.
+         * @public
+         */
+        this.getItem = function (key) {
+            return _items.hasOwnProperty(key) ? _items[key] : null;
+        };
+
+        /**
+         * Stores a value for a key.
+         * @public
+         */
+        this.setItem = function (key, value) {
+            _items[key] = String(value);
+        };
+
+        /**
+         * Removes the stored value for a key.
+         * @public
+         */
+        this.removeItem = function (key) {
+            delete _items[key];
+        };
+    };
+
+    /**
+     * How server values are merged into tracked objects that have local changes.
+     * @public
+     */
+    ObjectContext.MergeStrategy = {
+        /**
+         * Local changes are kept. The server values become the new original values, so the local changes remain as changes against them.
+         * @public
+         */
+        PreserveChanges: 'PreserveChanges',
+        /**
+         * Local changes are replaced with the server values.
+         * @public
+         */
+        OverwriteChanges: 'OverwriteChanges',
+        /**
+         * Local changes are kept and a conflict is recorded for each property that was also changed on the server. See getConflicts().
+         * @public
+         */
+        FlagConflicts: 'FlagConflicts'
+    };
+
+    /**
+     * Common equality comparers that can be passed to setEqualityComparer().
+     * @public
+     */
+    ObjectContext.EqualityComparers = {
+        /**
+         * Values are equal if they are strictly equal. Dates are compared by value.
+         * @public
+         */
+        Strict: function (a, b) {
+            if (a instanceof Date && b instanceof Date) {
+                return a.getTime() === b.getTime();
+            }
+
+            return a === b;
+        },
+        /**
+         * Numbers and strings that hold the same number are equal, e.g. 42 and '42'. Other values
+         * are equal if their string values are equal. null and undefined are equal.
+         * @public
+         */
+        Loose: function (a, b) {
+            if (a === null || a === undefined || b === null || b === undefined) {
+                return (a === null || a === undefined) && (b === null || b === undefined);
+            } else if (typeof a === 'number' && typeof b === 'string') {
+                return b.trim().length > 0 && Number(b) === a;
+            } else if (typeof a === 'string' && typeof b === 'number') {
+                return a.trim().length > 0 && Number(a) === b;
+            }
+
+            return ObjectContext.EqualityComparers.Strict(a, b) || (typeof a !== 'object' && typeof b !== 'object' && String(a) === String(b));
+        },
+        /**
+         * Strings are equal if they are equal without their leading and trailing whitespace.
+         * @public
+         */
+        Trimmed: function (a, b) {
+            return typeof a === 'string' && typeof b === 'string' ? a.trim() === b.trim() : ObjectContext.EqualityComparers.Strict(a, b);
+        },
+        /**
+         * Strings are equal if they are equal ignoring case and leading and trailing whitespace.
+         * @public
+         */
+        CaseInsensitive: function (a, b) {
+            return typeof a === 'string' && typeof b === 'string' ? a.trim().toLowerCase() === b.trim().toLowerCase() : ObjectContext.EqualityComparers.Strict(a, b);
+        },
+        /**
+         * Creates a comparer where numbers are equal if they differ by no more than the tolerance.
+         * @public
+         * @param {number} tolerance The largest difference between equal numbers.
+         * @returns {function} The comparer.
+         */
+        NumericTolerance: function (tolerance) {
+            return function (a, b) {
+                return typeof a === 'number' && typeof b === 'number' ? Math.abs(a - b) <= tolerance : ObjectContext.EqualityComparers.Strict(a, b);
+            };
+        }
+    };
+
+    /**
+     * The kinds of temporary keys that can be given to Added objects. See setTemporaryKeyType().
+     * @public
+     */
+    ObjectContext.TemporaryKeyType = {
+        /**
+         * Added objects are not given temporary keys.
+         * @public
+         */
+        None: 'None',
+        /**
+         * Added objects are given negative integers, starting at -1.
+         * @public
+         */
+        NegativeInteger: 'NegativeInteger',
+        /**
+         * Added objects are given random version 4 GUID strings.
+         * @public
+         */
+        Guid: 'Guid'
+    };
+
+    /**
+     * The events that can be subscribed to with subscribe().
+     * @public
+     */
+    ObjectContext.EventType = {
+        /**
+         * A property value of a tracked object changed.
+         * @public
+         */
+        PropertyChanged: 'propertyChanged',
+        /**
+         * The status of a tracked object changed.
+         * @public
+         */
+        StatusChanged: 'statusChanged',
+        /**
+         * An object started being tracked.
+         * @public
+         */
+        ObjectAdded: 'objectAdded',
+        /**
+         * A tracked object was marked as Deleted.
+         * @public
+         */
+        ObjectDeleted: 'objectDeleted',
+        /**
+         * An object stopped being tracked.
+         * @public
+         */
+        ObjectDetached: 'objectDetached',
+        /**
+         * The changes to tracked objects were accepted.
+         * @public
+         */
+        ChangesAccepted: 'changesAccepted',
+        /**
+         * The changes to tracked objects were rejected.
+         * @public
+         */
+        ChangesRejected: 'changesRejected'
     };
 
-    if (!window.ObjectContext) {
-        window.ObjectContext = ObjectContext;
+    if (!root.ObjectContext) {
+        root.ObjectContext = ObjectContext;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ObjectContext;
     }
 })();
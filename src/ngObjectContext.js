@@ -106,8 +106,11 @@
          * If it find a property with the provided name, then that objects value will be
          * used as its key.
          *
+         * An array of property names can be provided for composite keys. Those properties
+         * are data fields, so unlike a single key property they are not ignored.
+         *
          * @public
-         * @param {string} propertyName
+         * @param {string|Array} propertyName
          */
         this.setObjectKeyPropertyName = function (propertyName) {
             _objectKeyPropertyName = propertyName;
@@ -127,6 +130,22 @@
                  */
                 var digestWatchers = [];
 
+                /**
+                 * Returns the metadata properties that contexts should not track. Composite
+                 * key properties are data fields, so they are tracked.
+                 *
+                 * @returns {Array}
+                 */
+                var _getIgnoredProperties = function () {
+                    var ignoredProperties = [_objectTypePropertyName, 'ExtensionData'];
+
+                    if (!(_objectKeyPropertyName instanceof Array)) {
+                        ignoredProperties.push(_objectKeyPropertyName);
+                    }
+
+                    return ignoredProperties;
+                };
+
                 /**
                  * Creates a new ObjectContext instance. If true is passed, then a $digest
                  * watch is created, and any digest calls will evaluate our tracked objects
@@ -149,7 +168,8 @@
                             _instance.setObjectTypePropertyName(_objectTypePropertyName);
                             _instance.setObjectKeyPropertyName(_objectKeyPropertyName);
 
-                            _instance.addIgnoredProperties([_objectTypePropertyName, _objectKeyPropertyName, 'ExtensionData']);
+                            _instance.addIgnoredProperties(_getIgnoredProperties());
+                            _registerCachedTypes(_instance);
 
                             if (canEvalOnDigest) {
                                 digestWatchers.push({
@@ -167,7 +187,8 @@
                         context.setObjectTypePropertyName(_objectTypePropertyName);
                         context.setObjectKeyPropertyName(_objectKeyPropertyName);
 
-                        context.addIgnoredProperties([_objectTypePropertyName, _objectKeyPropertyName, 'ExtensionData']);
+                        context.addIgnoredProperties(_getIgnoredProperties());
+                        _registerCachedTypes(context);
 
                         if (canEvalOnDigest) {
                             digestWatchers.push({
@@ -239,11 +260,67 @@
                 };
 
                 /**
-                 * Caches a list of types in the _typeCache.
+                 * Builds a type definition for ObjectContext.registerType() from a cached type.
+                 * The data type of each property is taken from its value, which is also used
+                 * as its default value.
+                 *
+                 * @param {object} template A cached type.
+                 * @returns {object}
+                 */
+                var _getTypeDefinition = function (template) {
+                    var ignoredProperties = _getIgnoredProperties();
+                    var properties = {};
+
+                    for (var property in template) {
+                        if (!template.hasOwnProperty(property) || property === _typeIdentifierPropertyName ||
+                            ignoredProperties.indexOf(property) >= 0 || typeof template[property] === 'function') {
+                            continue;
+                        }
+
+                        var value = template[property];
+                        var type = 'any';
+
+                        if (value instanceof Date) {
+                            type = 'date';
+                        } else if (value instanceof Array) {
+                            type = 'array';
+                        } else if (value !== null && ['string', 'number', 'boolean', 'object'].indexOf(typeof value) >= 0) {
+                            type = typeof value;
+                        }
+
+                        properties[property] = {type: type, defaultValue: value};
+                    }
+
+                    return {properties: properties};
+                };
+
+                /**
+                 * Registers every cached type with the provided context, so that the context
+                 * resolves them through its type registry.
+                 *
+                 * @param {object} contextInstance An ObjectContext instance.
+                 */
+                var _registerCachedTypes = function (contextInstance) {
+                    for (var i = 0; i < _typeCache.length; i++) {
+                        var template = _typeCache[i];
+
+                        if (template && template.hasOwnProperty(_typeIdentifierPropertyName)) {
+                            contextInstance.registerType(template[_typeIdentifierPropertyName], _getTypeDefinition(template));
+                        }
+                    }
+                };
+
+                /**
+                 * Caches a list of types in the _typeCache, and registers them with the
+                 * singleton context if it has already been created.
                  */
                 var _cacheTypes = function (types, identifierPropertyName) {
                     _typeIdentifierPropertyName = identifierPropertyName;
                     _typeCache = _typeCache.concat(types);
+
+                    if (_instance) {
+                        _registerCachedTypes(_instance);
+                    }
                 };
 
                 /**
@@ -149,6 +149,93 @@ describe('ObjectContext', function() {
         });
     });
 
+    describe('track', function() {
+        it('should add the object to the context', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.track(person);
+
+            expect(context.doesObjectExist(person)).toBe(true);
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+        });
+
+        it('should return a proxy that writes through to the object', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var proxy = context.track(person);
+            proxy.name = 'Jack Nicklaus';
+
+            expect(proxy).not.toBe(person);
+            expect(person.name).toEqual('Jack Nicklaus');
+            expect(context.doesObjectExist(proxy)).toBe(true);
+        });
+
+        it('should detect changes without calling evaluate', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var proxy = context.track(person);
+            proxy.name = 'Jack Nicklaus';
+
+            expect(context.hasChanges(proxy)).toBe(true);
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Modified);
+            expect(context.getObjectChangeset(person)[0].NewValue).toEqual('Jack Nicklaus');
+        });
+
+        it('should detect changes to child objects and arrays without calling evaluate', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var proxy = context.track(person);
+            proxy.favoriteSport.name = 'Disc Golf';
+            proxy.favoriteColors[1].name = 'Green';
+
+            expect(context.hasChanges(person.favoriteSport)).toBe(true);
+            expect(context.hasChanges(person.favoriteColors[1])).toBe(true);
+            expect(context.hasChildChanges(person)).toBe(true);
+        });
+
+        it('should add new array elements without calling evaluate', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var proxy = context.track(person);
+            var color = {name: 'Green'};
+            proxy.favoriteColors.push(color);
+
+            expect(context.getObjectStatus(color)).toEqual(ObjectContext.ObjectStatus.Added);
+            expect(context.hasChanges(person)).toBe(true);
+        });
+
+        it('should notify change listeners on write', function() {
+            var listener = jasmine.createSpy('listener spy');
+            var proxy = context.track(new Person(1, 'Tiger Woods', 38));
+            context.subscribeChangeListener(listener);
+            proxy.age = 39;
+
+            expect(listener).toHaveBeenCalledWith(true);
+        });
+
+        it('should reject changes made through the proxy', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var proxy = context.track(person);
+            proxy.name = 'Jack Nicklaus';
+            context.rejectChanges(proxy);
+
+            expect(person.name).toEqual('Tiger Woods');
+            expect(context.hasChanges()).toBe(false);
+        });
+    });
+
+    describe('getProxy', function() {
+        it('should throw if object doesn\'t exist in context', function() {
+            var throwMe = function() {
+                context.getProxy({test: true});
+            };
+
+            expect(throwMe).toThrow();
+        });
+
+        it('should return the same proxy for the same object', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+
+            expect(context.getProxy(person)).toBe(context.getProxy(person));
+        });
+    });
+
     describe('evaluate', function() {
         it('should have no changes if no objects exists', function() {
             expect(context.evaluate().hasChanges()).toEqual(false);
@@ -243,6 +330,63 @@ describe('ObjectContext', function() {
 
             expect(context.hasChanges()).toBe(true);
         });
+
+        it('should report added and removed values for arrays of primitives', function() {
+            var obj = {test: true, ary: [1, 2, 3]};
+            context.add(obj);
+            obj.ary[0] = 4;
+            obj.ary.push(5);
+            context.evaluate();
+
+            var arrayChanges = context.getObjectChangeset(obj)[0].ArrayChanges;
+
+            expect(arrayChanges.Inserted).toEqual([{Index: 0, Value: 4}, {Index: 3, Value: 5}]);
+            expect(arrayChanges.Removed).toEqual([{Index: 0, Value: 1}]);
+            expect(arrayChanges.Moved).toEqual([]);
+            expect(arrayChanges.AddedValues).toEqual([4, 5]);
+            expect(arrayChanges.RemovedValues).toEqual([1]);
+        });
+
+        it('should report moved elements in arrays of objects', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            var blue = obj.favoriteColors[1];
+            obj.favoriteColors.reverse();
+            context.evaluate();
+
+            var arrayChanges = context.getObjectChangeset(obj)[0].ArrayChanges;
+
+            expect(arrayChanges.Inserted.length).toBe(0);
+            expect(arrayChanges.Removed.length).toBe(0);
+            expect(arrayChanges.Moved.length).toBe(1);
+            expect(arrayChanges.Moved[0].Value).toBe(blue);
+            expect(arrayChanges.Moved[0].OldIndex).toBe(1);
+            expect(arrayChanges.Moved[0].NewIndex).toBe(0);
+            expect(arrayChanges.AddedValues).toBeUndefined();
+        });
+
+        it('should report deleted objects in arrays as removed', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            var blue = obj.favoriteColors[1];
+            context.delete(blue);
+
+            var arrayChanges = context.getObjectChangeset(obj)[0].ArrayChanges;
+
+            expect(arrayChanges.Removed).toEqual([{Index: 1, Value: blue}]);
+            expect(arrayChanges.Inserted.length).toBe(0);
+        });
+
+        it('should remove the array changeset entry when the array is put back in its original order', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.favoriteColors.reverse();
+            context.evaluate();
+            obj.favoriteColors.reverse();
+            context.evaluate();
+
+            expect(context.getObjectChangeset(obj).length).toBe(0);
+        });
     });
 
     describe('rejectChanges', function() {
@@ -353,6 +497,23 @@ describe('ObjectContext', function() {
             expect(context.rejectChanges().hasChanges()).toBe(false);
         });
 
+        it('should restore the original order of arrays of objects', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            var blue = person.favoriteColors[1];
+            var colors = person.favoriteColors;
+            context.add(person);
+            person.favoriteColors.reverse();
+            person.favoriteColors.pop();
+            context.evaluate();
+            context.rejectChanges(person);
+
+            expect(person.favoriteColors).toBe(colors);
+            expect(person.favoriteColors[0]).toBe(red);
+            expect(person.favoriteColors[1]).toBe(blue);
+            expect(context.hasChanges()).toBe(false);
+        });
+
         it('should reset date properties to the correct time', function() {
             var date = new Date('2016-08-15T00:00:00.000Z');
             var obj = {
@@ -525,368 +686,2836 @@ describe('ObjectContext', function() {
           expect(obj.InvoiceAddress.Contact).toBe(originalInvoiceAddress.Contact);
           expect(context.hasChanges()).toBe(false);
         });
-    });
 
-    describe('doesObjectExist', function() {
-        it('should return false if invalid object', function() {
-            expect(context.doesObjectExist(null)).toEqual(false);
-        });
+        it('should only reject changes to the provided property', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.name = 'Jack Nicklaus';
+            person.age = 74;
+            context.evaluate().rejectChanges(person, 'name');
 
-        it('should return true if object exists', function() {
-            var obj = {test: true};
-            context.add(obj);
-            expect(context.doesObjectExist(obj)).toEqual(true);
+            expect(person.name).toEqual('Tiger Woods');
+            expect(person.age).toBe(74);
+            expect(context.isPropertyChanged(person, 'name')).toBe(false);
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Modified);
         });
 
-        it('should return false if object doesn\'t exist', function() {
-            var obj = {};
-            context.add(obj);
-            expect(context.doesObjectExist({})).toEqual(false);
+        it('should set the status to unmodified when the last changed property is rejected', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.name = 'Jack Nicklaus';
+            context.evaluate().rejectChanges(person, 'name');
+
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+            expect(context.hasChanges()).toBe(false);
         });
-    });
 
-    describe('delete', function() {
-        it('should mark a non-new object as deleted', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
+        it('should reject changes to a property path', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.favoriteColors[1].name = 'Green';
+            person.favoriteSport.name = 'Tennis';
+            context.evaluate().rejectChanges(person, 'favoriteColors[1].name');
 
-            expect(context.delete(obj).getObjectStatus(obj)).toEqual(ObjectContext.ObjectStatus.Deleted);
+            expect(person.favoriteColors[1].name).toEqual('Blue');
+            expect(person.favoriteSport.name).toEqual('Tennis');
+            expect(context.getObjectStatus(person.favoriteColors[1])).toEqual(ObjectContext.ObjectStatus.Unmodified);
         });
 
-        it('should perform a hard delete of objects with a new status', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj, true);
+        it('should reject changes to an array property', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var color = {name: 'Green'};
+            context.add(person);
+            person.favoriteColors.push(color);
+            person.name = 'Jack Nicklaus';
+            context.evaluate().rejectChanges(person, 'favoriteColors');
 
-            expect(context.delete(obj).getObjects().length).toEqual(0);
+            expect(person.favoriteColors.length).toBe(2);
+            expect(context.doesObjectExist(color)).toBe(false);
+            expect(person.name).toEqual('Jack Nicklaus');
         });
 
-        it('should mark child objects as deleted', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
-            obj.favoriteSport.name = 'Disc Golf';
-            context.evaluate();
-            context.delete(obj);
+        it('should throw if the property path is invalid', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
 
-            expect(context.getObjectStatus(obj.favoriteSport)).toEqual(ObjectContext.ObjectStatus.Deleted);
+            expect(function() { context.rejectChanges(person, 'address.street'); }).toThrow();
         });
+    });
 
-        it('should mark child objects inside of arrays as deleted', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
-            obj.favoriteColors[0].name = 'Gold';
+    describe('undo', function() {
+        beforeEach(function() {
+            context.setUndoDepth(10);
+        });
+
+        it('should not be able to undo if history is disabled', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.setUndoDepth(0);
+            context.add(person);
+            person.name = 'Jack Nicklaus';
             context.evaluate();
-            context.delete(obj);
 
-            expect(context.getObjectStatus(obj.favoriteColors[0])).toEqual(ObjectContext.ObjectStatus.Deleted);
+            expect(context.canUndo()).toBe(false);
         });
 
-        it('should throw if object provided does not exists', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            var deleteUntrackedObject = function() {
-                context.delete(obj);
+        it('should throw if an invalid depth is provided', function() {
+            var throwMe = function() {
+                context.setUndoDepth(-1);
             };
 
-            expect(deleteUntrackedObject).toThrow();
+            expect(throwMe).toThrow();
         });
 
-        it('should only delete objects ', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            var obj2 = new Person(2, 'Jordan Spieth', 22);
-            context.add(obj, true);
-            context.add(obj2);
-            obj.favoriteSport = {name: 'Disc Golf'};
-            var newSport = {name: 'Football'};
-            obj2.favoriteSport = newSport;
+        it('should undo property changes one evaluate cycle at a time', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.evaluate();
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            person.age = 74;
             context.evaluate();
-            context.delete(obj, true);
-
-            expect(context.doesObjectExist(obj)).toBe(false);
-            expect(obj2.favoriteSport).toBe(newSport);
-            expect(context.hasChanges()).toBe(true);
-        });
-    });
 
-    describe('hasChanges', function() {
-        it('should have changes after adding a new obejct', function() {
-            var obj = {test: true};
-            context.add(obj, true);
+            context.undo();
 
-            expect(context.hasChanges()).toEqual(true);
-            expect(context.hasChanges(obj)).toEqual(true);
-        });
+            expect(person.name).toEqual('Jack Nicklaus');
+            expect(person.age).toBe(38);
 
-        it('should not have changes after adding object', function() {
-            var obj = {test: true};
-            context.add(obj);
+            context.undo();
 
-            expect(context.hasChanges()).toEqual(false);
-            expect(context.hasChanges(obj)).toEqual(false);
+            expect(person.name).toEqual('Tiger Woods');
+            expect(context.hasChanges()).toBe(false);
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Unmodified);
         });
 
-        it('should have changes after modifying object', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
-            obj.name = 'new name';
+        it('should record unevaluated changes before undoing', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
             context.evaluate();
+            person.name = 'Jack Nicklaus';
+            context.undo();
 
-            expect(context.hasChanges()).toEqual(true);
-            expect(context.hasChanges(obj)).toEqual(true);
+            expect(person.name).toEqual('Tiger Woods');
+            expect(context.canRedo()).toBe(true);
         });
 
-        it('should throw if invalid object is provided', function() {
-            var addInvalidObject = function() {
-                context.add(null);
-            };
+        it('should undo new child objects', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var color = {name: 'Green'};
+            context.add(person);
+            context.evaluate();
+            person.favoriteColors.push(color);
+            context.evaluate();
+            context.undo();
 
-            expect(addInvalidObject).toThrow();
+            expect(person.favoriteColors.length).toBe(2);
+            expect(context.doesObjectExist(color)).toBe(false);
+            expect(context.hasChanges()).toBe(false);
         });
-    });
 
-    describe('hasChildChanges', function() {
-        it('should return false if nothing changed', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
+        it('should undo deleted objects', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            context.add(person);
             context.evaluate();
+            context.delete(red);
 
-            expect(context.hasChildChanges(obj)).toEqual(false);
-        });
+            expect(context.getObjectStatus(red)).toEqual(ObjectContext.ObjectStatus.Deleted);
 
-        it('should return true if modifying a child property', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
-            obj.favoriteSport.name = 'new name';
-            context.evaluate();
+            context.undo();
 
-            expect(context.hasChildChanges(obj)).toEqual(true);
+            expect(context.getObjectStatus(red)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+            expect(context.hasChanges()).toBe(false);
         });
 
-        it('should return true if modifying a child array object property', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
-            obj.favoriteColors[1].name = 'Gold';
+        it('should undo hard deleted objects', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person, true);
             context.evaluate();
+            context.delete(person, true);
+            context.undo();
 
-            expect(context.hasChildChanges(obj)).toEqual(true);
+            expect(context.doesObjectExist(person)).toBe(true);
+            expect(context.doesObjectExist(person.favoriteSport)).toBe(true);
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Added);
         });
 
-        it('should throw if invalid object is provided', function() {
-            var provideInvalidObject = function() {
-                context.hasChildChanges(null);
-            };
+        it('should keep the order of the objects when undoing a hard delete', function() {
+            var tiger = new Person(1, 'Tiger Woods', 38);
+            var jack = new Person(2, 'Jack Nicklaus', 74);
+            context.add(tiger).add(jack);
+            context.evaluate();
+            context.delete(tiger, true);
+            context.undo();
 
-            expect(provideInvalidObject).toThrow();
+            expect(context.getObjects()[0]).toBe(tiger);
+            expect(context.getObjects().indexOf(jack)).toBeGreaterThan(context.getObjects().indexOf(tiger.favoriteSport));
         });
 
-        it('should throw if untracked object is provided', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-
-            var provideInvalidObject = function() {
-                context.hasChildChanges(obj);
-            };
+        it('should update the identity map when undoing a key change', function() {
+            var customer = {type: 'Customer', id: 1, name: 'Tiger Woods'};
+            context.setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+            context.add(customer, true);
+            context.evaluate();
+            customer.id = 2;
+            context.evaluate();
 
-            expect(provideInvalidObject).toThrow();
-        });
-    });
+            expect(context.find('Customer', 2)).toBe(customer);
 
-    describe('acceptChanges', function() {
-        it('should not have changes', function() {
-            expect(context.acceptChanges().hasChanges()).toEqual(false);
-        });
+            context.undo();
 
-        it('should not have changes with new object', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj, true);
-            expect(context.acceptChanges().hasChanges()).toEqual(false);
+            expect(customer.id).toBe(1);
+            expect(context.find('Customer', 1)).toBe(customer);
+            expect(context.find('Customer', 2)).toBe(null);
         });
 
-        it('should set original object to the values in the current object', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
+        it('should undo array mutations', function() {
+            var obj = {test: true, ary: [1, 2, 3]};
+            var ary = obj.ary;
             context.add(obj);
-            obj.name = 'new name';
             context.evaluate();
+            obj.ary.reverse();
+            context.evaluate();
+            context.undo();
 
-            expect(context.acceptChanges().getOriginal(obj).name).toEqual(obj.name);
+            expect(obj.ary).toBe(ary);
+            expect(obj.ary).toEqual([1, 2, 3]);
         });
 
-        it('should set original object to the values in the current object for child objects', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
+        it('should restore Date instances', function() {
+            var obj = {test: true, date: new Date('2016-08-15T00:00:00.000Z')};
             context.add(obj);
-            obj.favoriteSport.name = 'Disc Golf';
             context.evaluate();
+            obj.date.setUTCDate(16);
+            context.evaluate();
+            context.undo();
 
-            expect(context.acceptChanges().getOriginal(obj.favoriteSport).name).toEqual(obj.favoriteSport.name);
+            expect(obj.date instanceof Date).toBe(true);
+            expect(obj.date.toISOString()).toEqual('2016-08-15T00:00:00.000Z');
         });
 
-        it('should set original object to the values in the current object for child objects in arrays', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
+        it('should undo rejectChanges as a single step', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.evaluate();
+            person.name = 'Jack Nicklaus';
+            person.favoriteColors.push({name: 'Green'});
+            context.evaluate();
+            context.rejectChanges();
+            context.undo();
+
+            expect(person.name).toEqual('Jack Nicklaus');
+            expect(person.favoriteColors.length).toBe(3);
+        });
+
+        it('should notify change listeners', function() {
+            var listener = jasmine.createSpy('listener spy');
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.evaluate();
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            context.subscribeChangeListener(listener);
+            context.undo();
+
+            expect(listener).toHaveBeenCalledWith(false);
+        });
+
+        it('should only keep the configured number of steps', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.setUndoDepth(2);
+            context.add(person);
+            context.evaluate();
+
+            for (var i = 39; i <= 42; i++) {
+                person.age = i;
+                context.evaluate();
+            }
+
+            context.undo().undo();
+
+            expect(person.age).toBe(40);
+            expect(context.canUndo()).toBe(false);
+        });
+
+        it('should clear the history when changes are accepted', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            context.acceptChanges();
+
+            expect(context.canUndo()).toBe(false);
+        });
+
+        it('should only record explicit checkpoints when auto checkpoints are disabled', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.setAutoCheckpoint(false);
+            context.add(person);
+            context.checkpoint();
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            person.age = 74;
+            context.evaluate();
+            context.checkpoint();
+            context.undo();
+
+            expect(person.name).toEqual('Tiger Woods');
+            expect(person.age).toBe(38);
+        });
+    });
+
+    describe('redo', function() {
+        beforeEach(function() {
+            context.setUndoDepth(10);
+        });
+
+        it('should reapply undone changes', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.evaluate();
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            context.undo();
+
+            expect(context.canRedo()).toBe(true);
+
+            context.redo();
+
+            expect(person.name).toEqual('Jack Nicklaus');
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Modified);
+            expect(context.canRedo()).toBe(false);
+        });
+
+        it('should not redo after a new change', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.evaluate();
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            context.undo();
+            person.age = 74;
+            context.evaluate();
+
+            expect(context.canRedo()).toBe(false);
+        });
+    });
+
+    describe('transactions', function() {
+        it('should throw when committing without a transaction', function() {
+            expect(context.commit).toThrow();
+        });
+
+        it('should throw when rolling back without a transaction', function() {
+            expect(context.rollback).toThrow();
+        });
+
+        it('should keep changes on commit', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.beginTransaction();
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            context.commit();
+
+            expect(person.name).toEqual('Jack Nicklaus');
+            expect(context.getTransactionDepth()).toBe(0);
+            expect(context.hasChanges(person)).toBe(true);
+        });
+
+        it('should only roll back changes made inside the transaction', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.name = 'Jack Nicklaus';
+            context.beginTransaction();
+            person.age = 74;
+            person.favoriteSport.name = 'Fishing';
+            context.evaluate();
+            context.rollback();
+
+            expect(person.name).toEqual('Jack Nicklaus');
+            expect(person.age).toBe(38);
+            expect(person.favoriteSport.name).toEqual('Golf');
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Modified);
+            expect(context.hasChanges(person.favoriteSport)).toBe(false);
+        });
+
+        it('should remove objects added inside the transaction', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var color = {name: 'Green'};
+            context.add(person);
+            context.beginTransaction();
+            person.favoriteColors.push(color);
+            context.evaluate();
+            context.rollback();
+
+            expect(person.favoriteColors.length).toBe(2);
+            expect(context.doesObjectExist(color)).toBe(false);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should restore objects hard deleted inside the transaction', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person, true);
+            context.savepoint();
+            context.delete(person, true);
+            context.rollback();
+
+            expect(context.doesObjectExist(person)).toBe(true);
+            expect(context.doesObjectExist(person.favoriteColors[0])).toBe(true);
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Added);
+        });
+
+        it('should support nested transactions', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.beginTransaction();
+            person.name = 'Jack Nicklaus';
+            context.beginTransaction();
+            person.age = 74;
+
+            expect(context.getTransactionDepth()).toBe(2);
+
+            context.rollback();
+
+            expect(person.name).toEqual('Jack Nicklaus');
+            expect(person.age).toBe(38);
+
+            context.rollback();
+
+            expect(person.name).toEqual('Tiger Woods');
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should roll back a committed nested transaction with its parent', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.beginTransaction();
+            context.beginTransaction();
+            person.age = 74;
+            context.commit();
+            context.rollback();
+
+            expect(person.age).toBe(38);
+        });
+    });
+
+    describe('doesObjectExist', function() {
+        it('should return false if invalid object', function() {
+            expect(context.doesObjectExist(null)).toEqual(false);
+        });
+
+        it('should return true if object exists', function() {
+            var obj = {test: true};
+            context.add(obj);
+            expect(context.doesObjectExist(obj)).toEqual(true);
+        });
+
+        it('should return false if object doesn\'t exist', function() {
+            var obj = {};
+            context.add(obj);
+            expect(context.doesObjectExist({})).toEqual(false);
+        });
+
+        it('should return false after object is hard deleted', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            context.delete(obj, true);
+
+            expect(context.doesObjectExist(obj)).toEqual(false);
+            expect(context.doesObjectExist(obj.favoriteSport)).toEqual(false);
+            expect(context.doesObjectExist(obj.favoriteColors[0])).toEqual(false);
+        });
+    });
+
+    describe('delete', function() {
+        it('should mark a non-new object as deleted', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+
+            expect(context.delete(obj).getObjectStatus(obj)).toEqual(ObjectContext.ObjectStatus.Deleted);
+        });
+
+        it('should perform a hard delete of objects with a new status', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj, true);
+
+            expect(context.delete(obj).getObjects().length).toEqual(0);
+        });
+
+        it('should keep the order of the remaining objects after a hard delete', function() {
+            var first = {id: 1, name: 'First'};
+            var second = {id: 2, name: 'Second'};
+            var third = {id: 3, name: 'Third'};
+            context.add(first).add(second).add(third);
+
+            context.delete(second, true).add({id: 4, name: 'Fourth'});
+
+            expect(context.getObjects().map(function(obj) { return obj.id; })).toEqual([1, 3, 4]);
+            expect(context.doesObjectExist(second)).toBe(false);
+            expect(context.find(context.getObjectType(first), 2)).toBeNull();
+        });
+
+        it('should mark child objects as deleted', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.favoriteSport.name = 'Disc Golf';
+            context.evaluate();
+            context.delete(obj);
+
+            expect(context.getObjectStatus(obj.favoriteSport)).toEqual(ObjectContext.ObjectStatus.Deleted);
+        });
+
+        it('should mark child objects inside of arrays as deleted', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
             context.add(obj);
             obj.favoriteColors[0].name = 'Gold';
             context.evaluate();
+            context.delete(obj);
+
+            expect(context.getObjectStatus(obj.favoriteColors[0])).toEqual(ObjectContext.ObjectStatus.Deleted);
+        });
+
+        it('should throw if object provided does not exists', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            var deleteUntrackedObject = function() {
+                context.delete(obj);
+            };
+
+            expect(deleteUntrackedObject).toThrow();
+        });
+
+        it('should only delete objects ', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            var obj2 = new Person(2, 'Jordan Spieth', 22);
+            context.add(obj, true);
+            context.add(obj2);
+            obj.favoriteSport = {name: 'Disc Golf'};
+            var newSport = {name: 'Football'};
+            obj2.favoriteSport = newSport;
+            context.evaluate();
+            context.delete(obj, true);
+
+            expect(context.doesObjectExist(obj)).toBe(false);
+            expect(obj2.favoriteSport).toBe(newSport);
+            expect(context.hasChanges()).toBe(true);
+        });
+
+        it('should only remove an added object from the nested array that holds it', function() {
+            var first = {id: 1}, second = {id: 2}, added = {id: 3};
+            var board = {grid: [[first, second]]};
+            context.add(board);
+            board.grid[0].push(added);
+            context.evaluate();
+
+            context.delete(added);
+
+            expect(board.grid).toEqual([[first, second]]);
+            expect(context.doesObjectExist(first)).toBe(true);
+            expect(context.doesObjectExist(added)).toBe(false);
+            expect(context.hasChanges()).toBe(false);
+        });
+    });
+
+    describe('hasChanges', function() {
+        it('should have changes after adding a new obejct', function() {
+            var obj = {test: true};
+            context.add(obj, true);
+
+            expect(context.hasChanges()).toEqual(true);
+            expect(context.hasChanges(obj)).toEqual(true);
+        });
+
+        it('should not have changes after adding object', function() {
+            var obj = {test: true};
+            context.add(obj);
+
+            expect(context.hasChanges()).toEqual(false);
+            expect(context.hasChanges(obj)).toEqual(false);
+        });
+
+        it('should have changes after modifying object', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.name = 'new name';
+            context.evaluate();
+
+            expect(context.hasChanges()).toEqual(true);
+            expect(context.hasChanges(obj)).toEqual(true);
+        });
+
+        it('should throw if invalid object is provided', function() {
+            var addInvalidObject = function() {
+                context.add(null);
+            };
+
+            expect(addInvalidObject).toThrow();
+        });
+    });
+
+    describe('hasChildChanges', function() {
+        it('should return false if nothing changed', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            context.evaluate();
+
+            expect(context.hasChildChanges(obj)).toEqual(false);
+        });
+
+        it('should return true if modifying a child property', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.favoriteSport.name = 'new name';
+            context.evaluate();
+
+            expect(context.hasChildChanges(obj)).toEqual(true);
+        });
+
+        it('should return true if modifying a child array object property', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.favoriteColors[1].name = 'Gold';
+            context.evaluate();
+
+            expect(context.hasChildChanges(obj)).toEqual(true);
+        });
+
+        it('should throw if invalid object is provided', function() {
+            var provideInvalidObject = function() {
+                context.hasChildChanges(null);
+            };
+
+            expect(provideInvalidObject).toThrow();
+        });
+
+        it('should throw if untracked object is provided', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+
+            var provideInvalidObject = function() {
+                context.hasChildChanges(obj);
+            };
+
+            expect(provideInvalidObject).toThrow();
+        });
+
+        it('should return false after a changed child array object is removed', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            var color = {name: 'Green'};
+            context.add(obj);
+            obj.favoriteColors.push(color);
+            context.evaluate();
+
+            expect(context.hasChildChanges(obj)).toBe(true);
+
+            context.delete(color);
+
+            expect(context.hasChildChanges(obj)).toBe(false);
+        });
+    });
+
+    describe('acceptChanges', function() {
+        it('should not have changes', function() {
+            expect(context.acceptChanges().hasChanges()).toEqual(false);
+        });
+
+        it('should not have changes with new object', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj, true);
+            expect(context.acceptChanges().hasChanges()).toEqual(false);
+        });
+
+        it('should refresh objects with the values in the save result map', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var saveResultMap = {};
+            context.add(person, true);
+            saveResultMap[context.getObjects(true)[0].identifier] = {id: 7};
+            context.acceptChanges(saveResultMap);
+
+            expect(person.id).toBe(7);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should set original object to the values in the current object', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.name = 'new name';
+            context.evaluate();
+
+            expect(context.acceptChanges().getOriginal(obj).name).toEqual(obj.name);
+        });
+
+        it('should set original object to the values in the current object for child objects', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.favoriteSport.name = 'Disc Golf';
+            context.evaluate();
+
+            expect(context.acceptChanges().getOriginal(obj.favoriteSport).name).toEqual(obj.favoriteSport.name);
+        });
+
+        it('should set original object to the values in the current object for child objects in arrays', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            obj.favoriteColors[0].name = 'Gold';
+            context.evaluate();
+
+            expect(context.acceptChanges().getOriginal(obj.favoriteColors[0]).name).toEqual(obj.favoriteColors[0].name);
+        });
+
+        it('should not have changes after accepting deleted objects', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            context.delete(obj);
+
+            expect(context.acceptChanges().hasChanges()).toEqual(false);
+        });
+
+        it('should not exist in context if not child of another object', function() {
+            var obj = new Person(1, 'Tiger Woods', 38);
+            context.add(obj);
+            var oldSport = obj.favoriteSport;
+            var newSport = {name: 'Disc Golf'};
+            obj.favoriteSport = newSport;
+            context.evaluate();
+            context.acceptChanges(obj);
+
+            expect(context.doesObjectExist(oldSport)).toBe(false);
+            expect(context.doesObjectExist(newSport)).toBe(true);
+            expect(context.hasChanges()).toEqual(false);
+        });
+    });
+
+    describe('subscribeChangeListener', function() {
+        it('should successfully add listener function', function() {
+            var listenerCount = context.subscribeChangeListener(function() {});
+
+            expect(listenerCount).toBe(1);
+        });
+
+        it('should throw if listener is not a function', function() {
+            var subscribeInvalidListener = function() {
+                context.subscribeChangeListener({});
+            };
+
+            expect(subscribeInvalidListener).toThrow();
+        });
+    });
+
+    describe('unsubscribeChangeListener', function() {
+        it('should successfully unsubscribe listener function', function() {
+            var listener = function() {};
+            context.subscribeChangeListener(listener);
+
+            expect(context.unsubscribeChangeListener(listener)).toBe(0);
+        });
+
+        it('should throw if listener was not added first', function() {
+            var unsubscribeListener = function() {
+                var listener = function() {};
+                context.unsubscribeChangeListener(listener);
+            };
+
+            expect(unsubscribeListener).toThrow();
+        });
+    });
+
+    describe('clear', function() {
+        it('should have no objects loaded', function() {
+            expect(context.clear().getObjects().length).toBe(0);
+        });
+
+        it('should have no objects loaded after an add', function() {
+            context.add({test: 'value'});
+
+            expect(context.clear().getObjects().length).toBe(0);
+        });
+
+        it('should clear context after an add, modify, evaluate, clear, add', function() {
+            var obj = {propOne: true, propTwo: 'test'};
+
+            context.add(obj);
+            obj.propOne = false;
+            context.evaluate();
+            context.clear();
+            context.add(obj);
+
+            expect(context.hasChanges()).toBe(false);
+        });
+    });
+
+    describe('getOriginal', function() {
+        it('should return null when invalid object instance is specified', function() {
+            expect(context.getOriginal({})).toBe(null);
+        });
+    });
+
+    describe('getOriginalValue', function() {
+        it('should return the original value of a changed property', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.favoriteColors[0].name = 'Green';
+            context.evaluate();
+
+            expect(context.getOriginalValue(person, 'favoriteColors[0].name')).toEqual('Red');
+            expect(context.getOriginalValue(person.favoriteColors[0], 'name')).toEqual('Red');
+        });
+
+        it('should return a copy of original dates', function() {
+            var date = new Date(2014, 1, 1);
+            var obj = {date: date};
+            context.add(obj);
+            obj.date.setFullYear(2015);
+
+            expect(context.getOriginalValue(obj, 'date').getFullYear()).toBe(2014);
+        });
+
+        it('should return the original elements of an array', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            context.add(person);
+            person.favoriteColors.shift();
+
+            expect(context.getOriginalValue(person, 'favoriteColors')[0]).toBe(red);
+        });
+
+        it('should throw if the object does not exist', function() {
+            expect(function() { context.getOriginalValue({}, 'name'); }).toThrow();
+        });
+    });
+
+    describe('isPropertyChanged', function() {
+        it('should determine if a property has changed', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.age = 39;
+            context.evaluate();
+
+            expect(context.isPropertyChanged(person, 'age')).toBe(true);
+            expect(context.isPropertyChanged(person, 'name')).toBe(false);
+        });
+
+        it('should test child objects for changes', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.favoriteSport.name = 'Tennis';
+            context.evaluate();
+
+            expect(context.isPropertyChanged(person, 'favoriteSport')).toBe(true);
+            expect(context.isPropertyChanged(person, 'favoriteSport.name')).toBe(true);
+            expect(context.isPropertyChanged(person, 'favoriteColors[0].name')).toBe(false);
+        });
+
+        it('should not be changed when the value is put back', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.age = 39;
+            context.evaluate();
+            person.age = 38;
+            context.evaluate();
+
+            expect(context.isPropertyChanged(person, 'age')).toBe(false);
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+        });
+    });
+
+    describe('exportState', function() {
+        it('should produce a state that can be converted to JSON', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            person.birthDate = new Date(1975, 11, 30);
+            context.add(person);
+
+            var state = context.exportState();
+
+            expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+        });
+
+        it('should throw if a storage key is used without an adapter', function() {
+            expect(function() { context.exportState('state'); }).toThrow();
+        });
+
+        it('should write the state to the storage adapter', function() {
+            var storage = new ObjectContext.MemoryStorageAdapter();
+            context.setStorageAdapter(storage).add(new Person(1, 'Tiger Woods', 38));
+            context.exportState('state');
+
+            expect(typeof storage.getItem('state')).toEqual('string');
+        });
+    });
+
+    describe('importState', function() {
+        var restored;
+
+        beforeEach(function() {
+            restored = new ObjectContext();
+        });
+
+        it('should throw if the state is invalid', function() {
+            expect(function() { restored.importState({}); }).toThrow();
+        });
+
+        it('should throw if no state was stored for the key', function() {
+            restored.setStorageAdapter(new ObjectContext.MemoryStorageAdapter());
+
+            expect(function() { restored.importState('state'); }).toThrow();
+        });
+
+        it('should restore values, originals and statuses', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.add(new Person(2, 'Jack Nicklaus', 74), true);
+            person.name = 'Eldrick Woods';
+            person.favoriteColors.push({name: 'Green'});
+            context.evaluate();
+
+            restored.importState(JSON.parse(JSON.stringify(context.exportState())), {Person: Person});
+            var objects = restored.getObjects();
+
+            expect(objects.length).toBe(context.getObjects().length);
+            expect(objects[0] instanceof Person).toBe(true);
+            expect(restored.getOriginal(objects[0]) instanceof Person).toBe(true);
+            expect(objects[0].name).toEqual('Eldrick Woods');
+            expect(restored.getOriginalValue(objects[0], 'name')).toEqual('Tiger Woods');
+            expect(restored.getObjectStatus(objects[0])).toEqual(ObjectContext.ObjectStatus.Modified);
+            expect(restored.getObjectStatus(objects[0].favoriteColors[2])).toEqual(ObjectContext.ObjectStatus.Added);
+            expect(restored.getObjectType(objects[0])).toEqual('Person');
+            expect(restored.getAddedObjects(true).length).toBe(1);
+            expect(restored.getChangeset()).toEqual(context.getChangeset());
+        });
+
+        it('should resolve constructors with a function and throw for invalid ones', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+            var state = context.exportState();
+
+            restored.importState(state, function(type) { return type === 'Person' ? Person : null; });
+
+            expect(restored.getObjects()[0] instanceof Person).toBe(true);
+            expect(restored.getObjects()[1] instanceof Person).toBe(false);
+            expect(function() { restored.importState(state, 'Person'); }).toThrow();
+            expect(function() { restored.importState(state, {Person: {}}); }).toThrow();
+        });
+
+        it('should keep pending deletes', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.delete(person);
+
+            restored.importState(context.exportState());
+
+            expect(restored.getDeletedObjects(true).length).toBe(1);
+        });
+
+        it('should keep dates', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            person.birthDate = new Date(1975, 11, 30);
+            person.favoriteColors[0].since = new Date(1990, 0, 1);
+            context.add(person);
+            person.birthDate = new Date(1976, 0, 1);
+
+            restored.importState(JSON.parse(JSON.stringify(context.exportState())));
+            var restoredPerson = restored.getObjects(true)[0].current;
+
+            expect(restoredPerson.birthDate instanceof Date).toBe(true);
+            expect(restoredPerson.birthDate.getFullYear()).toBe(1976);
+            expect(restoredPerson.favoriteColors[0].since instanceof Date).toBe(true);
+            expect(restored.getOriginalValue(restoredPerson, 'birthDate').getFullYear()).toBe(1975);
+        });
+
+        it('should keep Maps, Sets, RegExps, typed arrays, NaN and Infinity', function() {
+            var round = {scores: new Map([['front', 36], ['back', NaN]]), players: new Set(['Tiger', 'Jack']), pattern: /^[A-Z]+$/gi, strokes: new Float64Array([4, Infinity]), par: -Infinity};
+            context.add(round);
+            round.scores.set('back', 35);
+            context.evaluate();
+
+            restored.importState(JSON.parse(JSON.stringify(context.exportState())));
+            var restoredRound = restored.getObjects()[0];
+
+            expect(restoredRound).toEqual(round);
+            expect(restored.getOriginal(restoredRound)).toEqual(context.getOriginal(round));
+            expect(restored.getOriginalValue(restoredRound, 'scores').get('back')).toBeNaN();
+            expect(restored.getObjectStatus(restoredRound)).toEqual(ObjectContext.ObjectStatus.Modified);
+        });
+
+        it('should track changes to the restored objects', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+
+            restored.importState(context.exportState());
+            var restoredPerson = restored.getObjects(true)[0].current;
+            restoredPerson.favoriteColors.shift();
+            restoredPerson.age = 39;
+            restored.evaluate();
+
+            expect(restored.isPropertyChanged(restoredPerson, 'age')).toBe(true);
+            expect(restored.isPropertyChanged(restoredPerson, 'favoriteColors')).toBe(true);
+
+            restored.rejectChanges();
+
+            expect(restoredPerson.favoriteColors.length).toBe(2);
+            expect(restored.hasChanges()).toBe(false);
+        });
+
+        it('should read the state from the storage adapter', function() {
+            var storage = new ObjectContext.MemoryStorageAdapter();
+            context.setStorageAdapter(storage).add(new Person(1, 'Tiger Woods', 38));
+            context.exportState('state');
+
+            restored.setStorageAdapter(storage).importState('state');
+
+            expect(restored.getObjects(true)[0].current.name).toEqual('Tiger Woods');
+        });
+    });
+
+    describe('find', function() {
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+        });
+
+        it('should find an object by its type and key', function() {
+            var customer = {type: 'Customer', id: 1, name: 'Tiger Woods'};
+            context.add({type: 'Order', id: 1});
+            context.add(customer);
+
+            expect(context.find('Customer', 1)).toBe(customer);
+            expect(context.find('Customer', '1')).toBe(customer);
+        });
+
+        it('should return null if the object is not found', function() {
+            context.add({type: 'Customer', id: 1});
+
+            expect(context.find('Customer', 2)).toBe(null);
+            expect(context.find('Order', 1)).toBe(null);
+        });
+
+        it('should not find objects after they are removed', function() {
+            var customer = {type: 'Customer', id: 1};
+            context.add(customer);
+            context.delete(customer, true);
+
+            expect(context.find('Customer', 1)).toBe(null);
+
+            context.add(customer).clear();
+
+            expect(context.find('Customer', 1)).toBe(null);
+        });
+
+        it('should not add an object that has the same type and key as a tracked object', function() {
+            var customer = {type: 'Customer', id: 1, name: 'Tiger Woods'};
+            context.add(customer);
+            context.add({type: 'Customer', id: 1, name: 'Tiger Woods'});
+
+            expect(context.getObjects().length).toBe(1);
+            expect(context.getObjects()[0]).toBe(customer);
+        });
+
+        it('should return a proxy of the tracked instance from track', function() {
+            var customer = {type: 'Customer', id: 1, name: 'Tiger Woods'};
+            context.add(customer);
+
+            var proxy = context.track({type: 'Customer', id: 1, name: 'Tiger Woods'});
+
+            expect(proxy).toBe(context.getProxy(customer));
+        });
+
+        it('should always add objects with a status of added', function() {
+            context.add({type: 'Customer', id: 0}, true);
+            context.add({type: 'Customer', id: 0}, true);
+
+            expect(context.getObjects().length).toBe(2);
+        });
+    });
+
+    describe('composite keys', function() {
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type');
+        });
+
+        it('should throw if a key property name is not a string', function() {
+            expect(function() { context.setObjectKeyPropertyName(['OrderId', 1]); }).toThrow();
+        });
+
+        it('should find objects by a composite key', function() {
+            var line = {type: 'OrderLine', OrderId: 10, LineNo: 2};
+            context.setObjectKeyPropertyName(['OrderId', 'LineNo']);
+            context.add({type: 'OrderLine', OrderId: 10, LineNo: 1});
+            context.add(line);
+
+            expect(context.find('OrderLine', [10, 2])).toBe(line);
+            expect(context.find('OrderLine', [10, 3])).toBe(null);
+        });
+
+        it('should resolve incoming objects by a composite key', function() {
+            context.setObjectKeyPropertyName(['OrderId', 'LineNo']);
+            context.add({type: 'OrderLine', OrderId: 10, LineNo: 1});
+            context.add({type: 'OrderLine', OrderId: 10, LineNo: 1});
+
+            expect(context.getObjects().length).toBe(1);
+        });
+
+        it('should use the key resolver for a type', function() {
+            var customer = {type: 'Customer', region: 'EU', number: 42};
+            context.setObjectKeyPropertyName('id');
+            context.setObjectKeyResolver('Customer', function(obj) { return obj.region + '-' + obj.number; });
+            context.add(customer);
+            context.add({type: 'Order', id: 1});
+
+            expect(context.find('Customer', 'EU-42')).toBe(customer);
+            expect(context.find('Order', 1)).not.toBe(null);
+        });
+
+        it('should throw if the key resolver is not a function', function() {
+            expect(function() { context.setObjectKeyResolver('Customer', 'id'); }).toThrow();
+        });
+
+        it('should remove the key resolver for a type', function() {
+            context.setObjectKeyPropertyName('id');
+            context.setObjectKeyResolver('Customer', function() { return 'key'; });
+            context.setObjectKeyResolver('Customer', null);
+            context.add({type: 'Customer', id: 1});
+
+            expect(context.find('Customer', 1)).not.toBe(null);
+        });
+
+        it('should keep the keys of added objects current', function() {
+            var line = {type: 'OrderLine', OrderId: 10, LineNo: 0};
+            context.setObjectKeyPropertyName(['OrderId', 'LineNo']);
+            context.add(line, true);
+            line.LineNo = 3;
+            context.evaluate();
+
+            expect(context.find('OrderLine', [10, 3])).toBe(line);
+            expect(context.find('OrderLine', [10, 0])).toBe(null);
+        });
+    });
+
+    describe('merge', function() {
+        var customer;
+
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+            customer = {type: 'Customer', id: 1, name: 'Tiger Woods', age: 38, address: {city: 'Jupiter'}};
+            context.add(customer);
+        });
+
+        it('should throw if the merge strategy is invalid', function() {
+            expect(function() { context.setMergeStrategy('Invalid'); }).toThrow();
+            expect(function() { context.merge({type: 'Customer', id: 1}, 'Invalid'); }).toThrow();
+        });
+
+        it('should add objects that are not tracked', function() {
+            var other = {type: 'Customer', id: 2, name: 'Jack Nicklaus'};
+
+            expect(context.merge(other)).toBe(other);
+            expect(context.getObjectStatus(other)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+        });
+
+        it('should resolve the children of an added object to the tracked instances', function() {
+            var order = {
+                type: 'Order',
+                id: 1,
+                customer: {type: 'Customer', id: 1, name: 'Eldrick Woods', age: 38, address: {city: 'Jupiter'}},
+                lines: [{type: 'Line', id: 1, owner: {type: 'Customer', id: 2}}, {type: 'Line', id: 2, owner: {type: 'Customer', id: 2}}]
+            };
+
+            context.merge(order);
+
+            expect(order.customer).toBe(customer);
+            expect(customer.name).toEqual('Eldrick Woods');
+            expect(order.lines[1].owner).toBe(order.lines[0].owner);
+            expect(context.getObjectsByType('Customer').length).toBe(2);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should copy server values into unchanged properties', function() {
+            var result = context.merge({type: 'Customer', id: 1, name: 'Eldrick Woods', age: 38, address: {city: 'Orlando'}});
+
+            expect(result).toBe(customer);
+            expect(customer.name).toEqual('Eldrick Woods');
+            expect(customer.address.city).toEqual('Orlando');
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should preserve local changes by default', function() {
+            customer.name = 'Local Name';
+            context.evaluate();
+            context.merge({type: 'Customer', id: 1, name: 'Server Name', age: 39});
+
+            expect(customer.name).toEqual('Local Name');
+            expect(customer.age).toBe(39);
+            expect(context.getOriginalValue(customer, 'name')).toEqual('Server Name');
+            expect(context.isPropertyChanged(customer, 'name')).toBe(true);
+            expect(context.isPropertyChanged(customer, 'age')).toBe(false);
+        });
+
+        it('should copy server Dates when preserving local changes', function() {
+            var serverDate = new Date('2016-08-17T00:00:00.000Z');
+            customer.birthday = new Date('2016-08-15T00:00:00.000Z');
+            context.evaluate();
+            context.acceptChanges();
+            customer.birthday = new Date('2016-08-16T00:00:00.000Z');
+            context.evaluate();
+            context.merge({type: 'Customer', id: 1, birthday: serverDate});
+            serverDate.setUTCDate(18);
+
+            expect(customer.birthday.toISOString()).toEqual('2016-08-16T00:00:00.000Z');
+            expect(context.getOriginalValue(customer, 'birthday').toISOString()).toEqual('2016-08-17T00:00:00.000Z');
+        });
+
+        it('should overwrite local changes', function() {
+            customer.name = 'Local Name';
+            context.evaluate();
+            context.merge({type: 'Customer', id: 1, name: 'Server Name'}, ObjectContext.MergeStrategy.OverwriteChanges);
+
+            expect(customer.name).toEqual('Server Name');
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should not touch local changes when the server value is unchanged', function() {
+            customer.name = 'Local Name';
+            context.setMergeStrategy(ObjectContext.MergeStrategy.OverwriteChanges);
+            context.merge({type: 'Customer', id: 1, name: 'Tiger Woods'});
+
+            expect(customer.name).toEqual('Local Name');
+        });
+
+        it('should flag conflicts', function() {
+            customer.name = 'Local Name';
+            context.evaluate();
+            context.setMergeStrategy(ObjectContext.MergeStrategy.FlagConflicts);
+            context.merge({type: 'Customer', id: 1, name: 'Server Name', age: 39});
+
+            var conflicts = context.getConflicts(customer);
+
+            expect(conflicts.length).toBe(1);
+            expect(conflicts[0].Object).toBe(customer);
+            expect(conflicts[0].PropertyName).toEqual('name');
+            expect(conflicts[0].OriginalValue).toEqual('Tiger Woods');
+            expect(conflicts[0].LocalValue).toEqual('Local Name');
+            expect(conflicts[0].ServerValue).toEqual('Server Name');
+            expect(customer.age).toBe(39);
+            expect(context.hasConflicts()).toBe(true);
+        });
+
+        it('should resolve a conflict with the server value', function() {
+            customer.name = 'Local Name';
+            context.setMergeStrategy(ObjectContext.MergeStrategy.FlagConflicts);
+            context.merge({type: 'Customer', id: 1, name: 'Server Name'});
+            context.resolveConflict(customer, 'name', true);
+
+            expect(customer.name).toEqual('Server Name');
+            expect(context.hasConflicts()).toBe(false);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should resolve a conflict with the local value', function() {
+            customer.name = 'Local Name';
+            context.setMergeStrategy(ObjectContext.MergeStrategy.FlagConflicts);
+            context.merge({type: 'Customer', id: 1, name: 'Server Name'});
+            context.resolveConflict(customer, 'name', false);
+
+            expect(customer.name).toEqual('Local Name');
+            expect(context.getOriginalValue(customer, 'name')).toEqual('Server Name');
+            expect(context.hasConflicts(customer)).toBe(false);
+        });
+
+        it('should throw when resolving a property without a conflict', function() {
+            expect(function() { context.resolveConflict(customer, 'name', true); }).toThrow();
+        });
+
+        it('should remove conflicts when changes are accepted', function() {
+            customer.name = 'Local Name';
+            context.setMergeStrategy(ObjectContext.MergeStrategy.FlagConflicts);
+            context.merge({type: 'Customer', id: 1, name: 'Server Name'});
+            context.acceptChanges();
+
+            expect(context.hasConflicts()).toBe(false);
+            expect(customer.name).toEqual('Local Name');
+        });
+    });
+
+    describe('concurrency', function() {
+        var customer;
+        var identifier;
+
+        function saveResult(values) {
+            var saveResultMap = {};
+            saveResultMap[identifier] = values;
+            return saveResultMap;
+        }
+
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type').setConcurrencyPropertyName('version');
+            customer = {type: 'Customer', id: 1, name: 'Tiger Woods', version: 1};
+            context.add(customer);
+            identifier = context.getObjects(true)[0].identifier;
+        });
+
+        it('should throw if the concurrency property name is invalid', function() {
+            expect(function() { context.setConcurrencyPropertyName(1); }).toThrow();
+        });
+
+        it('should capture the concurrency token when the object is added', function() {
+            customer.version = 5;
+
+            expect(context.getConcurrencyToken(customer)).toBe(1);
+        });
+
+        it('should use the concurrency property for the type', function() {
+            var order = {type: 'Order', id: 1, etag: 'abc', version: 2};
+            context.setConcurrencyPropertyName('etag', 'Order');
+            context.add(order);
+
+            expect(context.getConcurrencyToken(order)).toEqual('abc');
+            expect(context.getConcurrencyToken(customer)).toBe(1);
+        });
+
+        it('should include the concurrency token in the changeset', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate();
+
+            expect(context.getChangeset().Modified[0].ConcurrencyToken).toBe(1);
+        });
+
+        it('should take the new concurrency token from the save result', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({version: 2}));
+
+            expect(customer.version).toBe(2);
+            expect(context.getConcurrencyToken(customer)).toBe(2);
+        });
+
+        it('should put the object in a conflicted status when the server reports a conflict', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyConflict: true, name: 'Tiger', version: 3}));
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Conflicted);
+            expect(context.getConflictedObjects()).toEqual([customer]);
+            expect(context.getChangeset().Conflicted.length).toBe(1);
+            expect(context.hasChanges()).toBe(true);
+            expect(customer.name).toEqual('Eldrick Woods');
+            expect(context.getConflicts(customer)[0].ServerValue).toEqual('Tiger');
+            expect(context.getConcurrencyToken(customer)).toBe(1);
+        });
+
+        it('should put the object in a conflicted status when only the concurrency token differs', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyToken: 2, name: 'Tiger', version: 3}));
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Conflicted);
+            expect(context.getConflicts(customer)[0].ServerValue).toEqual('Tiger');
+            expect(context.getConcurrencyToken(customer)).toBe(1);
+        });
+
+        it('should accept changes when the concurrency token matches', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyToken: 1, version: 2}));
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+            expect(context.getConcurrencyToken(customer)).toBe(2);
+        });
+
+        it('should keep the conflicted status when changes are accepted again', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyConflict: true, version: 3}));
+            context.acceptChanges();
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Conflicted);
+            expect(context.hasConflicts(customer)).toBe(true);
+        });
+
+        it('should resolve the conflict by keeping local values', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyConflict: true, name: 'Tiger', version: 3}));
+            context.resolveConflicts(customer, false);
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Modified);
+            expect(customer.name).toEqual('Eldrick Woods');
+            expect(context.getConcurrencyToken(customer)).toBe(3);
+            expect(context.hasConflicts()).toBe(false);
+        });
+
+        it('should resolve the conflict by using server values', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyConflict: true, name: 'Tiger', version: 3}));
+            context.resolveConflicts(customer, true);
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+            expect(customer.name).toEqual('Tiger');
+            expect(customer.version).toBe(3);
+        });
+
+        it('should leave the conflicted status once every property conflict is resolved', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyConflict: true, name: 'Tiger', version: 3}));
+            context.resolveConflict(customer, 'name', false);
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Modified);
+        });
+
+        it('should keep a pending delete when the conflict is resolved', function() {
+            context.delete(customer);
+            context.acceptChanges(saveResult({ConcurrencyConflict: true, version: 3}));
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Conflicted);
+
+            context.resolveConflicts(customer, true);
+
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Deleted);
+        });
+
+        it('should use server values when changes to a conflicted object are rejected', function() {
+            customer.name = 'Eldrick Woods';
+            context.evaluate().acceptChanges(saveResult({ConcurrencyConflict: true, name: 'Tiger', version: 3}));
+            context.rejectChanges();
+
+            expect(customer.name).toEqual('Tiger');
+            expect(context.getObjectStatus(customer)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+        });
+    });
+
+    describe('getUnitOfWork', function() {
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+        });
+
+        it('should throw if an invalid relationship is provided', function() {
+            expect(function() { context.addRelationship('Order'); }).toThrow();
+            expect(function() { context.addRelationship('Order', ['customerId', 1], 'Customer'); }).toThrow();
+        });
+
+        it('should order inserts with parents before their children', function() {
+            var order = {type: 'Order', id: 1, lines: [{type: 'OrderLine', id: 2}], shipping: {type: 'Address', id: 3}};
+            context.add(order, true);
+
+            var operations = context.getUnitOfWork();
+
+            expect(operations.map(function(op) { return op.Type; })).toEqual(['Order', 'OrderLine', 'Address']);
+            expect(operations[1].Operation).toBe('Insert');
+            expect(operations[1].DependsOn).toEqual([0]);
+            expect(operations[2].DependsOn).toEqual([0]);
+        });
+
+        it('should order inserts by foreign key relationships', function() {
+            context.addRelationship('Order', 'customerId', 'Customer');
+            context.add({type: 'Order', id: 10, customerId: 1}, true);
+            context.add({type: 'Customer', id: 1}, true);
+
+            var operations = context.getUnitOfWork();
+
+            expect(operations[0].Type).toBe('Customer');
+            expect(operations[1].Type).toBe('Order');
+            expect(operations[1].DependsOn).toEqual([0]);
+        });
+
+        it('should order updates after inserts and deletes with children first', function() {
+            context.addRelationship('Order', ['customerRegion', 'customerId'], 'Customer');
+            context.setObjectKeyResolver('Customer', function(obj) { return [obj.region, obj.id]; });
+
+            var customer = {type: 'Customer', region: 'EU', id: 1};
+            var order = {type: 'Order', id: 10, customerRegion: 'EU', customerId: 1};
+            var product = {type: 'Product', id: 5, name: 'Ball'};
+            context.add(customer).add(order).add(product);
+
+            product.name = 'Club';
+            context.delete(customer);
+            context.delete(order);
+            context.add({type: 'Customer', region: 'US', id: 2}, true);
+
+            var operations = context.getUnitOfWork();
+
+            expect(operations.map(function(op) { return op.Operation + ' ' + op.Type; })).toEqual(['Insert Customer', 'Update Product', 'Delete Order', 'Delete Customer']);
+            expect(operations[3].DependsOn).toEqual([2]);
+            expect(operations[2].Key).toBe(10);
+        });
+
+        it('should throw if there is a circular dependency', function() {
+            context.addRelationship('Employee', 'managerId', 'Employee');
+            context.add({type: 'Employee', id: 1, managerId: 2}, true);
+            context.add({type: 'Employee', id: 2, managerId: 1}, true);
+
+            expect(function() { context.getUnitOfWork(); }).toThrow();
+        });
+    });
+
+    describe('temporary keys', function() {
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+        });
+
+        it('should throw if an invalid temporary key type is provided', function() {
+            expect(function() { context.setTemporaryKeyType('Sequential'); }).toThrow();
+        });
+
+        it('should not give Added objects temporary keys by default', function() {
+            var order = {type: 'Order'};
+            context.add(order, true);
+
+            expect(order.id).toBeUndefined();
+        });
+
+        it('should give Added objects and new children negative integer keys', function() {
+            var order = {type: 'Order', lines: []};
+            var existing = {type: 'Order', id: 5};
+            context.setTemporaryKeyType(ObjectContext.TemporaryKeyType.NegativeInteger);
+            context.add(order, true).add(existing, true).add({type: 'Order'});
+
+            order.lines.push({type: 'OrderLine'});
+            context.evaluate();
+
+            expect(order.id).toBe(-1);
+            expect(order.lines[0].id).toBe(-2);
+            expect(existing.id).toBe(5);
+            expect(context.find('OrderLine', -2)).toBe(order.lines[0]);
+            expect(context.hasTemporaryKey(order)).toBe(true);
+            expect(context.hasChanges(order.lines[0])).toBe(true);
+            expect(context.getObjectChangeset(order.lines[0]).length).toBe(0);
+        });
+
+        it('should give Added objects GUID keys or keys from a function', function() {
+            var order = {type: 'Order'};
+            var line = {type: 'OrderLine'};
+            context.setTemporaryKeyType(ObjectContext.TemporaryKeyType.Guid).add(order, true);
+            context.setTemporaryKeyType(function(type) { return 'new-' + type; }).add(line, true);
+
+            expect(order.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(line.id).toBe('new-OrderLine');
+        });
+
+        it('should replace temporary keys and foreign keys after a save', function() {
+            var customer = {type: 'Customer', name: 'Tiger Woods'};
+            var order = {type: 'Order', customerId: null, lines: [{type: 'OrderLine', orderId: null}]};
+            var tag = {type: 'Tag', id: 1, customerIds: []};
+            context.setTemporaryKeyType(ObjectContext.TemporaryKeyType.NegativeInteger)
+                .addRelationship('Order', 'customerId', 'Customer')
+                .addRelationship('OrderLine', 'orderId', 'Order')
+                .addRelationship('Tag', 'customerIds', 'Customer');
+            context.add(tag).add(customer, true).add(order, true);
+
+            order.customerId = customer.id;
+            order.lines[0].orderId = order.id;
+            tag.customerIds.push(customer.id);
+            context.evaluate();
+
+            var resultMap = {};
+            resultMap[context.getObjects(true)[1].identifier] = {id: 100};
+            resultMap[context.getObjects(true)[2].identifier] = {id: 200};
+            context.acceptChanges(resultMap);
+
+            expect(customer.id).toBe(100);
+            expect(order.id).toBe(200);
+            expect(order.customerId).toBe(100);
+            expect(order.lines[0].orderId).toBe(200);
+            expect(tag.customerIds).toEqual([100]);
+            expect(context.hasTemporaryKey(customer)).toBe(false);
+            expect(context.hasTemporaryKey(order.lines[0])).toBe(true);
+            expect(context.find('Customer', 100)).toBe(customer);
+            expect(context.find('Customer', -1)).toBe(null);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should replace ignored key properties and foreign keys without relationships', function() {
+            // ngObjectContext ignores the key property for change tracking
+            var customer = {type: 'Customer', name: 'Tiger Woods'};
+            var order = {type: 'Order', customerId: null, customerIds: []};
+            context.setTemporaryKeyType(ObjectContext.TemporaryKeyType.NegativeInteger).addIgnoredProperties(['type', 'id']);
+            context.add(customer, true).add(order, true);
+
+            order.customerId = customer.id;
+            order.customerIds.push(customer.id);
+            context.evaluate();
+
+            var resultMap = {};
+            resultMap[context.getObjects(true)[0].identifier] = {id: 100};
+            context.acceptChanges(resultMap);
+
+            expect(customer.id).toBe(100);
+            expect(order.customerId).toBe(100);
+            expect(order.customerIds).toEqual([100]);
+            expect(context.hasTemporaryKey(customer)).toBe(false);
+            expect(context.find('Customer', 100)).toBe(customer);
+            expect(context.find('Customer', -1)).toBe(null);
+            expect(context.hasChanges()).toBe(false);
+        });
+    });
+
+    describe('type registry', function() {
+        beforeEach(function() {
+            context.registerType('Order', {
+                key: 'id',
+                properties: {
+                    id: 'number',
+                    placed: {type: 'date', defaultValue: function() { return new Date(2020, 0, 1); }},
+                    status: {type: 'string', defaultValue: 'Open'},
+                    tags: 'array',
+                    notes: 'any'
+                },
+                children: {lines: 'OrderLine'}
+            });
+            context.registerType('OrderLine', {key: 'lineId', properties: {lineId: 'number', quantity: {type: 'number', defaultValue: 1}}});
+        });
+
+        it('should throw if an invalid type definition is provided', function() {
+            expect(function() { context.registerType(); }).toThrow();
+            expect(function() { context.registerType('Order'); }).toThrow();
+            expect(function() { context.registerType('Order', {properties: {id: 'integer'}}); }).toThrow();
+            expect(function() { context.registerType('Order', {key: ['id', 1]}); }).toThrow();
+            expect(function() { context.registerType('Order', {children: {lines: true}}); }).toThrow();
+        });
+
+        it('should throw if the type to create has not been registered', function() {
+            expect(function() { context.create('Customer'); }).toThrow();
+        });
+
+        it('should create a tracked instance with the default values', function() {
+            var order = context.create('Order');
+            var other = context.create('Order');
+
+            expect(order).toEqual({id: null, placed: new Date(2020, 0, 1), status: 'Open', tags: [], notes: null, lines: []});
+            expect(order.tags).not.toBe(other.tags);
+            expect(context.getObjectStatus(order)).toBe(ObjectContext.ObjectStatus.Added);
+            expect(context.getObjectType(order)).toBe('Order');
+            expect(context.getObjectsByType('Order')).toEqual([order, other]);
+        });
+
+        it('should apply and check the overrides', function() {
+            var order = context.create('Order', {id: 5, placed: '2021-06-01T00:00:00Z', notes: {text: 'Fragile'}});
+
+            expect(order.id).toBe(5);
+            expect(order.placed instanceof Date).toBe(true);
+            expect(order.notes).toEqual({text: 'Fragile'});
+            expect(context.find('Order', 5)).toBe(order);
+            expect(function() { context.create('Order', {id: 'five'}); }).toThrow();
+            expect(function() { context.create('Order', {placed: 'not a date'}); }).toThrow();
+        });
+
+        it('should set the type property when one is configured', function() {
+            context.setObjectTypePropertyName('type');
+
+            expect(context.create('Order').type).toBe('Order');
+        });
+
+        it('should give objects in child collections the child type', function() {
+            var order = context.create('Order', {lines: [{lineId: 1}, {lineId: 2}]});
+            order.lines.push({lineId: 3});
+            context.evaluate();
+
+            expect(context.getObjectsByType('OrderLine').length).toBe(3);
+            expect(context.query('OrderLine', {lineId: 3})).toEqual([order.lines[2]]);
+            expect(context.find('OrderLine', 2)).toBe(order.lines[1]);
+        });
+
+        it('should use the registered key fields for temporary keys', function() {
+            context.setTemporaryKeyType(ObjectContext.TemporaryKeyType.NegativeInteger);
+
+            var order = context.create('Order', {lines: [{quantity: 2}]});
+
+            expect(order.id).toBe(-1);
+            expect(order.lines[0].lineId).toBe(-2);
+        });
+
+        it('should resolve objects tracked before their type was registered', function() {
+            context.setObjectTypePropertyName('type');
+
+            var invoice = {type: 'Invoice', number: 7, lines: [{lineNumber: 1}, {lineNumber: 2}]};
+            context.add(invoice);
+
+            expect(context.getObjectsByType('InvoiceLine')).toEqual([]);
+
+            context.registerType('Invoice', {key: 'number', properties: {number: 'number'}, children: {lines: 'InvoiceLine'}});
+            context.registerType('InvoiceLine', {key: 'lineNumber', properties: {lineNumber: 'number'}});
+
+            expect(context.getObjectsByType('InvoiceLine')).toEqual(invoice.lines);
+            expect(context.getObjectType(invoice.lines[0])).toBe('InvoiceLine');
+            expect(context.query('InvoiceLine', {lineNumber: 2})).toEqual([invoice.lines[1]]);
+            expect(context.find('Invoice', 7)).toBe(invoice);
+            expect(context.find('InvoiceLine', 1)).toBe(invoice.lines[0]);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should throw when querying a registered type by an unknown property', function() {
+            context.create('Order', {placed: new Date(2021, 5, 1)});
+
+            expect(function() { context.query('Order', {placd: null}); }).toThrow();
+            expect(context.query('Order', {placed: new Date(2021, 5, 1)}).length).toBe(1);
+        });
+    });
+
+    describe('validation', function() {
+        var order;
+
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type');
+            context.addValidator('Order', 'name', {required: true})
+                .addValidator('Order', 'code', {pattern: /^[A-Z]{3}$/, message: 'Use three capital letters.'})
+                .addValidator('OrderLine', 'quantity', {min: 1, max: 10})
+                .addValidator('Order', 'shipDate', {validate: function(value, obj) { return !value || value >= obj.orderDate || 'Ship date must be after the order date.'; }});
+
+            order = {type: 'Order', name: 'Clubs', code: 'ABC', orderDate: new Date(2020, 0, 2), shipDate: null, lines: [{type: 'OrderLine', quantity: 1}]};
+            context.add(order);
+        });
+
+        it('should throw if an invalid validator is provided', function() {
+            expect(function() { context.addValidator('Order'); }).toThrow();
+            expect(function() { context.addValidator('Order', 'name', {}); }).toThrow();
+            expect(function() { context.addValidator('Order', 'name', {pattern: 'abc'}); }).toThrow();
+        });
+
+        it('should not report errors for valid objects', function() {
+            context.evaluate();
+
+            expect(context.hasErrors()).toBe(false);
+            expect(context.getErrors()).toEqual([]);
+        });
+
+        it('should report required, pattern, range and custom errors with property paths', function() {
+            order.name = ' ';
+            order.code = 'abc';
+            order.shipDate = new Date(2020, 0, 1);
+            order.lines[0].quantity = 11;
+            context.evaluate();
+
+            var errors = context.getErrors();
+
+            expect(errors.map(function(error) { return error.PropertyPath + ' ' + error.Rule; })).toEqual(['name required', 'code pattern', 'shipDate custom', 'lines[0].quantity range']);
+            expect(errors[1].Message).toBe('Use three capital letters.');
+            expect(errors[2].Message).toBe('Ship date must be after the order date.');
+            expect(errors[3].Object).toBe(order.lines[0]);
+            expect(context.getErrors(order.lines[0]).length).toBe(1);
+            expect(context.hasErrors(order)).toBe(true);
+        });
+
+        it('should refuse to accept changes for invalid Added or Modified objects', function() {
+            order.lines[0].quantity = 0;
+            context.evaluate();
+
+            try {
+                context.acceptChanges();
+                fail('acceptChanges() should have thrown');
+            } catch (e) {
+                expect(e.validationErrors[0].PropertyPath).toBe('lines[0].quantity');
+            }
+
+            expect(context.hasChanges()).toBe(true);
+        });
+
+        it('should accept changes when only Unmodified objects are invalid', function() {
+            var invalid = {type: 'Order', name: null, code: 'XYZ'};
+            context.add(invalid);
+            order.name = 'Balls';
+            context.evaluate();
+
+            context.acceptChanges();
+
+            expect(context.hasErrors(invalid)).toBe(true);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should refuse to save invalid objects', function(done) {
+            var transport = {send: jasmine.createSpy('send')};
+            order.code = 'A';
+
+            context.save({action: 'Save', transport: transport}).then(done.fail, function(error) {
+                expect(error.validationErrors.length).toBe(1);
+                expect(transport.send).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('should push the errors through the change listeners', function() {
+            var listener = jasmine.createSpy('listener');
+            context.subscribeChangeListener(listener);
+
+            order.name = null;
+            context.evaluate();
+
+            expect(listener.calls.mostRecent().args[0]).toBe(true);
+            expect(listener.calls.mostRecent().args[1][0].PropertyPath).toBe('name');
+        });
+
+        it('should only validate objects that may have changed', function() {
+            var validate = jasmine.createSpy('validate').and.returnValue(true);
+            var other = {type: 'Order', name: 'Bags', code: 'DEF', lines: []};
+            context.add(other);
+            context.addValidator('Order', 'name', {validate: validate});
+            context.evaluate();
+
+            expect(validate.calls.count()).toBe(2);
+
+            validate.calls.reset();
+            context.evaluate();
+
+            expect(validate).not.toHaveBeenCalled();
+
+            other.name = null;
+            context.evaluate();
+
+            expect(validate.calls.count()).toBe(1);
+            expect(validate.calls.mostRecent().args[1]).toBe(other);
+            expect(context.getErrors().map(function(error) { return error.PropertyPath; })).toEqual(['name']);
+
+            context.rejectChanges();
+
+            expect(context.hasErrors()).toBe(false);
+        });
+
+        it('should accept the saved changes when objects become invalid while the request is in progress', function(done) {
+            var transport = {send: function() {
+                order.lines[0].quantity = 0;
+                context.evaluate();
+
+                return Promise.resolve({status: 200, data: null});
+            }};
+            order.name = 'Balls';
+
+            context.save({action: 'Save', transport: transport}).then(function() {
+                expect(context.getObjectStatus(order)).toBe(ObjectContext.ObjectStatus.Unmodified);
+                expect(context.getObjectStatus(order.lines[0])).toBe(ObjectContext.ObjectStatus.Modified);
+                expect(context.hasErrors(order.lines[0])).toBe(true);
+                done();
+            }, done.fail);
+        });
+
+        it('should not report errors for deleted objects', function() {
+            order.lines[0].quantity = 0;
+            context.delete(order.lines[0]);
+            context.evaluate();
+
+            expect(context.hasErrors()).toBe(false);
+        });
+    });
+
+    describe('setEqualityComparer', function() {
+        var order;
+
+        beforeEach(function() {
+            context.setObjectTypePropertyName('type');
+            order = {type: 'Order', total: 42, name: 'Clubs', code: 'abc', lines: [{type: 'OrderLine', price: 9.99, note: 'Gift'}]};
+            context.add(order);
+        });
+
+        it('should throw if an invalid comparer is provided', function() {
+            expect(function() { context.setEqualityComparer('loose'); }).toThrow();
+            expect(function() { context.setEqualityComparer(ObjectContext.EqualityComparers.Loose, 1); }).toThrow();
+        });
+
+        it('should compare values strictly by default', function() {
+            order.total = '42';
+            context.evaluate();
+
+            expect(context.getObjectStatus(order)).toBe(ObjectContext.ObjectStatus.Modified);
+        });
+
+        it('should use a global comparer', function() {
+            context.setEqualityComparer(ObjectContext.EqualityComparers.Loose);
+            order.total = '42';
+            order.lines[0].price = '9.99';
+            context.evaluate();
+
+            expect(context.hasChanges()).toBe(false);
+
+            order.total = '43';
+            context.evaluate();
+
+            expect(context.getObjectChangeset(order)).toEqual([{PropertyName: 'total', OldValue: 42, NewValue: '43'}]);
+        });
+
+        it('should use the most specific comparer', function() {
+            context.setEqualityComparer(ObjectContext.EqualityComparers.Trimmed)
+                .setEqualityComparer(ObjectContext.EqualityComparers.CaseInsensitive, 'Order')
+                .setEqualityComparer(ObjectContext.EqualityComparers.Strict, 'Order', 'name')
+                .setEqualityComparer(ObjectContext.EqualityComparers.NumericTolerance(0.01), null, 'lines.price');
+
+            order.code = ' ABC ';
+            order.name = 'clubs';
+            order.lines[0].price = 10;
+            order.lines[0].note = 'Gift ';
+            context.evaluate();
+
+            expect(context.isPropertyChanged(order, 'code')).toBe(false);
+            expect(context.isPropertyChanged(order, 'name')).toBe(true);
+            expect(context.getObjectStatus(order.lines[0])).toBe(ObjectContext.ObjectStatus.Unmodified);
+        });
+
+        it('should remove a change when the value becomes equal again', function() {
+            context.setEqualityComparer(ObjectContext.EqualityComparers.Trimmed, 'Order', 'name');
+            order.name = 'Balls';
+            context.evaluate();
+            order.name = 'Clubs  ';
+            context.evaluate();
+
+            expect(context.getObjectStatus(order)).toBe(ObjectContext.ObjectStatus.Unmodified);
+        });
+
+        it('should pass the object, property name and type to the comparer', function() {
+            var comparer = jasmine.createSpy('comparer').and.returnValue(true);
+            context.setEqualityComparer(comparer, 'OrderLine');
+            context.evaluate();
+
+            expect(comparer).toHaveBeenCalledWith(9.99, 9.99, {object: order.lines[0], propertyName: 'price', type: 'OrderLine'});
+
+            context.setEqualityComparer(null, 'OrderLine');
+            order.lines[0].price = 1;
+            context.evaluate();
+
+            expect(context.hasChanges(order.lines[0])).toBe(true);
+        });
+    });
+
+    describe('snapshots', function() {
+        function Round(course) {
+            this.course = course;
+            this.played = new Date(2020, 0, 1);
+            this.teeTimes = [new Date(2020, 0, 1, 8), new Date(2020, 0, 1, 9)];
+            this.scores = new Map([['front', 36], ['back', 35]]);
+            this.players = new Set(['Tiger', 'Jack']);
+            this.pattern = /^[a-z]+$/gi;
+            this.strokes = new Int8Array([4, 3, 5]);
+            this.handicap = undefined;
+            this.rating = NaN;
+            this.limit = Infinity;
+        }
+
+        Round.prototype.getTotal = function() {
+            return this.scores.get('front') + this.scores.get('back');
+        };
+
+        var round;
+
+        beforeEach(function() {
+            round = new Round('Augusta');
+            context.add(round);
+        });
+
+        it('should copy built-in values and keep the prototype of the original', function() {
+            var original = context.getOriginal(round);
+
+            expect(original instanceof Round).toBe(true);
+            expect(original.getTotal()).toBe(71);
+            expect(original.teeTimes[1] instanceof Date).toBe(true);
+            expect(original.scores).not.toBe(round.scores);
+            expect(original.players).toEqual(new Set(['Tiger', 'Jack']));
+            expect(original.pattern.flags).toBe('gi');
+            expect(original.strokes).toEqual(new Int8Array([4, 3, 5]));
+            expect(original.hasOwnProperty('handicap')).toBe(true);
+            expect(original.rating).toBeNaN();
+            expect(original.limit).toBe(Infinity);
+        });
+
+        it('should not report unchanged built-in values as changes', function() {
+            context.evaluate();
+
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should detect changes inside Maps, Sets and typed arrays', function() {
+            round.scores.set('back', 34);
+            round.players.add('Arnold');
+            round.strokes[0] = 3;
+            context.evaluate();
+
+            expect(context.getObjectChangeset(round).map(function(entry) { return entry.PropertyName; })).toEqual(['scores', 'players', 'strokes']);
+            expect(context.getObjectChangeset(round)[0].OldValue.get('back')).toBe(35);
+            expect(context.getObjectChangeset(round)[0].NewValue.get('back')).toBe(34);
+
+            round.scores.set('back', 35);
+            round.players.delete('Arnold');
+            round.strokes[0] = 4;
+            context.evaluate();
+
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should detect changes to objects inside a Set', function() {
+            var player = {name: 'Tiger', wins: 82};
+            round.players.add(player);
+            context.evaluate().acceptChanges();
+
+            player.wins = 83;
+            context.evaluate();
+
+            expect(context.getObjectStatus(round)).toEqual(ObjectContext.ObjectStatus.Modified);
+            expect(Array.from(context.getOriginal(round).players)[2].wins).toBe(82);
+
+            player.wins = 82;
+            context.evaluate();
+
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should restore built-in values when changes are rejected or undone', function() {
+            round.scores.set('back', 40);
+            context.evaluate();
+            context.rejectChanges(round);
+
+            expect(round.scores.get('back')).toBe(35);
+
+            context.setUndoDepth(10);
+            round.players.add('Arnold');
+            context.evaluate();
+            context.undo();
+
+            expect(round.players.has('Arnold')).toBe(false);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should keep the prototype of objects in the changeset', function() {
+            round.course = 'St Andrews';
+            context.evaluate();
+
+            expect(context.getChangeset().Modified[0].Object instanceof Round).toBe(true);
+        });
+    });
+
+    describe('shared references', function() {
+        var customer, order1, order2;
+
+        beforeEach(function() {
+            customer = {id: 1, name: 'Ann', orders: []};
+            order1 = {id: 10, customer: customer, lines: [{id: 100, sku: 'A'}]};
+            order2 = {id: 20, customer: customer, lines: []};
+            customer.orders.push(order1);
+            context.add(order1).add(order2);
+        });
+
+        it('should track objects with back-references', function() {
+            customer.name = 'Annie';
+            context.evaluate();
+
+            expect(context.getObjectStatus(customer)).toEqual('Modified');
+            var original = context.getOriginal(customer);
+            expect(original.orders[0].customer).toBe(original);
+            expect(context.getObjects().length).toEqual(4);
+        });
+
+        it('should undo and redo changes in a cyclic graph', function() {
+            context.setUndoDepth(10);
+            customer.name = 'Annie';
+            context.evaluate();
+
+            context.undo();
+
+            expect(customer.name).toEqual('Ann');
+            expect(customer.orders[0]).toBe(order1);
+            expect(context.hasChanges()).toBe(false);
+
+            context.redo();
+
+            expect(customer.name).toEqual('Annie');
+        });
+
+        it('should keep an object that is still referenced by another parent', function() {
+            order1.customer = null;
+            context.evaluate().acceptChanges();
+            customer.name = 'Annie';
+            context.evaluate();
+
+            expect(context.doesObjectExist(customer)).toBe(true);
+            expect(context.getObjectStatus(customer)).toEqual('Modified');
+            expect(context.hasChildChanges(order2)).toBe(true);
+        });
+
+        it('should not delete an object that is still referenced by another parent', function() {
+            context.delete(order1);
+
+            expect(context.getObjectStatus(order1)).toEqual('Deleted');
+            expect(context.getObjectStatus(customer)).not.toEqual('Deleted');
+            expect(context.getObjectStatus(order1.lines[0])).toEqual('Deleted');
+
+            context.acceptChanges();
+
+            expect(context.doesObjectExist(order1)).toBe(false);
+            expect(context.doesObjectExist(customer)).toBe(true);
+            expect(customer.orders.length).toEqual(0);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should remove a deleted object from every array that holds it', function() {
+            var line = {id: 101, sku: 'B'};
+            order1.lines.push(line);
+            order2.lines.push(line);
+            context.evaluate();
+
+            context.delete(line);
+
+            expect(order1.lines.length).toEqual(1);
+            expect(order2.lines.length).toEqual(0);
+            expect(context.doesObjectExist(line)).toBe(false);
+        });
+
+        it('should keep an added object that another parent holds when rejecting changes', function() {
+            var line = {id: 101, sku: 'B'};
+            order1.lines.push(line);
+            order2.lines.push(line);
+            context.evaluate();
+
+            context.rejectChanges(order1);
+
+            expect(order1.lines.length).toEqual(1);
+            expect(order2.lines[0]).toBe(line);
+            expect(context.getObjectStatus(line)).toEqual('Added');
+        });
+
+        it('should move an object to the nested array of its other parent', function() {
+            context.setObjectTypePropertyName('type').addValidator('Piece', 'name', {required: true});
+            var piece = {type: 'Piece', name: null};
+            var box = {type: 'Box', piece: piece};
+            var board = {type: 'Board', grid: [[{type: 'Piece', name: 'Rook'}, piece]]};
+            context.add(box).add(board);
+
+            context.delete(box);
+            context.acceptChanges();
+
+            expect(context.doesObjectExist(piece)).toBe(true);
+            expect(context.getErrors(piece)[0].PropertyPath).toEqual('grid[1].name');
+        });
+    });
+
+    describe('events', function() {
+        var person, events;
+
+        beforeEach(function() {
+            person = new Person(1, 'Jon', 30);
+            context.add(person);
+            events = [];
+        });
+
+        function record(e) {
+            events.push(e);
+        }
+
+        it('should publish property changes only when a value changes', function() {
+            context.subscribe('propertyChanged', record);
+
+            person.name = 'Jonathan';
+            person.favoriteColors[1].name = 'Green';
+            context.evaluate().evaluate();
+
+            expect(events.length).toEqual(2);
+            expect(events[0]).toEqual(jasmine.objectContaining({Event: 'propertyChanged', Object: person, PropertyName: 'name', PropertyPath: 'name', OldValue: 'Jon', NewValue: 'Jonathan'}));
+            expect(events[1].PropertyPath).toEqual('favoriteColors[1].name');
+
+            person.name = 'Jon';
+            context.evaluate();
+
+            expect(events.length).toEqual(3);
+            expect(events[2].OldValue).toEqual('Jonathan');
+        });
+
+        it('should not observe unchanged objects again', function() {
+            var reads = 0;
+            var round = {id: 2};
+            Object.defineProperty(round, 'course', {enumerable: true, get: function() { reads++; return 'Augusta'; }});
+            context.add(round);
+
+            reads = 0;
+            context.evaluate();
+            var evaluateReads = reads;
+
+            context.subscribe('*', record);
+            reads = 0;
+            context.evaluate();
+
+            expect(reads).toEqual(evaluateReads);
+            expect(events).toEqual([]);
+        });
+
+        it('should publish replaced child objects and merged server values of unchanged objects', function() {
+            context.setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+            var customer = {type: 'Customer', id: 1, name: 'Tiger Woods', home: {city: 'Orlando'}, office: {city: 'Jupiter'}};
+            context.add(customer);
+            context.subscribe('propertyChanged', record);
+
+            var home = customer.home;
+            customer.home = customer.office;
+            customer.office = home;
+            context.evaluate();
+
+            expect(events.map(function(e) { return e.PropertyName; })).toEqual(['home', 'office']);
+
+            events.length = 0;
+            context.merge({type: 'Customer', id: 1, name: 'Eldrick Woods'});
+
+            expect(events.length).toEqual(1);
+            expect(events[0]).toEqual(jasmine.objectContaining({Object: customer, PropertyName: 'name', NewValue: 'Eldrick Woods'}));
+        });
+
+        it('should publish status changes, deletes and detaches', function() {
+            context.subscribe('*', record);
+
+            var color = person.favoriteColors[0];
+            context.delete(color);
+
+            var deleteEvents = events.filter(function(e) { return e.Object === color; });
+            expect(deleteEvents.map(function(e) { return e.Event; })).toEqual(['statusChanged', 'objectDeleted']);
+            expect(deleteEvents[0].OldStatus).toEqual('Unmodified');
+            expect(deleteEvents[0].NewStatus).toEqual('Deleted');
+
+            events.length = 0;
+            context.acceptChanges();
+
+            expect(events.map(function(e) { return e.Event; })).toEqual(['propertyChanged', 'statusChanged', 'objectDetached', 'changesAccepted']);
+            expect(events[0].PropertyName).toEqual('favoriteColors');
+            expect(events[1].NewStatus).toEqual('Unmodified');
+            expect(events[2].Object).toBe(color);
+            expect(events[3].Objects).toEqual([person, color]);
+        });
+
+        it('should publish added objects', function() {
+            context.subscribe('objectAdded', record);
+
+            var color = {name: 'Green'};
+            person.favoriteColors.push(color);
+            context.evaluate();
+
+            expect(events.length).toEqual(1);
+            expect(events[0].Object).toBe(color);
+            expect(events[0].Status).toEqual('Added');
+        });
+
+        it('should publish rejected changes', function() {
+            context.subscribe('changesRejected', record);
+
+            context.rejectChanges();
+            expect(events.length).toEqual(0);
+
+            person.name = 'Jonathan';
+            context.evaluate().rejectChanges(person);
+
+            expect(events.length).toEqual(1);
+            expect(events[0].Objects).toEqual([person]);
+        });
+
+        it('should only call a handler for the type it subscribed with', function() {
+            var round = {id: 2, course: 'Augusta', $type: 'Round'};
+            context.setObjectTypePropertyName('$type');
+            context.add(round);
+            context.subscribe('propertyChanged', record, 'Round');
+
+            person.name = 'Jonathan';
+            round.course = 'Pebble Beach';
+            context.evaluate();
+
+            expect(events.length).toEqual(1);
+            expect(events[0].Object).toBe(round);
+            expect(events[0].Type).toEqual('Round');
+        });
+
+        it('should call a once-only handler for the first event only', function() {
+            context.subscribeOnce('propertyChanged', record);
+
+            person.name = 'Jonathan';
+            person.age = 31;
+            context.evaluate();
+
+            expect(events.length).toEqual(1);
+        });
+
+        it('should stop calling an unsubscribed handler', function() {
+            context.subscribe('propertyChanged', record);
+            context.unsubscribe('propertyChanged', record);
+
+            person.name = 'Jonathan';
+            context.evaluate();
+
+            expect(events.length).toEqual(0);
+            expect(function() { context.unsubscribe('propertyChanged', record); }).toThrow();
+        });
+
+        it('should throw if the event name or handler is invalid', function() {
+            expect(function() { context.subscribe('somethingChanged', record); }).toThrow();
+            expect(function() { context.subscribe('propertyChanged', null); }).toThrow();
+        });
+    });
+
+    describe('journal', function() {
+        var person;
+
+        beforeEach(function() {
+            person = new Person(1, 'Jon', 30);
+            context.add(person);
+            context.setJournalEnabled(true);
+        });
+
+        it('should record every edit of a property with its intermediate values', function() {
+            person.name = 'Jonathan';
+            context.evaluate();
+            person.name = 'Johnny';
+            context.evaluate();
+
+            var entries = context.getJournal(person);
+
+            expect(entries.length).toEqual(3);
+            expect(entries[0]).toEqual(jasmine.objectContaining({Event: 'propertyChanged', PropertyName: 'name', OldValue: 'Jon', NewValue: 'Jonathan'}));
+            expect(entries[1]).toEqual(jasmine.objectContaining({Event: 'statusChanged', OldStatus: 'Unmodified', NewStatus: 'Modified'}));
+            expect(entries[2]).toEqual(jasmine.objectContaining({Event: 'propertyChanged', OldValue: 'Jonathan', NewValue: 'Johnny'}));
+            expect(entries[0].Timestamp instanceof Date).toBe(true);
+            expect(entries[0].ContextIdentifier).toEqual(entries[2].ContextIdentifier);
+        });
+
+        it('should record the actor and reason', function() {
+            var user = 'ann';
+            context.setJournalActor(function() { return user; }).setJournalReason('Typo');
+
+            person.name = 'Jonathan';
+            context.evaluate();
+            user = 'bob';
+            context.setJournalReason(null).acceptChanges();
+
+            var entries = context.getJournal(person);
+
+            expect(entries[0].Actor).toEqual('ann');
+            expect(entries[0].Reason).toEqual('Typo');
+            expect(entries[entries.length - 1]).toEqual(jasmine.objectContaining({Event: 'changesAccepted', Actor: 'bob', Reason: null}));
+        });
+
+        it('should record added, deleted and rejected objects', function() {
+            var color = {name: 'Green'};
+            person.favoriteColors.push(color);
+            context.evaluate();
+            context.delete(person.favoriteColors[0]);
+            context.rejectChanges();
+
+            var events = context.getJournal().map(function(entry) { return entry.Event; });
+
+            expect(events).toContain('objectAdded');
+            expect(events).toContain('objectDeleted');
+            expect(events).toContain('objectDetached');
+            expect(events).toContain('changesRejected');
+            expect(context.getJournal(color).map(function(entry) { return entry.Event; })).toEqual(['objectAdded', 'objectDetached', 'changesRejected']);
+        });
+
+        it('should return the entries of a type', function() {
+            var round = {id: 2, course: 'Augusta', $type: 'Round'};
+            context.setObjectTypePropertyName('$type');
+            context.add(round);
+
+            person.name = 'Jonathan';
+            round.course = 'Pebble Beach';
+            context.evaluate();
+
+            var entries = context.getJournalByType('Round');
+
+            expect(entries.map(function(entry) { return entry.Event; })).toEqual(['objectAdded', 'propertyChanged', 'statusChanged']);
+            expect(entries[1].Object).toBe(round);
+        });
+
+        it('should export the journal as JSON', function() {
+            context.setJournalActor(42);
+            person.favoriteSport = {name: 'Tennis'};
+            context.evaluate();
+
+            var entries = JSON.parse(context.exportJournal());
+            var change = entries.filter(function(entry) { return entry.PropertyName === 'favoriteSport'; })[0];
+
+            expect(entries[0].Object).toBeUndefined();
+            expect(typeof entries[0].Timestamp).toEqual('string');
+            expect(entries[0].Actor).toEqual(42);
+            expect(change.NewValue.ContextIdentifier).toEqual(jasmine.any(Number));
+        });
+
+        it('should not record anything while disabled', function() {
+            context.setJournalEnabled(false).clearJournal();
+
+            person.name = 'Jonathan';
+            context.evaluate();
+
+            expect(context.getJournal().length).toEqual(0);
+        });
+    });
+
+    describe('getObjectStatus', function() {
+        it('should throw if invalid object is provided', function() {
+            expect(context.getObjectStatus).toThrow();
+        });
+
+        it('should throw if object doesn\'t exist in context', function() {
+            var invalidObject = function() { context.getObjectStatus({}); };
+            expect(invalidObject).toThrow();
+        });
+    });
+
+    describe('getObjectsByType', function() {
+        it('should find object correctly', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+
+            expect(context.getObjectsByType('Person').length).toBe(1);
+        });
+
+        it('should not find objects after they are removed', function() {
+            var tiger = new Person(1, 'Tiger Woods', 38);
+            context.add(tiger);
+            context.add(new Person(2, 'Jack Nicklaus', 74));
+            context.delete(tiger, true);
+
+            expect(context.getObjectsByType('Person').length).toBe(1);
+
+            context.clear();
+
+            expect(context.getObjectsByType('Person').length).toBe(0);
+        });
+    });
+
+    describe('query', function() {
+        it('should throw if invalid type specified', function() {
+            var invalid = function() {
+                context.query();
+            };
+
+            expect(invalid).toThrow();
+        });
+
+        it('should throw if invalid parameters specified', function() {
+            var invalid = function() {
+                context.query('Type', function() {});
+            };
+
+            expect(invalid).toThrow();
+        });
+
+        it('should return no objects if none have been added', function() {
+            expect(context.query('Object', {prop: 'val'}).length).toBe(0);
+        });
+
+        it('should find object in context with correct type', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+            expect(context.query('Person').length).toBe(1);
+        });
+
+        it('should find object in context with correct type and parameters', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+            expect(context.query('Person', {name: 'Tiger Woods'}).length).toBe(1);
+        });
+
+        it('should find object in context with correct type and multiple parameters', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+            expect(context.query('Person', {name: 'Tiger Woods', age: 38}).length).toBe(1);
+        });
+
+        it('should not find object in context with incorrect type', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+            expect(context.query('Object', {invalidProperty: 'Tiger Woods'}).length).toBe(0);
+        });
+
+        it('should not find object in context with incorrect property', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+            expect(context.query('Person', {invalidProperty: 'Tiger Woods'}).length).toBe(0);
+        });
+
+        it('should not find object in context with invalid property value', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+            expect(context.query('Person', {name: 'Wrong Name'}).length).toBe(0);
+        });
+    });
+
+    describe('getObjectChangeset', function() {
+        it('should throw if no object is specified', function() {
+            expect(context.getObjectChangeset).toThrow();
+        });
+    });
+
+    describe('getAggregateChangeset', function() {
+        it('should throw if no object is specified', function() {
+            expect(context.getAggregateChangeset).toThrow();
+        });
+
+        it('should return an empty array if nothing changed', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+
+            expect(context.getAggregateChangeset(person)).toEqual([]);
+        });
+
+        it('should report full property paths for child objects and arrays', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.name = 'Jack Nicklaus';
+            person.favoriteSport.name = 'Disc Golf';
+            person.favoriteColors[1].name = 'Green';
+            context.evaluate();
+
+            var paths = context.getAggregateChangeset(person).map(function(entry) {
+                return entry.PropertyPath;
+            });
+
+            expect(paths).toEqual(['name', 'favoriteSport.name', 'favoriteColors[1].name']);
+        });
+
+        it('should include the old and new values', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.favoriteSport.name = 'Disc Golf';
+            context.evaluate();
+
+            var entry = context.getAggregateChangeset(person)[0];
+
+            expect(entry.PropertyName).toEqual('name');
+            expect(entry.OldValue).toEqual('Golf');
+            expect(entry.NewValue).toEqual('Disc Golf');
+        });
+
+        it('should report paths relative to a child object', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            person.favoriteSport.venue = {name: 'Augusta'};
+            context.add(person);
+            person.name = 'Jack Nicklaus';
+            person.favoriteSport.venue.name = 'St Andrews';
+            context.evaluate();
+
+            var changeset = context.getAggregateChangeset(person.favoriteSport);
+
+            expect(changeset.length).toBe(1);
+            expect(changeset[0].PropertyPath).toEqual('venue.name');
+        });
+    });
+
+    describe('getObjectJsonPatch', function() {
+        it('should throw if no object is specified', function() {
+            expect(context.getObjectJsonPatch).toThrow();
+        });
+
+        it('should throw if a child object is specified', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+
+            var throwMe = function() {
+                context.getObjectJsonPatch(person.favoriteSport);
+            };
+
+            expect(throwMe).toThrow();
+        });
+
+        it('should return an empty patch if nothing changed', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+
+            expect(context.getObjectJsonPatch(person)).toEqual([]);
+        });
+
+        it('should replace changed properties on the object and its children', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.age = 39;
+            person.favoriteSport.name = 'Disc Golf';
+            person.favoriteColors[1].name = 'Green';
+            context.evaluate();
 
-            expect(context.acceptChanges().getOriginal(obj.favoriteColors[0]).name).toEqual(obj.favoriteColors[0].name);
+            expect(context.getObjectJsonPatch(person)).toEqual([
+                {op: 'replace', path: '/age', value: 39},
+                {op: 'replace', path: '/favoriteSport/name', value: 'Disc Golf'},
+                {op: 'replace', path: '/favoriteColors/1/name', value: 'Green'}
+            ]);
         });
 
-        it('should not have changes after accepting deleted objects', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
-            context.add(obj);
-            context.delete(obj);
+        it('should add and remove array elements', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.delete(person.favoriteColors[0]);
+            person.favoriteColors.push({name: 'Green'});
+            context.evaluate();
 
-            expect(context.acceptChanges().hasChanges()).toEqual(false);
+            expect(context.getObjectJsonPatch(person)).toEqual([
+                {op: 'remove', path: '/favoriteColors/0'},
+                {op: 'add', path: '/favoriteColors/1', value: {name: 'Green'}}
+            ]);
         });
 
-        it('should not exist in context if not child of another object', function() {
-            var obj = new Person(1, 'Tiger Woods', 38);
+        it('should move reordered array elements', function() {
+            var obj = {test: true, ary: [1, 2, 3]};
             context.add(obj);
-            var oldSport = obj.favoriteSport;
-            var newSport = {name: 'Disc Golf'};
-            obj.favoriteSport = newSport;
+            obj.ary.unshift(obj.ary.pop());
             context.evaluate();
-            context.acceptChanges(obj);
 
-            expect(context.doesObjectExist(oldSport)).toBe(false);
-            expect(context.doesObjectExist(newSport)).toBe(true);
-            expect(context.hasChanges()).toEqual(false);
+            expect(context.getObjectJsonPatch(obj)).toEqual([
+                {op: 'move', from: '/ary/2', path: '/ary/0'}
+            ]);
         });
-    });
 
-    describe('subscribeChangeListener', function() {
-        it('should successfully add listener function', function() {
-            var listenerCount = context.subscribeChangeListener(function() {});
+        it('should use the new position of array elements for their property changes', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.favoriteColors.reverse();
+            person.favoriteColors[0].name = 'Navy';
+            context.evaluate();
 
-            expect(listenerCount).toBe(1);
+            expect(context.getObjectJsonPatch(person)).toEqual([
+                {op: 'move', from: '/favoriteColors/1', path: '/favoriteColors/0'},
+                {op: 'replace', path: '/favoriteColors/0/name', value: 'Navy'}
+            ]);
         });
 
-        it('should throw if listener is not a function', function() {
-            var subscribeInvalidListener = function() {
-                context.subscribeChangeListener({});
-            };
+        it('should replace child objects that were swapped out', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.favoriteSport = {name: 'Tennis'};
+            context.evaluate();
 
-            expect(subscribeInvalidListener).toThrow();
+            expect(context.getObjectJsonPatch(person)).toEqual([
+                {op: 'replace', path: '/favoriteSport', value: {name: 'Tennis'}}
+            ]);
         });
-    });
 
-    describe('unsubscribeChangeListener', function() {
-        it('should successfully unsubscribe listener function', function() {
-            var listener = function() {};
-            context.subscribeChangeListener(listener);
+        it('should escape property names in paths', function() {
+            var obj = {'a/b': 1, 'c~d': 2};
+            context.add(obj);
+            obj['a/b'] = 3;
+            obj['c~d'] = 4;
+            context.evaluate();
 
-            expect(context.unsubscribeChangeListener(listener)).toBe(0);
+            expect(context.getObjectJsonPatch(obj)).toEqual([
+                {op: 'replace', path: '/a~1b', value: 3},
+                {op: 'replace', path: '/c~0d', value: 4}
+            ]);
         });
 
-        it('should throw if listener was not added first', function() {
-            var unsubscribeListener = function() {
-                var listener = function() {};
-                context.unsubscribeChangeListener(listener);
-            };
+        it('should add and remove whole root objects', function() {
+            var tiger = new Person(1, 'Tiger Woods', 38);
+            var jack = new Person(2, 'Jack Nicklaus', 74);
+            context.add(tiger, true);
+            context.add(jack);
+            context.delete(jack);
 
-            expect(unsubscribeListener).toThrow();
+            expect(context.getObjectJsonPatch(tiger)[0].op).toEqual('add');
+            expect(context.getObjectJsonPatch(tiger)[0].path).toEqual('');
+            expect(context.getObjectJsonPatch(jack)).toEqual([]);
         });
     });
 
-    describe('clear', function() {
-        it('should have no objects loaded', function() {
-            expect(context.clear().getObjects().length).toBe(0);
+    describe('getJsonPatch', function() {
+        it('should return an empty array if nothing changed', function() {
+            context.add(new Person(1, 'Tiger Woods', 38));
+
+            expect(context.getJsonPatch()).toEqual([]);
         });
 
-        it('should have no objects loaded after an add', function() {
-            context.add({test: 'value'});
+        it('should return a patch for each changed root object', function() {
+            var tiger = new Person(1, 'Tiger Woods', 38);
+            var jack = new Person(2, 'Jack Nicklaus', 74);
+            context.add(tiger);
+            context.add(jack);
+            jack.favoriteSport.name = 'Fishing';
+            context.evaluate();
 
-            expect(context.clear().getObjects().length).toBe(0);
+            var patches = context.getJsonPatch();
+
+            expect(patches.length).toBe(1);
+            expect(patches[0].Type).toEqual('Person');
+            expect(patches[0].Status).toEqual(ObjectContext.ObjectStatus.Unmodified);
+            expect(patches[0].Patch).toEqual([{op: 'replace', path: '/favoriteSport/name', value: 'Fishing'}]);
         });
 
-        it('should clear context after an add, modify, evaluate, clear, add', function() {
-            var obj = {propOne: true, propTwo: 'test'};
+        it('should list deleted root objects without removing the document root', function() {
+            var jack = new Person(2, 'Jack Nicklaus', 74);
+            context.add(jack);
+            context.delete(jack);
 
-            context.add(obj);
-            obj.propOne = false;
-            context.evaluate();
-            context.clear();
-            context.add(obj);
+            var patches = context.getJsonPatch();
 
-            expect(context.hasChanges()).toBe(false);
+            expect(patches.length).toBe(1);
+            expect(patches[0].Status).toEqual(ObjectContext.ObjectStatus.Deleted);
+            expect(patches[0].Patch).toEqual([]);
         });
     });
 
-    describe('getOriginal', function() {
-        it('should return null when invalid object instance is specified', function() {
-            expect(context.getOriginal({})).toBe(null);
-        });
-    });
+    describe('applyJsonPatch', function() {
+        it('should throw if the patch is not an array', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
 
-    describe('getObjectStatus', function() {
-        it('should throw if invalid object is provided', function() {
-            expect(context.getObjectStatus).toThrow();
+            var throwMe = function() {
+                context.applyJsonPatch(person, {op: 'remove', path: '/age'});
+            };
+
+            expect(throwMe).toThrow();
         });
 
-        it('should throw if object doesn\'t exist in context', function() {
-            var invalidObject = function() { context.getObjectStatus({}); };
-            expect(invalidObject).toThrow();
+        it('should track patched values as local changes', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.applyJsonPatch(person, [
+                {op: 'replace', path: '/age', value: 39},
+                {op: 'replace', path: '/favoriteColors/1/name', value: 'Green'}
+            ]);
+
+            expect(person.age).toBe(39);
+            expect(person.favoriteColors[1].name).toEqual('Green');
+            expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Modified);
+            expect(context.hasChanges(person.favoriteColors[1])).toBe(true);
         });
-    });
 
-    describe('getObjectsByType', function() {
-        it('should find object correctly', function() {
-            context.add(new Person(1, 'Tiger Woods', 38));
+        it('should accept patched values as original values for server changes', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            person.name = 'Jack Nicklaus';
+            context.evaluate();
+            context.applyJsonPatch(person, [
+                {op: 'replace', path: '/age', value: 39},
+                {op: 'replace', path: '/favoriteSport/name', value: 'Disc Golf'}
+            ], true);
 
-            expect(context.getObjectsByType('Person').length).toBe(1);
+            expect(person.age).toBe(39);
+            expect(context.getOriginal(person).age).toBe(39);
+            expect(context.getObjectChangeset(person).length).toBe(1);
+            expect(context.getObjectChangeset(person)[0].PropertyName).toEqual('name');
+            expect(context.hasChanges(person.favoriteSport)).toBe(false);
         });
-    });
 
-    describe('query', function() {
-        it('should throw if invalid type specified', function() {
-            var invalid = function() {
-                context.query();
-            };
+        it('should track objects added by the patch', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.applyJsonPatch(person, [{op: 'add', path: '/favoriteColors/-', value: {name: 'Green'}}]);
 
-            expect(invalid).toThrow();
+            expect(person.favoriteColors.length).toBe(3);
+            expect(context.getObjectStatus(person.favoriteColors[2])).toEqual(ObjectContext.ObjectStatus.Added);
+
+            context.applyJsonPatch(person, [{op: 'add', path: '/favoriteColors/0', value: {name: 'Pink'}}], true);
+
+            expect(context.getObjectStatus(person.favoriteColors[0])).toEqual(ObjectContext.ObjectStatus.Unmodified);
         });
 
-        it('should throw if invalid parameters specified', function() {
-            var invalid = function() {
-                context.query('Type', function() {});
-            };
+        it('should drop objects removed by a server patch', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            context.add(person);
+            context.applyJsonPatch(person, [{op: 'remove', path: '/favoriteColors/0'}], true);
 
-            expect(invalid).toThrow();
+            expect(person.favoriteColors.length).toBe(1);
+            expect(context.doesObjectExist(red)).toBe(false);
+            expect(context.hasChanges()).toBe(false);
         });
 
-        it('should return no objects if none have been added', function() {
-            expect(context.query('Object', {prop: 'val'}).length).toBe(0);
+        it('should keep objects removed by a local patch until changes are rejected', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            context.add(person);
+            context.applyJsonPatch(person, [{op: 'remove', path: '/favoriteColors/0'}]);
+
+            expect(context.hasChanges(person)).toBe(true);
+
+            context.rejectChanges(person);
+
+            expect(person.favoriteColors[0]).toBe(red);
+            expect(context.hasChanges()).toBe(false);
         });
 
-        it('should find object in context with correct type', function() {
-            context.add(new Person(1, 'Tiger Woods', 38));
-            expect(context.query('Person').length).toBe(1);
+        it('should mark objects removed by a local patch as deleted and restore the same instances', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            var sport = person.favoriteSport;
+            context.add(person);
+            context.applyJsonPatch(person, [{op: 'remove', path: '/favoriteColors/0'}]);
+            context.applyMergePatch(person, {favoriteSport: null});
+
+            expect(context.getObjectStatus(red)).toEqual(ObjectContext.ObjectStatus.Deleted);
+            expect(context.getObjectStatus(sport)).toEqual(ObjectContext.ObjectStatus.Deleted);
+
+            context.rejectChanges();
+
+            expect(person.favoriteColors[0]).toBe(red);
+            expect(person.favoriteSport).toBe(sport);
+            expect(context.getObjectStatus(sport)).toEqual(ObjectContext.ObjectStatus.Unmodified);
+            expect(context.hasChanges()).toBe(false);
         });
 
-        it('should find object in context with correct type and parameters', function() {
-            context.add(new Person(1, 'Tiger Woods', 38));
-            expect(context.query('Person', {name: 'Tiger Woods'}).length).toBe(1);
+        it('should keep the identity of moved objects', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            context.add(person);
+            context.applyJsonPatch(person, [{op: 'move', from: '/favoriteColors/0', path: '/favoriteColors/1'}]);
+
+            expect(person.favoriteColors[1]).toBe(red);
+            expect(context.getObjectStatus(red)).toEqual(ObjectContext.ObjectStatus.Unmodified);
         });
 
-        it('should find object in context with correct type and multiple parameters', function() {
-            context.add(new Person(1, 'Tiger Woods', 38));
-            expect(context.query('Person', {name: 'Tiger Woods', age: 38}).length).toBe(1);
+        it('should detect removed properties', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.applyJsonPatch(person, [{op: 'remove', path: '/age'}]);
+
+            expect(person.hasOwnProperty('age')).toBe(false);
+            expect(context.hasChanges(person)).toBe(true);
+            expect(context.getObjectJsonPatch(person)).toEqual([{op: 'remove', path: '/age'}]);
         });
 
-        it('should not find object in context with incorrect type', function() {
-            context.add(new Person(1, 'Tiger Woods', 38));
-            expect(context.query('Object', {invalidProperty: 'Tiger Woods'}).length).toBe(0);
+        it('should convert date strings for Date properties', function() {
+            var obj = {test: true, date: new Date('2016-08-15T00:00:00.000Z')};
+            context.add(obj);
+            context.applyJsonPatch(obj, [{op: 'replace', path: '/date', value: '2016-08-16T00:00:00.000Z'}]);
+
+            expect(obj.date instanceof Date).toBe(true);
+            expect(obj.date.toISOString()).toEqual('2016-08-16T00:00:00.000Z');
         });
 
-        it('should not find object in context with incorrect property', function() {
-            context.add(new Person(1, 'Tiger Woods', 38));
-            expect(context.query('Person', {invalidProperty: 'Tiger Woods'}).length).toBe(0);
+        it('should not apply any operations if one fails', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+
+            var throwMe = function() {
+                context.applyJsonPatch(person, [
+                    {op: 'replace', path: '/age', value: 39},
+                    {op: 'test', path: '/name', value: 'Jack Nicklaus'}
+                ]);
+            };
+
+            expect(throwMe).toThrow();
+            expect(person.age).toBe(38);
+            expect(context.hasChanges()).toBe(false);
         });
 
-        it('should not find object in context with invalid property value', function() {
-            context.add(new Person(1, 'Tiger Woods', 38));
-            expect(context.query('Person', {name: 'Wrong Name'}).length).toBe(0);
+        it('should round trip an exported patch', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var copy = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.add(copy);
+            person.favoriteColors.reverse();
+            person.favoriteColors.push({name: 'Green'});
+            person.favoriteSport.name = 'Disc Golf';
+            context.evaluate();
+
+            context.applyJsonPatch(copy, context.getObjectJsonPatch(person));
+
+            expect(JSON.stringify(copy)).toEqual(JSON.stringify(person));
         });
     });
 
-    describe('getObjectChangeset', function() {
-        it('should throw if no object is specified', function() {
-            expect(context.getObjectChangeset).toThrow();
+    describe('applyMergePatch', function() {
+        it('should throw if the patch is not an object', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+
+            var throwMe = function() {
+                context.applyMergePatch(person, [1, 2]);
+            };
+
+            expect(throwMe).toThrow();
+        });
+
+        it('should merge values into the object and its children', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.applyMergePatch(person, {age: 39, favoriteSport: {name: 'Disc Golf'}});
+
+            expect(person.age).toBe(39);
+            expect(person.favoriteSport.name).toEqual('Disc Golf');
+            expect(context.hasChanges(person.favoriteSport)).toBe(true);
+        });
+
+        it('should remove properties set to null', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            context.add(person);
+            context.applyMergePatch(person, {age: null}, true);
+
+            expect(person.hasOwnProperty('age')).toBe(false);
+            expect(context.hasChanges()).toBe(false);
+        });
+
+        it('should replace arrays as a whole', function() {
+            var person = new Person(1, 'Tiger Woods', 38);
+            var red = person.favoriteColors[0];
+            context.add(person);
+            context.applyMergePatch(person, {favoriteColors: [{name: 'Green'}]}, true);
+
+            expect(person.favoriteColors.length).toBe(1);
+            expect(context.doesObjectExist(red)).toBe(false);
+            expect(context.getObjectStatus(person.favoriteColors[0])).toEqual(ObjectContext.ObjectStatus.Unmodified);
+            expect(context.hasChanges()).toBe(false);
         });
     });
 
@@ -1041,26 +3670,151 @@ describe('ObjectContext', function() {
         });
     });
 
-    describe('load', function() {
-        it('should throw if invalid action is provided', function() {
-            var throwMe = function() {
-                context.load();
+    describe('save', function() {
+        var transport;
+        var person;
+
+        function FakeTransport(response) {
+            this.requests = [];
+            this.send = function(request) {
+                this.requests.push(request);
+                return response instanceof Error ? Promise.reject(response) : Promise.resolve(response);
             };
+        }
 
-            expect(throwMe).toThrow();
+        beforeEach(function() {
+            person = new Person(1, 'Tiger Woods', 38);
+            context.setServiceUri('http://service/').add(person);
         });
 
-        it('should throw if invalid request type is provided', function() {
+        it('should throw if invalid action is provided', function() {
+            expect(function() { context.save({}); }).toThrow();
+        });
+
+        it('should throw if invalid request method is provided', function() {
+            expect(function() { context.save({action: 'Save', method: 'GET'}); }).toThrow();
+        });
+
+        it('should throw if invalid transport is provided', function() {
+            expect(function() { context.setTransport({}); }).toThrow();
+            expect(function() { context.save({action: 'Save', transport: {}}); }).toThrow();
+        });
+
+        it('should not send a request if there are no changes', function(done) {
+            transport = new FakeTransport({status: 200, data: null});
+            context.setTransport(transport);
+
+            context.save({action: 'Save'}).then(function() {
+                expect(transport.requests.length).toBe(0);
+                done();
+            }, done.fail);
+        });
+
+        it('should send the changeset to the service', function(done) {
+            transport = new FakeTransport({status: 200, data: null});
+            context.setTransport(transport);
+            person.name = 'Eldrick Woods';
+
+            context.save({action: 'Save'}).then(function() {
+                var request = transport.requests[0];
+
+                expect(request.method).toEqual('POST');
+                expect(request.url).toEqual('http://service/Save');
+                expect(request.data.Modified[0].Object.name).toEqual('Eldrick Woods');
+                done();
+            }, done.fail);
+        });
+
+        it('should accept changes with the result map after the service reports success', function(done) {
+            var data = {};
+            data[context.getObjects(true)[0].identifier] = {age: 39};
+            transport = new FakeTransport({status: 200, data: data});
+            person.name = 'Eldrick Woods';
+
+            context.save({action: 'Save', method: 'PUT', transport: transport}).then(function(response) {
+                expect(response.status).toBe(200);
+                expect(transport.requests[0].method).toEqual('PUT');
+                expect(person.age).toBe(39);
+                expect(context.hasChanges()).toBe(false);
+                done();
+            }, done.fail);
+        });
+
+        it('should keep changes made while the request is in progress', function(done) {
+            transport = {send: function() {
+                // Edit the object while the request is in progress
+                person.age = 39;
+                person.favoriteColors.push({name: 'Green'});
+                context.evaluate();
+
+                return Promise.resolve({status: 200, data: null});
+            }};
+            person.name = 'Eldrick Woods';
+
+            context.save({action: 'Save', transport: transport}).then(function() {
+                expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Modified);
+                expect(context.isPropertyChanged(person, 'name')).toBe(false);
+                expect(context.isPropertyChanged(person, 'age')).toBe(true);
+                expect(context.getOriginalValue(person, 'age')).toBe(38);
+                expect(context.getObjectStatus(person.favoriteColors[2])).toEqual(ObjectContext.ObjectStatus.Added);
+                done();
+            }, done.fail);
+        });
+
+        it('should leave the context untouched if the service reports an error', function(done) {
+            transport = new FakeTransport({status: 500, data: 'Server Error'});
+            context.setTransport(transport);
+            person.name = 'Eldrick Woods';
+
+            context.save({action: 'Save'}).then(done.fail, function(error) {
+                expect(error.message).toContain('500');
+                expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Modified);
+                expect(context.hasChanges()).toBe(true);
+                done();
+            });
+        });
+
+        it('should leave the context untouched if the request fails', function(done) {
+            transport = new FakeTransport(new Error('Network Error'));
+            context.setTransport(transport);
+            person.name = 'Eldrick Woods';
+
+            context.save({action: 'Save'}).then(done.fail, function() {
+                expect(context.hasChanges(person)).toBe(true);
+                done();
+            });
+        });
+
+        it('should not save while there are unresolved conflicts', function(done) {
+            var data = {};
+            data[context.getObjects(true)[0].identifier] = {ConcurrencyConflict: true};
+            transport = new FakeTransport({status: 200, data: data});
+            context.setTransport(transport);
+            person.name = 'Eldrick Woods';
+
+            context.save({action: 'Save'}).then(function() {
+                expect(context.getObjectStatus(person)).toEqual(ObjectContext.ObjectStatus.Conflicted);
+
+                return context.save({action: 'Save'});
+            }).then(done.fail, function() {
+                expect(transport.requests.length).toBe(1);
+                done();
+            });
+        });
+    });
+
+    describe('load', function() {
+        it('should throw if invalid action is provided', function() {
             var throwMe = function() {
-                context.load('Test', 'PUT', {}, function() {});
+                context.load();
             };
 
             expect(throwMe).toThrow();
         });
 
-        it('should throw if no callback is provided', function() {
+        it('should throw if invalid request type is provided', function() {
             var throwMe = function() {
-                context.load('Test', 'GET', {});
+                context.load('Test', 'HEAD', {}, function() {});
             };
 
             expect(throwMe).toThrow();
@@ -1074,13 +3828,180 @@ describe('ObjectContext', function() {
             expect(throwMe).toThrow();
         });
 
-        it('should throw if browser doesn\'t support XMLHttpRequest', function() {
-            var throwMe = function() {
-                window.XMLHttpRequest = null;
-                context.load('Test', 'GET', {}, function() {});
+        it('should throw if invalid timeout is provided', function() {
+            expect(function() { context.load('Test', 'GET', {}, {timeout: -1}); }).toThrow();
+            expect(function() { context.setRequestDefaults({timeout: 'soon'}); }).toThrow();
+        });
+
+        it('should reject if no transport is available', function(done) {
+            var xmlHttpRequest = window.XMLHttpRequest;
+            var fetch = window.fetch;
+            window.XMLHttpRequest = null;
+            window.fetch = null;
+
+            context.load('Test', 'GET', {}).then(done.fail, function(error) {
+                window.XMLHttpRequest = xmlHttpRequest;
+                window.fetch = fetch;
+                expect(error.message).toContain('No transport');
+                done();
+            });
+        });
+
+        describe('with a transport', function() {
+            var transport;
+
+            function FakeTransport(response) {
+                this.requests = [];
+                this.send = function(request) {
+                    this.requests.push(request);
+                    return response === undefined ? new Promise(function() {}) : Promise.resolve(response);
+                };
+            }
+
+            beforeEach(function() {
+                context.setServiceUri('http://service/').setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+            });
+
+            it('should return a Promise that resolves with the loaded objects', function(done) {
+                transport = new FakeTransport({status: 200, data: [{type: 'Customer', id: 1, name: 'Tiger Woods'}]});
+                context.setTransport(transport);
+
+                context.load('Customers', 'GET', {page: 1, name: 'A&B'}).then(function(data) {
+                    expect(data[0]).toBe(context.find('Customer', 1));
+                    expect(transport.requests[0].url).toBe('http://service/Customers?page=1&name=A%26B');
+                    expect(transport.requests[0].data).toBe(null);
+                    done();
+                }, done.fail);
+            });
+
+            it('should send the params as the body of PUT, PATCH and POST requests', function(done) {
+                transport = new FakeTransport({status: 200, data: {type: 'Customer', id: 1}});
+                context.setTransport(transport);
+
+                Promise.all([
+                    context.load('Customers', 'PUT', {id: 1}),
+                    context.load('Customers', 'PATCH', {id: 1}),
+                    context.load('Customers', 'DELETE', {id: 1})
+                ]).then(function() {
+                    expect(transport.requests[0].method).toBe('PUT');
+                    expect(transport.requests[1].data).toEqual({id: 1});
+                    expect(transport.requests[2].url).toBe('http://service/Customers?id=1');
+                    done();
+                }, done.fail);
+            });
+
+            it('should send the default and custom headers and auth', function(done) {
+                transport = new FakeTransport({status: 200, data: {type: 'Customer', id: 1}});
+                context.setRequestDefaults({headers: {'X-Client': 'test'}, auth: {token: 'abc'}});
+
+                context.load('Customers', 'GET', null, {transport: transport, headers: {'X-Trace': '1'}}).then(function() {
+                    var headers = transport.requests[0].headers;
+                    expect(headers['X-Client']).toBe('test');
+                    expect(headers['X-Trace']).toBe('1');
+                    expect(headers.Accept).toBe('application/json');
+                    expect(headers.Authorization).toBe('Bearer abc');
+
+                    return context.load('Customers', 'GET', null, {transport: transport, auth: {username: 'user', password: 'pass'}});
+                }).then(function() {
+                    expect(transport.requests[1].headers.Authorization).toBe('Basic dXNlcjpwYXNz');
+                    done();
+                }, done.fail);
+            });
+
+            it('should reject when the request times out', function(done) {
+                context.setTransport(new FakeTransport());
+
+                context.load('Customers', 'GET', null, {timeout: 10}).then(done.fail, function(error) {
+                    expect(error.name).toBe('TimeoutError');
+                    done();
+                });
+            });
+
+            it('should reject and abort the transport when the request is cancelled', function(done) {
+                transport = new FakeTransport();
+                var controller = new AbortController();
+                context.setTransport(transport);
+
+                context.load('Customers', 'GET', null, {signal: controller.signal}).then(done.fail, function(error) {
+                    expect(error.name).toBe('AbortError');
+                    expect(transport.requests[0].signal.aborted).toBe(true);
+                    done();
+                });
+
+                controller.abort();
+            });
+
+            it('should reject if the response is not successful', function(done) {
+                context.setTransport(new FakeTransport({status: 404, data: null}));
+
+                context.load('Customers', 'GET').then(done.fail, function(error) {
+                    expect(error.message).toBe('Load Error: 404');
+                    done();
+                });
+            });
+
+            it('should call the callback when one is provided', function(done) {
+                context.setTransport(new FakeTransport({status: 500, data: 'Server Error'}));
+
+                context.load('Customers', 'GET', null, function(response) {
+                    expect(response.isSuccessful).toBe(false);
+                    expect(response.errorMessage).toBe('Load Error: 500');
+                    done();
+                });
+            });
+        });
+
+        describe('with a response', function() {
+            var xmlHttpRequest;
+            var responseText;
+
+            function FakeRequest() {
+                this.readyState = 0;
+                this.status = 0;
+            }
+
+            FakeRequest.prototype.open = function() {};
+            FakeRequest.prototype.setRequestHeader = function() {};
+            FakeRequest.prototype.abort = function() {};
+            FakeRequest.prototype.send = function() {
+                this.readyState = 4;
+                this.status = 200;
+                this.responseText = responseText;
+                this.onreadystatechange();
             };
 
-            expect(throwMe).toThrow();
+            beforeEach(function() {
+                xmlHttpRequest = window.XMLHttpRequest;
+                window.XMLHttpRequest = FakeRequest;
+                context.setObjectTypePropertyName('type').setObjectKeyPropertyName('id');
+            });
+
+            afterEach(function() {
+                window.XMLHttpRequest = xmlHttpRequest;
+            });
+
+            it('should resolve loaded objects to tracked instances', function(done) {
+                context.add({type: 'Customer', id: 1, name: 'Tiger Woods'});
+                responseText = JSON.stringify([{type: 'Customer', id: 1, name: 'Tiger Woods'}, {type: 'Customer', id: 2, name: 'Jack Nicklaus'}]);
+
+                context.load('Customers', 'GET', null, function(result) {
+                    expect(result.isSuccessful).toBe(true);
+                    expect(result.data[0]).toBe(context.find('Customer', 1));
+                    expect(context.getObjects().length).toBe(2);
+                    done();
+                });
+            });
+
+            it('should not duplicate objects that are loaded twice', function(done) {
+                responseText = JSON.stringify({type: 'Customer', id: 1, name: 'Tiger Woods'});
+
+                context.load('Customers', 'GET').then(function() {
+                    return context.load('Customers', 'GET');
+                }).then(function() {
+                    expect(context.getObjectsByType('Customer').length).toBe(1);
+                    done();
+                }, done.fail);
+            });
         });
     });
 });